@@ -0,0 +1,219 @@
+// js/address-lookup.js - Consulta de endereço por CEP
+
+/**
+ * Erro na consulta de CEP
+ * code: 'not-found' (CEP inexistente), 'timeout', 'network' ou 'offline'
+ */
+class AddressLookupError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AddressLookupError';
+    this.code = code;
+  }
+}
+
+/**
+ * Provedor compatível com a API do ViaCEP (https://viacep.com.br)
+ */
+class ViaCepProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl='https://viacep.com.br/ws'] - Endereço da API
+   */
+  constructor({ baseUrl = 'https://viacep.com.br/ws' } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Consulta um CEP
+   * @param {string} cep - CEP com 8 dígitos
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Sinal de cancelamento
+   * @returns {Promise<Object|null>} Endereço normalizado ou null se o CEP não existir
+   */
+  async lookup(cep, { signal } = {}) {
+    const response = await fetch(`${this.baseUrl}/${cep}/json/`, { signal });
+
+    // A API responde 400 para CEP malformado e { erro: true } para CEP inexistente
+    if (response.status === 400) return null;
+    if (!response.ok) {
+      throw new AddressLookupError('network', `HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.erro) return null;
+
+    return {
+      cep,
+      logradouro: data.logradouro || '',
+      bairro: data.bairro || '',
+      cidade: data.localidade || '',
+      estado: data.uf || ''
+    };
+  }
+}
+
+/**
+ * Provedor que lê os endereços de um arquivo JSON local ({ "01310100": { ... } })
+ * Serve como alternativa sem conexão e como substituto do ViaCEP em testes.
+ */
+class LocalJsonProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url='data/ceps.json'] - Caminho do arquivo JSON
+   */
+  constructor({ url = 'data/ceps.json' } = {}) {
+    this.url = url;
+    this.data = null;
+  }
+
+  /**
+   * Consulta um CEP no arquivo (carregado uma única vez)
+   * @param {string} cep - CEP com 8 dígitos
+   * @returns {Promise<Object|null>} Endereço normalizado ou null se o CEP não existir
+   */
+  async lookup(cep, { signal } = {}) {
+    if (!this.data) {
+      const response = await fetch(this.url, { signal });
+      if (!response.ok) {
+        throw new AddressLookupError('network', `HTTP ${response.status}`);
+      }
+      this.data = await response.json();
+    }
+
+    const address = this.data[cep];
+    return address ? { cep, logradouro: '', bairro: '', cidade: '', estado: '', ...address } : null;
+  }
+}
+
+/**
+ * Consulta de endereço por CEP com cache no localStorage, tempo limite e
+ * provedores alternativos: se um provedor falhar por rede ou tempo, o próximo
+ * é consultado. A resposta "CEP não encontrado" só é definitiva quando vem de
+ * um provedor consultado antes de qualquer falha; depois de uma falha, os
+ * alternativos (como o JSON local, com poucos CEPs) podem apenas encontrar o
+ * endereço, e a falha original é mantida.
+ */
+class AddressLookup {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.providers] - Provedores em ordem de preferência (objetos com lookup(cep, { signal }))
+   * @param {number} [options.timeout=5000] - Tempo limite de cada provedor em ms
+   * @param {string} [options.cacheKey='cep-cache'] - Chave do cache no localStorage
+   * @param {number} [options.cacheTtl] - Validade do cache em ms (padrão: 30 dias)
+   */
+  constructor({
+    providers = [new ViaCepProvider(), new LocalJsonProvider()],
+    timeout = 5000,
+    cacheKey = 'cep-cache',
+    cacheTtl = 30 * 24 * 60 * 60 * 1000
+  } = {}) {
+    this.providers = providers;
+    this.timeout = timeout;
+    this.cacheKey = cacheKey;
+    this.cacheTtl = cacheTtl;
+  }
+
+  /**
+   * Busca o endereço de um CEP
+   * @param {string} cep - CEP com ou sem máscara
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Sinal para cancelar a consulta
+   * @returns {Promise<Object>} Endereço { cep, logradouro, bairro, cidade, estado }
+   * @throws {AddressLookupError} Quando o CEP não existe ou nenhum provedor respondeu
+   */
+  async lookup(cep, { signal } = {}) {
+    const digits = String(cep || '').replace(/\D/g, '');
+
+    if (digits.length !== 8) {
+      throw new AddressLookupError('not-found', 'CEP deve conter 8 dígitos.');
+    }
+
+    const cached = this.readCache(digits);
+    if (cached) return cached;
+
+    let lastError = new AddressLookupError('offline', 'Sem conexão para consultar o CEP.');
+    let failed = false;
+
+    for (const provider of this.providers) {
+      try {
+        const address = await this.withTimeout(provider, digits, signal);
+
+        if (!address) {
+          if (failed) break;
+          throw new AddressLookupError('not-found', 'CEP não encontrado.');
+        }
+
+        this.writeCache(digits, address);
+        return address;
+      } catch (error) {
+        if (error.code === 'not-found' || (signal && signal.aborted)) throw error;
+        lastError = error instanceof AddressLookupError ? error : new AddressLookupError('network', error.message);
+        failed = true;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Consulta um provedor respeitando o tempo limite
+   * @param {Object} provider - Provedor
+   * @param {string} cep - CEP com 8 dígitos
+   * @param {AbortSignal} [signal] - Sinal de cancelamento externo
+   * @returns {Promise<Object|null>} Resposta do provedor
+   */
+  async withTimeout(provider, cep, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timer = setTimeout(abort, this.timeout);
+
+    if (signal) signal.addEventListener('abort', abort);
+
+    try {
+      return await provider.lookup(cep, { signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted && !(signal && signal.aborted)) {
+        throw new AddressLookupError('timeout', 'Tempo esgotado ao consultar o CEP.');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Lê um endereço do cache, descartando entradas vencidas
+   * @param {string} cep - CEP com 8 dígitos
+   * @returns {Object|null} Endereço ou null
+   */
+  readCache(cep) {
+    const cache = JSON.parse(localStorage.getItem(this.cacheKey)) || {};
+    const entry = cache[cep];
+
+    if (!entry) return null;
+
+    if (Date.now() - entry.savedAt > this.cacheTtl) {
+      delete cache[cep];
+      localStorage.setItem(this.cacheKey, JSON.stringify(cache));
+      return null;
+    }
+
+    return entry.address;
+  }
+
+  /**
+   * Guarda um endereço no cache
+   * @param {string} cep - CEP com 8 dígitos
+   * @param {Object} address - Endereço
+   */
+  writeCache(cep, address) {
+    const cache = JSON.parse(localStorage.getItem(this.cacheKey)) || {};
+    cache[cep] = { address, savedAt: Date.now() };
+    localStorage.setItem(this.cacheKey, JSON.stringify(cache));
+  }
+}
+
+// Instância global; troque os provedores para usar outra API ou o JSON local em testes
+window.addressLookup = new AddressLookup();
@@ -0,0 +1,294 @@
+// js/cadastro.js - Regras específicas do formulário de cadastro de voluntários
+
+/**
+ * Faixas de CEP (cinco primeiros dígitos) de cada estado
+ */
+const CEP_RANGES = {
+  SP: [[1000, 19999]],
+  RJ: [[20000, 28999]],
+  ES: [[29000, 29999]],
+  MG: [[30000, 39999]],
+  BA: [[40000, 48999]],
+  SE: [[49000, 49999]],
+  PE: [[50000, 56999]],
+  AL: [[57000, 57999]],
+  PB: [[58000, 58999]],
+  RN: [[59000, 59999]],
+  CE: [[60000, 63999]],
+  PI: [[64000, 64999]],
+  MA: [[65000, 65999]],
+  PA: [[66000, 68899]],
+  AP: [[68900, 68999]],
+  AM: [[69000, 69299], [69400, 69899]],
+  RR: [[69300, 69399]],
+  AC: [[69900, 69999]],
+  DF: [[70000, 72799], [73000, 73699]],
+  GO: [[72800, 72999], [73700, 76799]],
+  RO: [[76800, 76999]],
+  TO: [[77000, 77999]],
+  MT: [[78000, 78899]],
+  MS: [[79000, 79999]],
+  PR: [[80000, 87999]],
+  SC: [[88000, 89999]],
+  RS: [[90000, 99999]]
+};
+
+/**
+ * Verifica se um CEP pertence às faixas de um estado
+ * @param {string} cep - CEP com ou sem máscara
+ * @param {string} uf - Sigla do estado
+ * @returns {boolean|null} Se pertence, ou null se não for possível verificar
+ */
+function cepMatchesState(cep, uf) {
+  const digits = String(cep || '').replace(/\D/g, '');
+  const ranges = CEP_RANGES[uf];
+
+  if (digits.length !== 8 || !ranges) return null;
+
+  const prefix = parseInt(digits.slice(0, 5), 10);
+  return ranges.some(([start, end]) => prefix >= start && prefix <= end);
+}
+
+/**
+ * Verifica se a data de nascimento indica um menor de idade
+ * @param {string} nasc - Data de nascimento (AAAA-MM-DD)
+ * @returns {boolean}
+ */
+function isMinor(nasc) {
+  const age = FormValidator.calculateAge(nasc);
+  return age !== null && age < 18;
+}
+
+/**
+ * Adiciona ao validador as regras entre campos do cadastro
+ * @param {FormValidator} validator - Validador do #cadastroForm
+ */
+function registerCadastroRules(validator) {
+  // CEP e estado precisam ser coerentes; o erro aparece nos dois campos
+  validator.addRule({
+    name: 'cep-estado',
+    fields: ['cep', 'estado'],
+    validate: ({ cep, estado }) => {
+      if (cepMatchesState(cep, estado) === false) {
+        return window.i18n.t('cadastro.cepEstado');
+      }
+      return null;
+    }
+  });
+
+  // Dados do responsável são obrigatórios apenas para menores de 18 anos
+  validator.addRule({
+    name: 'responsavel',
+    fields: ['responsavelNome', 'responsavelTelefone'],
+    dependsOn: ['nasc'],
+    validate: (values) => {
+      if (!isMinor(values.nasc)) return null;
+
+      const messages = {};
+      ['responsavelNome', 'responsavelTelefone'].forEach(name => {
+        if (!values[name] || !values[name].trim()) {
+          messages[name] = window.i18n.t('cadastro.responsavelRequired');
+        }
+      });
+      return messages;
+    }
+  });
+}
+
+/**
+ * Exibe (ou remove, com message nulo) um aviso abaixo do campo
+ * Diferente do erro, o aviso não impede o envio do formulário.
+ * @param {HTMLElement} field - Campo
+ * @param {string|null} message - Texto do aviso
+ */
+function setFieldHint(field, message) {
+  const existingHint = field.parentElement.querySelector('.form-field__hint');
+  if (existingHint) {
+    existingHint.remove();
+  }
+
+  if (message) {
+    const hint = document.createElement('span');
+    hint.className = 'form-field__hint';
+    hint.setAttribute('role', 'status');
+    hint.textContent = message;
+    field.parentElement.appendChild(hint);
+  }
+}
+
+/**
+ * Preenche os campos de endereço com o resultado da consulta de CEP
+ * Campos digitados pelo voluntário não são sobrescritos; os preenchidos por
+ * uma consulta anterior são atualizados.
+ * @param {FormValidator} validator - Validador do #cadastroForm
+ * @param {Object} address - Endereço retornado por window.addressLookup
+ */
+function fillAddress(validator, address) {
+  const values = {
+    endereco: [address.logradouro, address.bairro].filter(Boolean).join(', '),
+    cidade: address.cidade,
+    estado: address.estado
+  };
+
+  Object.entries(values).forEach(([name, value]) => {
+    const field = validator.form.elements.namedItem(name);
+    if (!field || !value) return;
+    if (field.value && field.value !== field.dataset.autofilled) return;
+
+    field.value = value;
+    field.dataset.autofilled = field.value;
+
+    if (validator.errors.has(field.id)) {
+      validator.clearFieldError(field.id);
+    }
+  });
+}
+
+/**
+ * Registra o validador cep-lookup, que consulta o CEP e preenche o endereço
+ * CEP inexistente é erro do campo; falhas do serviço (tempo esgotado, sem
+ * conexão) viram apenas um aviso, e o endereço pode ser digitado à mão.
+ * @param {FormValidator} validator - Validador do #cadastroForm
+ */
+function registerAddressLookup(validator) {
+  validator.registerValidator('cep-lookup', async (value, params, { field, signal }) => {
+    setFieldHint(field, null);
+
+    try {
+      fillAddress(validator, await window.addressLookup.lookup(value, { signal }));
+      return null;
+    } catch (error) {
+      if (signal.aborted) return null;
+
+      if (error.code === 'not-found') {
+        return window.i18n.t('cadastro.cepNotFound');
+      }
+
+      setFieldHint(field, window.i18n.t(error.code === 'timeout' ? 'cadastro.cepTimeout' : 'cadastro.cepUnavailable'));
+      return null;
+    }
+  }, { debounce: 300, pendingMessage: () => window.i18n.t('cadastro.cepSearching') });
+}
+
+/**
+ * Apaga os dados de quem está usando o formulário ("Apagar meus dados"): o
+ * rascunho, os cadastros enviados nesta sessão do navegador (pela data de envio
+ * ou pelo e-mail) e os envios desse e-mail que aguardam conexão. Os cadastros
+ * de outros voluntários no mesmo dispositivo continuam guardados; o dispositivo
+ * inteiro só é apagado no painel da coordenação.
+ * @param {FormValidator} validator - Validador do #cadastroForm
+ * @returns {Promise<void>}
+ */
+async function eraseOwnData(validator) {
+  const { timestamps, emails } = validator.getSessionSubmissions();
+
+  const draft = window.formDrafts.get(validator.form.id);
+  if (draft) draft.clear();
+
+  const entries = await validator.history.summaries();
+  const fingerprints = entries.length && emails.length
+    ? await Promise.all(emails.map(email => window.secureStorage.fingerprint(email)))
+    : [];
+
+  for (const entry of entries) {
+    if (timestamps.includes(entry.timestamp) || fingerprints.includes(entry.keys.email)) {
+      await validator.history.remove(entry.timestamp);
+    }
+  }
+
+  if (window.submissionClient) {
+    for (const entry of await window.submissionClient.getQueue()) {
+      if (emails.includes(SubmissionHistory.normalize(entry.data.email))) {
+        await window.submissionClient.removeEntry(entry.id);
+      }
+    }
+  }
+
+  validator.forgetSessionSubmissions();
+}
+
+/**
+ * Monta as opções do grupo "Projetos de interesse" a partir do catálogo
+ * Os projetos indicados no endereço (cadastro.html?projeto=slug, vindo do botão
+ * "Quero ser voluntário") já aparecem marcados.
+ * @param {HTMLElement} container - Elemento [data-project-options] do grupo
+ * @param {string|string[]} [preselected] - Slugs dos projetos a marcar
+ * @returns {Promise<void>}
+ */
+async function renderProjectOptions(container, preselected) {
+  const selected = [].concat(preselected || []);
+  let projects;
+
+  try {
+    projects = await window.projectStore.load();
+  } catch (error) {
+    console.warn('Não foi possível carregar os projetos:', error);
+    container.innerHTML = window.templateEngine.render('error-message', { message: window.i18n.t('catalog.loadError') });
+    return;
+  }
+
+  if (!container.isConnected) return;
+
+  window.templateEngine.renderTo('checkbox-options', container, {
+    group: 'projetos',
+    options: projects.map(project => ({
+      value: project.slug,
+      label: project.title,
+      checked: selected.includes(project.slug)
+    }))
+  });
+}
+
+// Configurar o formulário de cadastro sempre que a página for montada
+window.pageModules.register('cadastro.html', {
+  mount({ query }) {
+    const validator = window.formValidators.get('cadastroForm');
+    if (!validator) return;
+
+    registerCadastroRules(validator);
+    registerAddressLookup(validator);
+
+    // Os cadastros são guardados cifrados para a coordenação (ver VolunteerRegistry)
+    validator.history = new VolunteerRegistry({ key: validator.getStorageKey('submissions') });
+
+    this.controller = new AbortController();
+    const nasc = document.getElementById('nasc');
+    const responsavel = document.getElementById('responsavel');
+
+    // Exibir os campos do responsável apenas para menores
+    const toggleResponsavel = () => {
+      responsavel.hidden = !isMinor(nasc.value);
+    };
+
+    const projectOptions = validator.form.querySelector('[data-project-options]');
+    if (projectOptions) {
+      renderProjectOptions(projectOptions, query.projeto);
+    }
+
+    nasc.addEventListener('input', toggleResponsavel, { signal: this.controller.signal });
+    validator.form.addEventListener('reset', () => {
+      setFieldHint(document.getElementById('cep'), null);
+      setTimeout(toggleResponsavel);
+    }, { signal: this.controller.signal });
+    toggleResponsavel();
+
+    // "Apagar meus dados": remove só os dados de quem está usando o formulário
+    document.getElementById('apagarDados').addEventListener('click', async () => {
+      if (!confirm(window.i18n.t('cadastro.eraseConfirm'))) return;
+
+      try {
+        await eraseOwnData(validator);
+        validator.showMessage('success-message', window.i18n.t('cadastro.erased'));
+      } catch (error) {
+        console.warn('Não foi possível apagar os dados do cadastro:', error);
+        validator.showMessage('error-message', window.i18n.t('cadastro.eraseError'));
+      }
+    }, { signal: this.controller.signal });
+  },
+
+  unmount() {
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+});
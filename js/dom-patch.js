@@ -0,0 +1,147 @@
+// js/dom-patch.js - Atualização incremental do DOM
+
+/**
+ * Atualiza o conteúdo de um elemento alterando apenas os nós diferentes
+ * Ao contrário de innerHTML, preserva os nós que não mudaram e, com eles, o
+ * foco, o cursor, os valores digitados e os listeners já anexados.
+ * Filhos com o atributo data-key são associados pela chave, mesmo que mudem de posição.
+ */
+class DOMPatcher {
+  /**
+   * Aplica um HTML ao conteúdo de um elemento
+   * @param {HTMLElement} element - Elemento a atualizar
+   * @param {string} html - Novo conteúdo
+   */
+  static patch(element, html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    DOMPatcher.patchChildren(element, template.content);
+  }
+
+  /**
+   * Sincroniza os filhos de um nó com os filhos de outro
+   * @param {Node} oldParent - Nó presente no documento
+   * @param {Node} newParent - Nó com o conteúdo desejado
+   */
+  static patchChildren(oldParent, newParent) {
+    const keyed = new Map();
+    oldParent.childNodes.forEach(child => {
+      const key = DOMPatcher.getKey(child);
+      if (key !== null) keyed.set(key, child);
+    });
+
+    const used = new Set();
+    let cursor = oldParent.firstChild;
+
+    Array.from(newParent.childNodes).forEach(newChild => {
+      const key = DOMPatcher.getKey(newChild);
+      let match = null;
+
+      if (key !== null) {
+        const candidate = keyed.get(key);
+        if (candidate && !used.has(candidate) && DOMPatcher.isSameType(candidate, newChild)) {
+          match = candidate;
+        }
+      } else if (cursor && DOMPatcher.getKey(cursor) === null && DOMPatcher.isSameType(cursor, newChild)) {
+        match = cursor;
+      }
+
+      if (!match) {
+        oldParent.insertBefore(newChild, cursor);
+        used.add(newChild);
+        return;
+      }
+
+      if (match === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        oldParent.insertBefore(match, cursor);
+      }
+
+      used.add(match);
+      DOMPatcher.patchNode(match, newChild);
+    });
+
+    // Remover os nós antigos que não têm correspondente
+    Array.from(oldParent.childNodes).forEach(child => {
+      if (!used.has(child)) {
+        oldParent.removeChild(child);
+      }
+    });
+  }
+
+  /**
+   * Atualiza um nó existente a partir do nó desejado, de mesmo tipo
+   * @param {Node} oldNode - Nó presente no documento
+   * @param {Node} newNode - Nó com o conteúdo desejado
+   */
+  static patchNode(oldNode, newNode) {
+    if (oldNode.nodeType !== Node.ELEMENT_NODE) {
+      if (oldNode.nodeValue !== newNode.nodeValue) {
+        oldNode.nodeValue = newNode.nodeValue;
+      }
+      return;
+    }
+
+    // Componentes com estado montados cuidam do próprio conteúdo: só recebem as novas props
+    if (oldNode.__component) {
+      const propsChanged = oldNode.getAttribute('data-props') !== newNode.getAttribute('data-props');
+      DOMPatcher.patchAttributes(oldNode, newNode);
+
+      if (propsChanged) {
+        oldNode.__component.setProps(JSON.parse(newNode.getAttribute('data-props') || '{}'));
+      }
+      return;
+    }
+
+    DOMPatcher.patchAttributes(oldNode, newNode);
+    DOMPatcher.patchChildren(oldNode, newNode);
+  }
+
+  /**
+   * Sincroniza atributos
+   * Apenas atributos são alterados: as propriedades value/checked de campos
+   * que o usuário já editou continuam com o que foi digitado.
+   * @param {Element} oldEl - Elemento presente no documento
+   * @param {Element} newEl - Elemento com os atributos desejados
+   */
+  static patchAttributes(oldEl, newEl) {
+    Array.from(oldEl.attributes).forEach(({ name }) => {
+      if (!newEl.hasAttribute(name)) {
+        oldEl.removeAttribute(name);
+      }
+    });
+
+    Array.from(newEl.attributes).forEach(({ name, value }) => {
+      if (oldEl.getAttribute(name) !== value) {
+        oldEl.setAttribute(name, value);
+      }
+    });
+  }
+
+  /**
+   * Obtém a chave de um nó (atributo data-key)
+   * @param {Node} node - Nó
+   * @returns {string|null} Chave ou null
+   */
+  static getKey(node) {
+    return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') : null;
+  }
+
+  /**
+   * Verifica se dois nós podem ser reaproveitados um pelo outro
+   * @param {Node} a - Nó
+   * @param {Node} b - Nó
+   * @returns {boolean}
+   */
+  static isSameType(a, b) {
+    if (a.nodeType !== b.nodeType || a.nodeName !== b.nodeName) return false;
+
+    // Um input de texto não deve virar checkbox mantendo o estado antigo
+    if (a.nodeName === 'INPUT') {
+      return (a.getAttribute('type') || 'text') === (b.getAttribute('type') || 'text');
+    }
+
+    return true;
+  }
+}
@@ -0,0 +1,291 @@
+// js/form-drafts.js - Rascunho automático de formulários em preenchimento
+
+/**
+ * Rascunho de um formulário
+ * Enquanto o usuário digita, os valores são salvos após uma pausa (debounce) e
+ * ao sair da página. Ao voltar, um aviso pergunta se o rascunho deve ser
+ * restaurado. Configuração no HTML:
+ *   <form id="cadastroForm" data-draft data-draft-exclude="cpf" data-draft-expires="72">
+ * data-draft-exclude lista campos sensíveis que nunca entram no rascunho e
+ * data-draft-expires define a validade em horas. O rascunho só é guardado
+ * cifrado em window.secureStorage enquanto o campo de consentimento do próprio
+ * formulário (data-storage-consent) estiver marcado; até lá, ou se for
+ * desmarcado, fica apenas no sessionStorage e some quando a aba é fechada.
+ * Como a cifragem é assíncrona e não termina se a página for fechada
+ * (pagehide), o rascunho também vai para o sessionStorage até a gravação
+ * cifrada terminar.
+ */
+class FormDraft {
+  /**
+   * @param {HTMLFormElement} form - Formulário (precisa de id)
+   * @param {Object} [options]
+   * @param {string[]} [options.exclude] - Campos que não entram no rascunho
+   * @param {number} [options.expiresIn] - Validade do rascunho em ms (padrão: 72 horas)
+   * @param {number} [options.debounce=1000] - Pausa na digitação antes de salvar em ms
+   */
+  constructor(form, options = {}) {
+    const { draftExclude = '', draftExpires = '72' } = form.dataset;
+
+    this.form = form;
+    this.key = `${form.id}-draft`;
+    this.exclude = new Set(options.exclude || draftExclude.split(',').map(name => name.trim()).filter(Boolean));
+    this.expiresIn = options.expiresIn || Number(draftExpires) * 60 * 60 * 1000;
+    this.debounce = options.debounce !== undefined ? options.debounce : 1000;
+    this.timer = null;
+    this.revision = 0;
+    this.listeners = new AbortController();
+
+    // O campo de consentimento é uma preferência, não um dado do formulário
+    if (form.dataset.storageConsent) {
+      this.exclude.add(form.dataset.storageConsent);
+    }
+  }
+
+  /**
+   * Começa a salvar o rascunho e oferece a restauração do anterior, se houver
+   * @returns {Promise<void>}
+   */
+  async init() {
+    const { signal } = this.listeners;
+
+    this.form.addEventListener('input', () => this.scheduleSave(), { signal });
+    this.form.addEventListener('change', () => this.scheduleSave(), { signal });
+    this.form.addEventListener('formSubmitted', () => this.clear(), { signal });
+    window.addEventListener('pagehide', () => this.flush(), { signal });
+
+    const draft = await this.load();
+    if (draft && !signal.aborted) {
+      this.showRestorePrompt(draft);
+    }
+  }
+
+  /**
+   * Agenda o salvamento para depois da pausa na digitação
+   */
+  scheduleSave() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.save();
+    }, this.debounce);
+  }
+
+  /**
+   * Salva imediatamente se houver um salvamento agendado (ex: ao sair da página)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      await this.save();
+    }
+  }
+
+  /**
+   * Coleta os valores do formulário, sem os campos excluídos
+   * @returns {Object} Valores por name; checkboxes como booleano e grupos de
+   *   caixas de seleção (fieldset[name]) como a lista das opções marcadas
+   */
+  collect() {
+    const values = {};
+
+    Array.from(this.form.elements).forEach(field => {
+      if (!field.name || this.exclude.has(field.name) || field.disabled) return;
+      if (['submit', 'button', 'reset', 'file', 'password'].includes(field.type)) return;
+
+      if (field.tagName === 'FIELDSET') {
+        values[field.name] = FormValidator.getGroupValue(field);
+      } else if (field.type === 'checkbox' && field.closest(`fieldset[name="${field.name}"]`)) {
+        return;
+      } else if (field.type === 'checkbox') {
+        values[field.name] = field.checked;
+      } else if (field.type === 'radio') {
+        if (field.checked) values[field.name] = field.value;
+      } else {
+        values[field.name] = window.inputMasks ? window.inputMasks.getRawValue(field) : field.value;
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Salva o rascunho; um formulário vazio apaga o rascunho existente
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const values = this.collect();
+    const hasContent = Object.values(values).some(value => typeof value === 'boolean' ? value : !FormValidator.isEmpty(value));
+
+    if (!hasContent) {
+      this.clear();
+      return;
+    }
+
+    const draft = { savedAt: new Date().toISOString(), values };
+    const revision = ++this.revision;
+
+    // Gravação síncrona: é a única que termina ao sair da página
+    sessionStorage.setItem(this.key, JSON.stringify(draft));
+
+    if (!this.hasStorageConsent()) {
+      // Sem o consentimento de quem preenche agora, nada fica além da aba
+      window.secureStorage.removeItem(this.key);
+      return;
+    }
+
+    if (await window.secureStorage.setItem(this.key, draft)) {
+      // A cópia só sai depois da gravação cifrada, e se nenhuma mais nova a substituiu
+      if (revision === this.revision) {
+        sessionStorage.removeItem(this.key);
+      }
+    }
+  }
+
+  /**
+   * Verifica se o campo de consentimento do formulário está marcado
+   * @returns {boolean} Se o rascunho pode ser guardado no dispositivo
+   */
+  hasStorageConsent() {
+    const name = this.form.dataset.storageConsent;
+    const field = name && this.form.elements.namedItem(name);
+    return Boolean(field && field.checked);
+  }
+
+  /**
+   * Carrega o rascunho, descartando-o se tiver vencido
+   * @returns {Promise<Object|null>} Rascunho { savedAt, values } ou null
+   */
+  async load() {
+    const draft = JSON.parse(sessionStorage.getItem(this.key)) || await window.secureStorage.getItem(this.key);
+    if (!draft) return null;
+
+    if (Date.now() - new Date(draft.savedAt).getTime() > this.expiresIn) {
+      this.clear();
+      return null;
+    }
+
+    return draft;
+  }
+
+  /**
+   * Apaga o rascunho
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    sessionStorage.removeItem(this.key);
+    window.secureStorage.removeItem(this.key);
+    this.removePrompt();
+  }
+
+  /**
+   * Preenche o formulário com o rascunho
+   * Os campos recebem um evento input, para que máscaras, validação e
+   * campos condicionais reajam como se o usuário tivesse digitado.
+   * @param {Object} draft - Rascunho { savedAt, values }
+   */
+  restore(draft) {
+    Object.entries(draft.values).forEach(([name, value]) => {
+      const field = this.form.elements.namedItem(name);
+      if (!field || this.exclude.has(name)) return;
+
+      if (Array.isArray(value)) {
+        const group = this.form.querySelector(`fieldset[name="${name}"]`);
+        if (group) {
+          FormValidator.setGroupValue(group, value);
+          group.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        return;
+      }
+
+      if (field instanceof RadioNodeList) {
+        Array.from(field).forEach(radio => { radio.checked = radio.value === value; });
+        return;
+      }
+
+      if (field.type === 'checkbox') {
+        field.checked = Boolean(value);
+      } else if (window.inputMasks) {
+        window.inputMasks.setValue(field, value);
+      } else {
+        field.value = value;
+      }
+
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+  }
+
+  /**
+   * Exibe acima do formulário o aviso de rascunho encontrado
+   * @param {Object} draft - Rascunho { savedAt, values }
+   */
+  showRestorePrompt(draft) {
+    this.removePrompt();
+
+    const prompt = document.createElement('div');
+    prompt.className = 'form-draft-prompt';
+    prompt.innerHTML = window.templateEngine.render('draft-prompt', {
+      savedAt: window.i18n.formatDate(draft.savedAt, { dateStyle: 'short', timeStyle: 'short' })
+    });
+
+    prompt.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-draft-action]');
+      if (!action) return;
+
+      if (action.dataset.draftAction === 'restore') {
+        this.restore(draft);
+        this.removePrompt();
+      } else {
+        this.clear();
+      }
+    }, { signal: this.listeners.signal });
+
+    this.form.parentElement.insertBefore(prompt, this.form);
+  }
+
+  /**
+   * Remove o aviso de rascunho
+   */
+  removePrompt() {
+    const prompt = this.form.parentElement && this.form.parentElement.querySelector('.form-draft-prompt');
+    if (prompt) {
+      prompt.remove();
+    }
+  }
+
+  /**
+   * Salva o que estiver pendente e remove os listeners (usado ao sair da página no SPA)
+   * @returns {Promise<void>}
+   */
+  destroy() {
+    this.listeners.abort();
+    return this.flush();
+  }
+}
+
+// Rascunhos ativos, por id do formulário
+window.formDrafts = new Map();
+
+// Ativar o rascunho em cada formulário com data-draft
+window.pageModules.register('*', {
+  mount({ container }) {
+    container.querySelectorAll('form[data-draft][id]').forEach(form => {
+      const draft = new FormDraft(form);
+      window.formDrafts.set(form.id, draft);
+      draft.init().catch(error => {
+        console.warn(`Não foi possível carregar o rascunho de "${form.id}":`, error);
+      });
+    });
+  },
+
+  unmount() {
+    window.formDrafts.forEach((draft, id) => {
+      draft.destroy().catch(error => {
+        console.warn(`Não foi possível salvar o rascunho de "${id}":`, error);
+      });
+    });
+    window.formDrafts.clear();
+  }
+});
@@ -0,0 +1,356 @@
+// js/form-wizard.js - Formulário em etapas com revisão final
+
+/**
+ * Assistente de etapas para um FormValidator
+ * Cada <fieldset data-step> do formulário é uma etapa; a última pode ser
+ * data-step="review", que recebe em [data-wizard-review] o resumo das respostas.
+ * Só se avança com os campos da etapa válidos. Cada troca de etapa entra no
+ * histórico do SPA, então voltar/avançar do navegador também troca de etapa.
+ * Sem JavaScript, o formulário continua funcionando como uma página única.
+ *   <form id="cadastroForm" data-validator data-wizard>
+ */
+class FormWizard {
+  /**
+   * @param {FormValidator} validator - Validador do formulário
+   */
+  constructor(validator) {
+    this.validator = validator;
+    this.form = validator.form;
+    this.steps = Array.from(this.form.querySelectorAll('fieldset[data-step]'));
+    this.current = 0;
+    this.listeners = new AbortController();
+  }
+
+  /**
+   * Monta o indicador de progresso e a navegação e exibe a primeira etapa
+   */
+  init() {
+    const { signal } = this.listeners;
+
+    this.form.classList.add('form--wizard');
+    this.validator.wizard = this;
+
+    this.progress = document.createElement('nav');
+    this.progress.className = 'wizard-progress';
+    this.progress.setAttribute('aria-label', window.i18n.t('wizard.steps'));
+    this.form.prepend(this.progress);
+
+    const nav = document.createElement('div');
+    nav.innerHTML = window.templateEngine.render('wizard-nav');
+    this.nav = nav.firstElementChild;
+    this.steps[this.steps.length - 1].after(this.nav);
+
+    this.form.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-wizard-action], [data-wizard-goto]');
+      if (!action) return;
+
+      if (action.dataset.wizardAction === 'next') {
+        this.next();
+      } else if (action.dataset.wizardAction === 'back') {
+        this.back();
+      } else {
+        this.goTo(Number(action.dataset.wizardGoto));
+      }
+    }, { signal });
+
+    // Voltar/avançar do navegador entre etapas desta página
+    window.addEventListener('pageStateChange', (e) => {
+      const state = e.detail.state;
+      this.show(state && state.wizard === this.form.id ? state.step : 0, { focus: true });
+    }, { signal });
+
+    // Trocar o idioma da navegação, do progresso e da revisão
+    window.addEventListener('localeChange', () => this.translate(), { signal });
+
+    // Depois do envio, recomeçar da primeira etapa
+    this.form.addEventListener('formSubmitted', () => this.goTo(0, { replace: true, focus: false }), { signal });
+
+    this.show(0);
+  }
+
+  /**
+   * Verifica se a etapa atual é a última (revisão)
+   * @returns {boolean}
+   */
+  isLastStep() {
+    return this.current === this.steps.length - 1;
+  }
+
+  /**
+   * Valida a etapa atual e avança
+   * @returns {Promise<boolean>} Se avançou
+   */
+  async next() {
+    if (this.isLastStep()) return false;
+
+    const step = this.current;
+    const valid = await this.validator.validateFields(this.steps[step]);
+
+    // O usuário pode ter mudado de etapa durante uma validação assíncrona
+    if (step !== this.current) return false;
+
+    if (!valid) {
+      this.focusFirstInvalid(this.steps[step]);
+      return false;
+    }
+
+    this.goTo(step + 1);
+    return true;
+  }
+
+  /**
+   * Volta uma etapa; se a etapa atual veio da anterior, usa o voltar do navegador
+   */
+  back() {
+    if (this.current === 0) return;
+
+    const state = window.history.state;
+    const data = state && state.data;
+
+    if (window.spa && data && data.wizard === this.form.id && data.step === this.current && data.from === this.current - 1) {
+      window.history.back();
+    } else {
+      this.goTo(this.current - 1);
+    }
+  }
+
+  /**
+   * Vai para uma etapa, registrando a troca no histórico
+   * @param {number} index - Índice da etapa
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Substituir a entrada atual em vez de criar outra
+   * @param {boolean} [options.focus=true] - Mover o foco para a etapa
+   */
+  goTo(index, { replace = false, focus = true } = {}) {
+    const target = Math.max(0, Math.min(index, this.steps.length - 1));
+    const data = target === 0 ? null : { wizard: this.form.id, step: target, from: this.current };
+
+    if (window.spa && target !== this.current) {
+      if (replace) {
+        window.spa.replacePageState(data);
+      } else {
+        window.spa.pushPageState(data);
+      }
+    }
+
+    this.show(target, { focus });
+  }
+
+  /**
+   * Exibe uma etapa sem mexer no histórico
+   * @param {number} index - Índice da etapa
+   * @param {Object} [options]
+   * @param {boolean} [options.focus=false] - Mover o foco para o título da etapa
+   */
+  show(index, { focus = false } = {}) {
+    this.current = Math.max(0, Math.min(index, this.steps.length - 1));
+
+    this.steps.forEach((step, i) => {
+      step.hidden = i !== this.current;
+    });
+
+    const step = this.steps[this.current];
+    if (step.dataset.step === 'review') {
+      this.renderReview(step);
+    }
+
+    this.nav.querySelector('[data-wizard-action="back"]').hidden = this.current === 0;
+    this.nav.querySelector('[data-wizard-action="next"]').hidden = this.isLastStep();
+
+    const submit = this.form.querySelector('[type="submit"]');
+    if (submit) {
+      submit.hidden = !this.isLastStep();
+    }
+
+    this.renderProgress();
+
+    if (focus) {
+      const legend = step.querySelector('legend');
+      if (legend) {
+        legend.setAttribute('tabindex', '-1');
+        legend.focus();
+      }
+    }
+  }
+
+  /**
+   * Renderiza de novo os textos gerados pelo wizard no idioma atual
+   */
+  translate() {
+    this.progress.setAttribute('aria-label', window.i18n.t('wizard.steps'));
+
+    const nav = document.createElement('div');
+    nav.innerHTML = window.templateEngine.render('wizard-nav');
+    DOMPatcher.patch(this.nav, nav.firstElementChild.innerHTML);
+
+    this.show(this.current);
+  }
+
+  /**
+   * Atualiza o indicador de progresso
+   */
+  renderProgress() {
+    const steps = this.steps.map((step, i) => ({
+      title: this.getStepTitle(step),
+      current: i === this.current,
+      done: i < this.current
+    }));
+
+    window.templateEngine.renderTo('wizard-progress', this.progress, {
+      steps,
+      position: this.current + 1,
+      total: this.steps.length,
+      currentTitle: steps[this.current].title
+    }, { patch: true });
+  }
+
+  /**
+   * Monta o resumo das respostas na etapa de revisão
+   * @param {HTMLElement} reviewStep - Etapa de revisão
+   */
+  renderReview(reviewStep) {
+    const container = reviewStep.querySelector('[data-wizard-review]');
+    if (!container) return;
+
+    const steps = this.steps
+      .map((step, index) => ({ step, index }))
+      .filter(({ step }) => step !== reviewStep)
+      .map(({ step, index }) => ({
+        index,
+        title: this.getStepTitle(step),
+        answers: this.collectAnswers(step)
+      }));
+
+    window.templateEngine.renderTo('wizard-review', container, { steps });
+  }
+
+  /**
+   * Lista as respostas de uma etapa, ignorando grupos ocultos (ex: responsável de adultos)
+   * Um grupo de caixas de seleção (fieldset[name]) é uma única resposta.
+   * @param {HTMLElement} step - Etapa
+   * @returns {Array<{label: string, value: string}>}
+   */
+  collectAnswers(step) {
+    return Array.from(step.querySelectorAll(FormValidator.FIELDS))
+      .filter(field => {
+        const hiddenGroup = field.parentElement.closest('[hidden]');
+        const optionGroup = field.tagName !== 'FIELDSET' && field.closest(`fieldset[name="${field.name}"]`);
+        return field.name && field.type !== 'hidden' && !optionGroup && (!hiddenGroup || hiddenGroup === step);
+      })
+      .map(field => ({ label: this.getFieldLabel(field), value: this.getDisplayValue(field) }));
+  }
+
+  /**
+   * Obtém o texto do rótulo de um campo, sem o asterisco de obrigatório
+   * @param {HTMLElement} field - Campo
+   * @returns {string}
+   */
+  getFieldLabel(field) {
+    if (field.tagName === 'FIELDSET') {
+      const legend = field.querySelector('legend');
+      return legend ? legend.textContent.replace(/\s*\*\s*$/, '').trim() : field.name;
+    }
+
+    const label = field.id ? this.form.querySelector(`label[for="${field.id}"]`) : null;
+    return label ? label.textContent.replace(/\s*\*\s*$/, '').trim() : field.name;
+  }
+
+  /**
+   * Obtém o valor de um campo como o usuário o vê
+   * @param {HTMLElement} field - Campo
+   * @returns {string}
+   */
+  getDisplayValue(field) {
+    if (field.tagName === 'FIELDSET') {
+      const checked = Array.from(field.querySelectorAll('input[type="checkbox"]:checked'))
+        .filter(option => option.name === field.name)
+        .map(option => this.getFieldLabel(option));
+      return checked.length ? checked.join(', ') : '—';
+    }
+
+    if (field.type === 'checkbox') {
+      return window.i18n.t(field.checked ? 'common.yes' : 'common.no');
+    }
+
+    if (field.tagName === 'SELECT') {
+      const option = field.selectedOptions[0];
+      return option && option.value ? option.textContent.trim() : '—';
+    }
+
+    if (field.type === 'date' && field.value) {
+      return window.i18n.formatDate(field.value);
+    }
+
+    return field.value.trim() || '—';
+  }
+
+  /**
+   * Obtém o título de uma etapa (texto da legend)
+   * @param {HTMLElement} step - Etapa
+   * @returns {string}
+   */
+  getStepTitle(step) {
+    const legend = step.querySelector('legend');
+    return legend ? legend.textContent.trim() : window.i18n.t('wizard.step', { number: this.steps.indexOf(step) + 1 });
+  }
+
+  /**
+   * Vai para a primeira etapa com erro (usado quando o envio final falha)
+   */
+  showFirstInvalid() {
+    const index = this.steps.findIndex(step =>
+      Array.from(step.querySelectorAll(FormValidator.FIELDS)).some(field => this.validator.errors.has(field.id))
+    );
+
+    if (index === -1) return;
+
+    this.goTo(index, { focus: false });
+    this.focusFirstInvalid(this.steps[index]);
+  }
+
+  /**
+   * Move o foco para o primeiro campo com erro de uma etapa
+   * @param {HTMLElement} step - Etapa
+   */
+  focusFirstInvalid(step) {
+    const field = Array.from(step.querySelectorAll(FormValidator.FIELDS))
+      .find(input => this.validator.errors.has(input.id));
+
+    if (field) {
+      // Em um grupo, o foco vai para a primeira opção
+      (field.tagName === 'FIELDSET' ? field.querySelector('input') || field : field).focus();
+    }
+  }
+
+  /**
+   * Remove os listeners (usado ao sair da página no SPA)
+   */
+  destroy() {
+    this.listeners.abort();
+    this.validator.wizard = null;
+  }
+}
+
+// Wizards ativos, por id do formulário
+window.formWizards = new Map();
+
+// Dividir em etapas os formulários com data-wizard (depois de criados os validadores)
+window.pageModules.register('*', {
+  mount({ container }) {
+    container.querySelectorAll('form[data-wizard]').forEach(form => {
+      const validator = window.formValidators.get(form.id);
+      if (!validator) return;
+
+      const wizard = new FormWizard(validator);
+      if (wizard.steps.length < 2) return;
+
+      wizard.init();
+      window.formWizards.set(form.id, wizard);
+    });
+  },
+
+  unmount() {
+    window.formWizards.forEach(wizard => wizard.destroy());
+    window.formWizards.clear();
+  }
+});
@@ -0,0 +1,907 @@
+// js/i18n.js - Catálogo de mensagens e troca de idioma (pt-BR, en, es)
+
+/**
+ * Internacionalização
+ * As mensagens ficam em catálogos por idioma, com chaves em pontos
+ * ('validation.required'). Parâmetros entre chaves são substituídos:
+ *   t('validation.minlength', { min: 3 })
+ * Chaves ausentes caem para o idioma base (ex: 'en-US' -> 'en'), depois para
+ * pt-BR e, por fim, para a própria chave. No HTML, data-i18n traduz o texto do
+ * elemento e data-i18n-attr traduz atributos:
+ *   <legend data-i18n="cadastro.personal">Dados pessoais</legend>
+ *   <input data-i18n-attr="data-message-match:cadastro.emailMismatch">
+ * Nos templates, use o helper {{t "chave" nome=caminho}} (ver TemplateEngine).
+ */
+class I18n {
+  static SUPPORTED = ['pt-BR', 'en', 'es'];
+  static FALLBACK = 'pt-BR';
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey='locale'] - Chave do idioma escolhido no localStorage
+   */
+  constructor({ storageKey = 'locale' } = {}) {
+    this.storageKey = storageKey;
+    this.catalogs = new Map();
+    this.locale = this.detectLocale();
+  }
+
+  /**
+   * Adiciona mensagens ao catálogo de um idioma (mesclando com as existentes)
+   * @param {string} locale - Idioma (ex: 'pt-BR', 'en')
+   * @param {Object} messages - Mensagens por chave
+   */
+  addMessages(locale, messages) {
+    this.catalogs.set(locale, { ...this.catalogs.get(locale), ...messages });
+  }
+
+  /**
+   * Traduz uma chave no idioma atual
+   * @param {string} key - Chave da mensagem
+   * @param {Object} [params] - Valores para os marcadores {nome}
+   * @returns {string} Mensagem traduzida (ou a própria chave, se não existir)
+   */
+  t(key, params = {}) {
+    const message = this.lookup(key) || key;
+
+    return message.replace(/\{(\w+)\}/g, (marker, name) =>
+      params[name] === undefined || params[name] === null ? marker : String(params[name])
+    );
+  }
+
+  /**
+   * Traduz uma mensagem que varia com uma quantidade
+   * Usa a chave '<key>.<categoria>' do Intl.PluralRules ('one', 'other'...),
+   * caindo para '<key>.other'; com quantidade zero, '<key>.zero' tem prioridade
+   * (em pt-BR, zero é 'one'). O marcador {count} recebe a quantidade.
+   *   plural('catalog.count', 2) -> '2 projetos encontrados'
+   * @param {string} key - Prefixo das chaves
+   * @param {number} count - Quantidade
+   * @param {Object} [params] - Outros valores para os marcadores
+   * @returns {string}
+   */
+  plural(key, count, params = {}) {
+    const category = count === 0 && this.lookup(`${key}.zero`) ? 'zero' : new Intl.PluralRules(this.locale).select(count);
+    const variant = this.lookup(`${key}.${category}`) ? category : 'other';
+    return this.t(`${key}.${variant}`, { count, ...params });
+  }
+
+  /**
+   * Procura uma mensagem no idioma atual, no idioma base e em pt-BR
+   * @param {string} key - Chave da mensagem
+   * @returns {string|null}
+   */
+  lookup(key) {
+    const candidates = [this.locale, this.locale.split('-')[0], I18n.FALLBACK];
+    const catalog = candidates.map(locale => this.catalogs.get(locale)).find(messages => messages && key in messages);
+    return catalog ? catalog[key] : null;
+  }
+
+  /**
+   * Encontra o idioma suportado mais próximo (ex: 'en-US' -> 'en', 'pt' -> 'pt-BR')
+   * @param {string} candidate - Código do idioma
+   * @returns {string|null} Idioma suportado ou null
+   */
+  static resolveLocale(candidate) {
+    if (!candidate) return null;
+
+    const lower = candidate.toLowerCase();
+    return I18n.SUPPORTED.find(locale => locale.toLowerCase() === lower) ||
+      I18n.SUPPORTED.find(locale => locale.split('-')[0] === lower.split('-')[0]) ||
+      null;
+  }
+
+  /**
+   * Remove os acentos de um texto ('São José' -> 'Sao Jose')
+   * @param {string} text - Texto
+   * @returns {string}
+   */
+  static stripAccents(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Detecta o idioma: escolha salva, depois idiomas do navegador, depois pt-BR
+   * @returns {string}
+   */
+  detectLocale() {
+    const candidates = [localStorage.getItem(this.storageKey), ...(navigator.languages || [navigator.language])];
+
+    for (const candidate of candidates) {
+      const locale = I18n.resolveLocale(candidate);
+      if (locale) return locale;
+    }
+
+    return I18n.FALLBACK;
+  }
+
+  /**
+   * Troca o idioma, traduz a página e avisa os módulos com o evento localeChange
+   * @param {string} locale - Idioma (um dos I18n.SUPPORTED)
+   * @returns {boolean} Se o idioma foi trocado
+   */
+  setLocale(locale) {
+    const resolved = I18n.resolveLocale(locale);
+    if (!resolved || resolved === this.locale) return false;
+
+    this.locale = resolved;
+    localStorage.setItem(this.storageKey, resolved);
+    this.translate(document);
+
+    window.dispatchEvent(new CustomEvent('localeChange', { detail: { locale: resolved } }));
+    return true;
+  }
+
+  /**
+   * Aplica as traduções de data-i18n e data-i18n-attr dentro de um elemento
+   * @param {ParentNode} root - Elemento raiz (ou o documento)
+   */
+  translate(root) {
+    if (root === document) {
+      document.documentElement.lang = this.locale;
+    }
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (attribute && key) {
+          element.setAttribute(attribute, this.t(key));
+        }
+      });
+    });
+
+    root.querySelectorAll('select[data-locale-switcher]').forEach(select => {
+      select.value = this.locale;
+    });
+  }
+
+  /**
+   * Formata uma data no idioma atual
+   * Datas sem horário ('AAAA-MM-DD', como as de <input type="date">) são
+   * formatadas sem conversão de fuso, para não mudarem de dia.
+   * @param {string|number|Date} value - Data
+   * @param {Object} [options] - Opções do Intl.DateTimeFormat (padrão: dd/mm/aaaa no formato do idioma)
+   * @returns {string} Data formatada ou '' se for inválida
+   */
+  formatDate(value, options = { day: '2-digit', month: '2-digit', year: 'numeric' }) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+
+    const dateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    return new Intl.DateTimeFormat(this.locale, { ...options, ...(dateOnly ? { timeZone: 'UTC' } : {}) }).format(date);
+  }
+
+  /**
+   * Formata um número no idioma atual
+   * @param {number} value - Número
+   * @param {Object} [options] - Opções do Intl.NumberFormat
+   * @returns {string}
+   */
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.locale, options).format(value);
+  }
+}
+
+// Instância global; window.t é um atalho para window.i18n.t
+window.i18n = new I18n();
+window.t = (key, params) => window.i18n.t(key, params);
+
+/**
+ * Registra os catálogos de mensagens do projeto
+ */
+function registerDefaultMessages() {
+  window.i18n.addMessages('pt-BR', {
+    'locale.label': 'Idioma',
+    'nav.main': 'Menu principal',
+    'nav.home': 'Início',
+    'nav.projects': 'Projetos',
+    'nav.signup': 'Cadastro',
+    'nav.donate': 'Doar',
+    'nav.openMenu': 'Abrir menu',
+    'nav.pageLoaded': 'Página carregada: {title}',
+
+    'alert.error': 'Erro!',
+    'alert.success': 'Sucesso!',
+    'alert.warning': 'Atenção!',
+    'common.yes': 'Sim',
+    'common.no': 'Não',
+
+    'validation.pending': 'Validando…',
+    'validation.required': 'Este campo é obrigatório.',
+    'validation.email': 'E-mail inválido. Verifique o formato.',
+    'validation.cpf.length': 'CPF deve conter 11 dígitos.',
+    'validation.cpf.invalid': 'CPF inválido.',
+    'validation.telefone.length': 'Telefone deve conter 10 ou 11 dígitos.',
+    'validation.telefone.international': 'Telefone internacional deve conter de 8 a 15 dígitos após o +, incluindo o código do país.',
+    'validation.cep.length': 'CEP deve conter 8 dígitos.',
+    'validation.nasc.invalid': 'Data de nascimento inválida.',
+    'validation.nasc.future': 'Data de nascimento não pode ser no futuro.',
+    'validation.match': 'Os valores informados não conferem.',
+    'validation.minlength': 'Este campo deve conter no mínimo {min} caracteres.',
+    'validation.estado': 'Por favor, selecione um estado.',
+    'validation.unique': 'Este valor já está cadastrado.',
+    'validation.choose': 'Selecione ao menos uma opção.',
+    'validation.failed': 'Não foi possível validar este campo. Tente novamente.',
+
+    'form.sending': 'Enviando…',
+    'form.saved': 'Formulário enviado com sucesso. Os dados foram salvos localmente.',
+    'form.sent': 'Formulário enviado com sucesso.',
+    'form.notStored': 'Não há servidor para receber o formulário, e ele só pode ser guardado neste dispositivo com a sua autorização. Marque a opção de guardar os dados e envie novamente.',
+    'form.queued': 'Você está sem conexão. O formulário foi guardado e será enviado automaticamente quando a conexão voltar.',
+    'form.queuedSession': 'Você está sem conexão. O formulário será enviado automaticamente quando a conexão voltar; mantenha esta página aberta até lá.',
+    'form.rejected': 'Não foi possível enviar o formulário. {reason} Revise os dados e tente novamente.',
+    'form.failed': 'Ocorreu um erro ao enviar o formulário. Tente novamente.',
+    'form.leaveConfirm': 'Você tem dados não enviados no cadastro. Deseja sair mesmo assim?',
+
+    'submission.timeout': 'Tempo esgotado ao enviar.',
+    'submission.network': 'Falha de conexão ao enviar.',
+    'submission.rejected': 'O servidor recusou o envio (HTTP {status}).',
+
+    'draft.found': 'Encontramos um rascunho deste formulário salvo em {savedAt}. Deseja continuar de onde parou?',
+    'draft.restore': 'Restaurar rascunho',
+    'draft.discard': 'Descartar',
+
+    'wizard.steps': 'Etapas do formulário',
+    'wizard.step': 'Etapa {number}',
+    'wizard.position': 'Etapa {position} de {total}: {title}',
+    'wizard.back': 'Voltar',
+    'wizard.next': 'Avançar',
+    'wizard.edit': 'Editar {title}',
+
+    'notFound.title': 'Página não encontrada',
+    'notFound.text': 'O endereço acessado não existe ou foi removido.',
+    'notFound.home': 'Voltar ao início',
+
+    'project.untitled': 'Sem título',
+    'project.noDescription': 'Sem descrição',
+    'project.image': 'Projeto',
+    'project.more': 'Saiba mais',
+    'project.save': '☆ Salvar',
+    'project.saved': '★ Salvo',
+    'project.empty': 'Nenhum projeto encontrado.',
+
+    'catalog.title': 'Projetos Sociais',
+    'catalog.search': 'Buscar',
+    'catalog.category': 'Categoria',
+    'catalog.state': 'Estado',
+    'catalog.city': 'Cidade',
+    'catalog.sort': 'Ordenar por',
+    'catalog.any': 'Todos',
+    'catalog.sort.recent': 'Mais recentes',
+    'catalog.sort.title': 'Nome (A–Z)',
+    'catalog.sort.city': 'Cidade',
+    'catalog.apply': 'Filtrar',
+    'catalog.clear': 'Limpar filtros',
+    'catalog.count.zero': 'Nenhum projeto encontrado',
+    'catalog.count.one': '{count} projeto encontrado',
+    'catalog.count.other': '{count} projetos encontrados',
+    'catalog.pages': 'Páginas de resultados',
+    'catalog.previous': 'Anterior',
+    'catalog.next': 'Próxima',
+    'catalog.loadError': 'Não foi possível carregar os projetos. Tente novamente mais tarde.',
+    'catalog.all': 'Ver todos os projetos',
+    'category.assistencia': 'Assistência social',
+    'category.educacao': 'Educação',
+    'category.alimentacao': 'Alimentação',
+    'category.meio-ambiente': 'Meio ambiente',
+    'project.back': 'Voltar aos projetos',
+    'project.since': 'Desde {date}',
+    'project.volunteer': 'Quero ser voluntário',
+    'project.donate': 'Como doar',
+    'catalog.volunteers.zero': 'Nenhum voluntário ainda',
+    'catalog.volunteers.one': '{count} voluntário',
+    'catalog.volunteers.other': '{count} voluntários',
+
+    'cadastro.title': 'Cadastro de Voluntário',
+    'cadastro.personal': 'Dados pessoais',
+    'cadastro.address': 'Endereço',
+    'cadastro.review': 'Revisão',
+    'cadastro.availability': 'Projetos e disponibilidade',
+    'cadastro.projetos': 'Projetos de interesse',
+    'cadastro.projetosLoading': 'Carregando projetos…',
+    'cadastro.projetosRequired': 'Escolha ao menos um projeto.',
+    'cadastro.dias': 'Dias disponíveis',
+    'cadastro.diasRequired': 'Escolha ao menos um dia da semana.',
+    'cadastro.turnos': 'Turnos disponíveis',
+    'cadastro.turnosRequired': 'Escolha ao menos um turno.',
+    'weekday.seg': 'Segunda-feira',
+    'weekday.ter': 'Terça-feira',
+    'weekday.qua': 'Quarta-feira',
+    'weekday.qui': 'Quinta-feira',
+    'weekday.sex': 'Sexta-feira',
+    'weekday.sab': 'Sábado',
+    'weekday.dom': 'Domingo',
+    'shift.manha': 'Manhã',
+    'shift.tarde': 'Tarde',
+    'shift.noite': 'Noite',
+    'donation.title': 'Doe por PIX',
+    'donation.intro': 'Escolha um valor e pague pelo app do seu banco, lendo o QR Code ou usando o PIX copia e cola. A doação vai direto para a conta da ONG.',
+    'donation.presets': 'Valores sugeridos',
+    'donation.amount': 'Valor da doação',
+    'donation.project': 'Destino da doação',
+    'donation.anyProject': 'Onde for mais necessário',
+    'donation.generate': 'Gerar QR Code PIX',
+    'donation.min': 'O valor mínimo é {amount}.',
+    'donation.qrTitle': 'QR Code PIX para doar {amount}',
+    'donation.scan': 'Abra o app do seu banco, escolha pagar com PIX e leia o QR Code, ou copie o código abaixo.',
+    'donation.copyLabel': 'PIX copia e cola',
+    'donation.copy': 'Copiar código',
+    'donation.copied': 'Código copiado.',
+    'donation.copyFailed': 'Não foi possível copiar. Selecione o código e copie manualmente.',
+    'donation.recipient': 'Recebedor: {name} · Chave PIX: {key}',
+    'donation.txid': 'Identificador da doação: {txid}',
+    'donation.history': 'Suas doações',
+    'donation.historyNote': 'Registro apenas neste dispositivo dos QR Codes gerados. Não confirma o pagamento.',
+    'donation.historyEmpty': 'Nenhuma doação registrada neste dispositivo.',
+    'donation.clearHistory': 'Apagar registro',
+    'donation.clearConfirm': 'Apagar o registro de doações deste dispositivo?',
+    'admin.title': 'Painel de voluntários',
+    'admin.intro': 'Cadastros guardados neste dispositivo, criptografados. Os dados ficam apenas aqui: exporte um backup antes de trocar de computador.',
+    'admin.search': 'Buscar por nome, e-mail, CPF, telefone, cidade ou projeto',
+    'admin.ageGroup': 'Faixa etária',
+    'admin.age': 'Idade',
+    'admin.age.minor': 'Menores de 18',
+    'admin.age.18-29': '18 a 29 anos',
+    'admin.age.30-59': '30 a 59 anos',
+    'admin.age.60+': '60 anos ou mais',
+    'admin.contact': 'Contato',
+    'admin.place': 'Cidade/UF',
+    'admin.submittedAt': 'Data do cadastro',
+    'admin.actions': 'Ações',
+    'admin.minor': 'menor',
+    'admin.edit': 'Editar',
+    'admin.editLabel': 'Editar o cadastro de {name}',
+    'admin.delete': 'Excluir',
+    'admin.deleteLabel': 'Excluir o cadastro de {name}',
+    'admin.deleteConfirm': 'Excluir o cadastro de {name}? Esta ação não pode ser desfeita.',
+    'admin.deleted': 'Cadastro de {name} excluído.',
+    'admin.editTitle': 'Editar cadastro de {name}',
+    'admin.save': 'Salvar alterações',
+    'admin.cancel': 'Cancelar',
+    'admin.saved': 'Cadastro de {name} atualizado.',
+    'admin.saveError': 'Não foi possível gravar os dados neste dispositivo. Verifique se o navegador permite guardar dados deste site (é necessário HTTPS).',
+    'admin.exportCsv': 'Exportar CSV',
+    'admin.exportJson': 'Exportar JSON',
+    'admin.import': 'Importar backup JSON',
+    'admin.exportNote': 'A exportação inclui os voluntários listados, com os filtros aplicados.',
+    'admin.imported': 'Importação concluída: {added} cadastro(s) adicionado(s), {skipped} recusado(s).',
+    'admin.skippedTitle': 'Cadastros recusados',
+    'admin.skip.duplicate': 'Mesma data de envio de um cadastro existente.',
+    'admin.skip.expired': 'Fora do prazo de retenção.',
+    'admin.skip.invalid': 'Dados inválidos:',
+    'admin.invalidValue': 'Valor em formato inválido.',
+    'admin.importError': 'O arquivo escolhido não é um backup de voluntários válido.',
+    'admin.empty': 'Nenhum voluntário encontrado.',
+    'admin.none': 'Nenhum cadastro guardado neste dispositivo.',
+    'admin.count.zero': 'Nenhum de {total} voluntários',
+    'admin.count.one': '{count} de {total} voluntários',
+    'admin.count.other': '{count} de {total} voluntários',
+    'admin.accessTitle': 'Acesso da coordenação',
+    'admin.setupIntro': 'Primeiro acesso ao painel neste dispositivo: defina a frase de acesso da coordenação (ao menos {min} caracteres). Os cadastros passam a ser cifrados para a coordenação e só podem ser lidos com ela. A frase não pode ser recuperada: sem ela, os cadastros guardados se perdem.',
+    'admin.unlockIntro': 'Informe a frase de acesso da coordenação para abrir o painel de voluntários.',
+    'admin.passphrase': 'Frase de acesso',
+    'admin.passphraseConfirm': 'Confirme a frase de acesso',
+    'admin.setup': 'Definir e abrir o painel',
+    'admin.unlock': 'Abrir o painel',
+    'admin.wrongPassphrase': 'Frase de acesso incorreta.',
+    'admin.lock': 'Sair do painel',
+    'admin.eraseAll': 'Apagar todos os dados deste dispositivo',
+    'admin.eraseAllConfirm': 'Apagar todos os cadastros, rascunhos e envios pendentes guardados neste dispositivo? Esta ação não pode ser desfeita: exporte um backup antes.',
+    'admin.erasedAll': 'Todos os dados de voluntários foram apagados deste dispositivo.',
+    'cadastro.nome': 'Nome completo',
+    'cadastro.email': 'E-mail',
+    'cadastro.emailConfirmacao': 'Confirme o e-mail',
+    'cadastro.cpf': 'CPF',
+    'cadastro.telefone': 'Telefone',
+    'cadastro.telefoneHint': 'Número estrangeiro? Comece com + e o código do país.',
+    'cadastro.nasc': 'Data de nascimento',
+    'cadastro.responsavel': 'Responsável legal',
+    'cadastro.responsavelNote': 'Obrigatório para voluntários menores de 18 anos.',
+    'cadastro.responsavelNome': 'Nome do responsável',
+    'cadastro.responsavelTelefone': 'Telefone do responsável',
+    'cadastro.endereco': 'Endereço',
+    'cadastro.cep': 'CEP',
+    'cadastro.cidade': 'Cidade',
+    'cadastro.estado': 'Estado',
+    'cadastro.estadoPlaceholder': 'Escolha...',
+    'cadastro.consent': 'Guardar meus dados neste dispositivo, criptografados: o rascunho enquanto preencho e, se o envio ao servidor não for possível, o cadastro na lista de voluntários da ONG. Você pode apagá-los a qualquer momento.',
+    'cadastro.submit': 'Enviar cadastro',
+    'cadastro.erase': 'Apagar meus dados deste dispositivo',
+    'cadastro.eraseConfirm': 'Apagar deste dispositivo o seu rascunho e os cadastros que você enviou nesta sessão?',
+    'cadastro.erased': 'Seu rascunho e seus cadastros desta sessão foram apagados deste dispositivo.',
+    'cadastro.eraseError': 'Não foi possível apagar os seus dados. Tente novamente.',
+    'cadastro.emailTaken': 'Este e-mail já está cadastrado.',
+    'cadastro.emailMismatch': 'Os e-mails não conferem.',
+    'cadastro.cpfTaken': 'Este CPF já está cadastrado.',
+    'cadastro.cepEstado': 'O CEP informado não pertence ao estado selecionado.',
+    'cadastro.responsavelRequired': 'Obrigatório para voluntários menores de 18 anos.',
+    'cadastro.cepSearching': 'Buscando endereço…',
+    'cadastro.cepNotFound': 'CEP não encontrado. Verifique o número digitado.',
+    'cadastro.cepTimeout': 'A consulta do CEP demorou demais. Preencha o endereço manualmente.',
+    'cadastro.cepUnavailable': 'Não foi possível consultar o CEP agora. Preencha o endereço manualmente.'
+  });
+
+  window.i18n.addMessages('en', {
+    'locale.label': 'Language',
+    'nav.main': 'Main menu',
+    'nav.home': 'Home',
+    'nav.projects': 'Projects',
+    'nav.signup': 'Sign up',
+    'nav.donate': 'Donate',
+    'nav.openMenu': 'Open menu',
+    'nav.pageLoaded': 'Page loaded: {title}',
+
+    'alert.error': 'Error!',
+    'alert.success': 'Success!',
+    'alert.warning': 'Warning!',
+    'common.yes': 'Yes',
+    'common.no': 'No',
+
+    'validation.pending': 'Validating…',
+    'validation.required': 'This field is required.',
+    'validation.email': 'Invalid e-mail. Please check the format.',
+    'validation.cpf.length': 'CPF must have 11 digits.',
+    'validation.cpf.invalid': 'Invalid CPF.',
+    'validation.telefone.length': 'Phone number must have 10 or 11 digits.',
+    'validation.telefone.international': 'International phone numbers must have 8 to 15 digits after the +, including the country code.',
+    'validation.cep.length': 'CEP must have 8 digits.',
+    'validation.nasc.invalid': 'Invalid date of birth.',
+    'validation.nasc.future': 'Date of birth cannot be in the future.',
+    'validation.match': 'The values do not match.',
+    'validation.minlength': 'This field must have at least {min} characters.',
+    'validation.estado': 'Please select a state.',
+    'validation.unique': 'This value is already registered.',
+    'validation.choose': 'Select at least one option.',
+    'validation.failed': 'This field could not be validated. Please try again.',
+
+    'form.sending': 'Sending…',
+    'form.saved': 'Form submitted successfully. Your data was saved on this device.',
+    'form.sent': 'Form submitted successfully.',
+    'form.notStored': 'There is no server to receive the form, and it can only be stored on this device with your permission. Tick the option to store your data and submit again.',
+    'form.queued': 'You are offline. The form was stored and will be sent automatically when the connection is back.',
+    'form.queuedSession': 'You are offline. The form will be sent automatically when the connection is back; keep this page open until then.',
+    'form.rejected': 'The form could not be submitted. {reason} Please review your data and try again.',
+    'form.failed': 'An error occurred while submitting the form. Please try again.',
+    'form.leaveConfirm': 'You have unsent data in the sign-up form. Leave anyway?',
+
+    'submission.timeout': 'The request timed out.',
+    'submission.network': 'Connection failure while sending.',
+    'submission.rejected': 'The server rejected the submission (HTTP {status}).',
+
+    'draft.found': 'We found a draft of this form saved on {savedAt}. Do you want to continue where you left off?',
+    'draft.restore': 'Restore draft',
+    'draft.discard': 'Discard',
+
+    'wizard.steps': 'Form steps',
+    'wizard.step': 'Step {number}',
+    'wizard.position': 'Step {position} of {total}: {title}',
+    'wizard.back': 'Back',
+    'wizard.next': 'Next',
+    'wizard.edit': 'Edit {title}',
+
+    'notFound.title': 'Page not found',
+    'notFound.text': 'The address you visited does not exist or was removed.',
+    'notFound.home': 'Back to home',
+
+    'project.untitled': 'Untitled',
+    'project.noDescription': 'No description',
+    'project.image': 'Project',
+    'project.more': 'Learn more',
+    'project.save': '☆ Save',
+    'project.saved': '★ Saved',
+    'project.empty': 'No projects found.',
+
+    'catalog.title': 'Social projects',
+    'catalog.search': 'Search',
+    'catalog.category': 'Category',
+    'catalog.state': 'State',
+    'catalog.city': 'City',
+    'catalog.sort': 'Sort by',
+    'catalog.any': 'All',
+    'catalog.sort.recent': 'Newest',
+    'catalog.sort.title': 'Name (A–Z)',
+    'catalog.sort.city': 'City',
+    'catalog.apply': 'Filter',
+    'catalog.clear': 'Clear filters',
+    'catalog.count.zero': 'No projects found',
+    'catalog.count.one': '{count} project found',
+    'catalog.count.other': '{count} projects found',
+    'catalog.pages': 'Result pages',
+    'catalog.previous': 'Previous',
+    'catalog.next': 'Next',
+    'catalog.loadError': 'The projects could not be loaded. Please try again later.',
+    'catalog.all': 'See all projects',
+    'category.assistencia': 'Social assistance',
+    'category.educacao': 'Education',
+    'category.alimentacao': 'Food',
+    'category.meio-ambiente': 'Environment',
+    'project.back': 'Back to projects',
+    'project.since': 'Since {date}',
+    'project.volunteer': 'I want to volunteer',
+    'project.donate': 'How to donate',
+    'catalog.volunteers.zero': 'No volunteers yet',
+    'catalog.volunteers.one': '{count} volunteer',
+    'catalog.volunteers.other': '{count} volunteers',
+
+    'cadastro.title': 'Volunteer sign-up',
+    'cadastro.personal': 'Personal details',
+    'cadastro.address': 'Address',
+    'cadastro.review': 'Review',
+    'cadastro.availability': 'Projects and availability',
+    'cadastro.projetos': 'Projects of interest',
+    'cadastro.projetosLoading': 'Loading projects…',
+    'cadastro.projetosRequired': 'Choose at least one project.',
+    'cadastro.dias': 'Available days',
+    'cadastro.diasRequired': 'Choose at least one day of the week.',
+    'cadastro.turnos': 'Available shifts',
+    'cadastro.turnosRequired': 'Choose at least one shift.',
+    'weekday.seg': 'Monday',
+    'weekday.ter': 'Tuesday',
+    'weekday.qua': 'Wednesday',
+    'weekday.qui': 'Thursday',
+    'weekday.sex': 'Friday',
+    'weekday.sab': 'Saturday',
+    'weekday.dom': 'Sunday',
+    'shift.manha': 'Morning',
+    'shift.tarde': 'Afternoon',
+    'shift.noite': 'Evening',
+    'donation.title': 'Donate via PIX',
+    'donation.intro': 'Choose an amount and pay with your bank app by scanning the QR code or using PIX copy and paste. The donation goes straight to the NGO account.',
+    'donation.presets': 'Suggested amounts',
+    'donation.amount': 'Donation amount',
+    'donation.project': 'Donation destination',
+    'donation.anyProject': 'Where it is most needed',
+    'donation.generate': 'Generate PIX QR code',
+    'donation.min': 'The minimum amount is {amount}.',
+    'donation.qrTitle': 'PIX QR code to donate {amount}',
+    'donation.scan': 'Open your bank app, choose to pay with PIX and scan the QR code, or copy the code below.',
+    'donation.copyLabel': 'PIX copy and paste',
+    'donation.copy': 'Copy code',
+    'donation.copied': 'Code copied.',
+    'donation.copyFailed': 'Could not copy. Select the code and copy it manually.',
+    'donation.recipient': 'Recipient: {name} · PIX key: {key}',
+    'donation.txid': 'Donation ID: {txid}',
+    'donation.history': 'Your donations',
+    'donation.historyNote': 'Record of generated QR codes kept on this device only. It does not confirm payment.',
+    'donation.historyEmpty': 'No donations recorded on this device.',
+    'donation.clearHistory': 'Clear record',
+    'donation.clearConfirm': 'Clear the donation record on this device?',
+    'admin.title': 'Volunteer dashboard',
+    'admin.intro': 'Sign-ups stored on this device, encrypted. The data stays here only: export a backup before switching computers.',
+    'admin.search': 'Search by name, e-mail, CPF, phone, city or project',
+    'admin.ageGroup': 'Age group',
+    'admin.age': 'Age',
+    'admin.age.minor': 'Under 18',
+    'admin.age.18-29': '18 to 29',
+    'admin.age.30-59': '30 to 59',
+    'admin.age.60+': '60 or older',
+    'admin.contact': 'Contact',
+    'admin.place': 'City/State',
+    'admin.submittedAt': 'Sign-up date',
+    'admin.actions': 'Actions',
+    'admin.minor': 'minor',
+    'admin.edit': 'Edit',
+    'admin.editLabel': 'Edit the sign-up of {name}',
+    'admin.delete': 'Delete',
+    'admin.deleteLabel': 'Delete the sign-up of {name}',
+    'admin.deleteConfirm': 'Delete the sign-up of {name}? This cannot be undone.',
+    'admin.deleted': 'Sign-up of {name} deleted.',
+    'admin.editTitle': 'Edit sign-up of {name}',
+    'admin.save': 'Save changes',
+    'admin.cancel': 'Cancel',
+    'admin.saved': 'Sign-up of {name} updated.',
+    'admin.saveError': 'The data could not be stored on this device. Check that the browser allows this site to store data (HTTPS is required).',
+    'admin.exportCsv': 'Export CSV',
+    'admin.exportJson': 'Export JSON',
+    'admin.import': 'Import JSON backup',
+    'admin.exportNote': 'The export includes the listed volunteers, with the current filters.',
+    'admin.imported': 'Import finished: {added} sign-up(s) added, {skipped} rejected.',
+    'admin.skippedTitle': 'Rejected sign-ups',
+    'admin.skip.duplicate': 'Same submission date as an existing sign-up.',
+    'admin.skip.expired': 'Past the retention period.',
+    'admin.skip.invalid': 'Invalid data:',
+    'admin.invalidValue': 'Value in an invalid format.',
+    'admin.importError': 'The selected file is not a valid volunteer backup.',
+    'admin.empty': 'No volunteers found.',
+    'admin.none': 'No sign-ups stored on this device.',
+    'admin.count.zero': 'None of {total} volunteers',
+    'admin.count.one': '{count} of {total} volunteers',
+    'admin.count.other': '{count} of {total} volunteers',
+    'admin.accessTitle': 'Coordinator access',
+    'admin.setupIntro': 'First access to the dashboard on this device: set the coordinator passphrase (at least {min} characters). Sign-ups are then encrypted for the coordinators and can only be read with it. The passphrase cannot be recovered: without it, the stored sign-ups are lost.',
+    'admin.unlockIntro': 'Enter the coordinator passphrase to open the volunteer dashboard.',
+    'admin.passphrase': 'Passphrase',
+    'admin.passphraseConfirm': 'Confirm the passphrase',
+    'admin.setup': 'Set and open the dashboard',
+    'admin.unlock': 'Open the dashboard',
+    'admin.wrongPassphrase': 'Incorrect passphrase.',
+    'admin.lock': 'Leave the dashboard',
+    'admin.eraseAll': 'Erase all data from this device',
+    'admin.eraseAllConfirm': 'Erase all sign-ups, drafts and pending submissions stored on this device? This cannot be undone: export a backup first.',
+    'admin.erasedAll': 'All volunteer data was erased from this device.',
+    'cadastro.nome': 'Full name',
+    'cadastro.email': 'E-mail',
+    'cadastro.emailConfirmacao': 'Confirm e-mail',
+    'cadastro.cpf': 'CPF (Brazilian taxpayer ID)',
+    'cadastro.telefone': 'Phone',
+    'cadastro.telefoneHint': 'Foreign number? Start with + and the country code.',
+    'cadastro.nasc': 'Date of birth',
+    'cadastro.responsavel': 'Legal guardian',
+    'cadastro.responsavelNote': 'Required for volunteers under 18.',
+    'cadastro.responsavelNome': 'Guardian name',
+    'cadastro.responsavelTelefone': 'Guardian phone',
+    'cadastro.endereco': 'Address',
+    'cadastro.cep': 'CEP (postal code)',
+    'cadastro.cidade': 'City',
+    'cadastro.estado': 'State',
+    'cadastro.estadoPlaceholder': 'Choose...',
+    'cadastro.consent': 'Keep my data on this device, encrypted: the draft while I fill in the form and, if it cannot be sent to the server, my sign-up in the NGO volunteer list. You can erase it at any time.',
+    'cadastro.submit': 'Submit',
+    'cadastro.erase': 'Erase my data from this device',
+    'cadastro.eraseConfirm': 'Erase your draft and the sign-ups you sent in this session from this device?',
+    'cadastro.erased': 'Your draft and your sign-ups from this session were erased from this device.',
+    'cadastro.eraseError': 'Your data could not be erased. Please try again.',
+    'cadastro.emailTaken': 'This e-mail is already registered.',
+    'cadastro.emailMismatch': 'The e-mails do not match.',
+    'cadastro.cpfTaken': 'This CPF is already registered.',
+    'cadastro.cepEstado': 'The CEP does not belong to the selected state.',
+    'cadastro.responsavelRequired': 'Required for volunteers under 18.',
+    'cadastro.cepSearching': 'Looking up address…',
+    'cadastro.cepNotFound': 'CEP not found. Please check the number.',
+    'cadastro.cepTimeout': 'The CEP lookup took too long. Please fill in the address manually.',
+    'cadastro.cepUnavailable': 'The CEP lookup is unavailable right now. Please fill in the address manually.'
+  });
+
+  window.i18n.addMessages('es', {
+    'locale.label': 'Idioma',
+    'nav.main': 'Menú principal',
+    'nav.home': 'Inicio',
+    'nav.projects': 'Proyectos',
+    'nav.signup': 'Registro',
+    'nav.donate': 'Donar',
+    'nav.openMenu': 'Abrir menú',
+    'nav.pageLoaded': 'Página cargada: {title}',
+
+    'alert.error': '¡Error!',
+    'alert.success': '¡Éxito!',
+    'alert.warning': '¡Atención!',
+    'common.yes': 'Sí',
+    'common.no': 'No',
+
+    'validation.pending': 'Validando…',
+    'validation.required': 'Este campo es obligatorio.',
+    'validation.email': 'Correo electrónico inválido. Verifique el formato.',
+    'validation.cpf.length': 'El CPF debe tener 11 dígitos.',
+    'validation.cpf.invalid': 'CPF inválido.',
+    'validation.telefone.length': 'El teléfono debe tener 10 u 11 dígitos.',
+    'validation.telefone.international': 'El teléfono internacional debe tener de 8 a 15 dígitos después del +, incluido el código del país.',
+    'validation.cep.length': 'El CEP debe tener 8 dígitos.',
+    'validation.nasc.invalid': 'Fecha de nacimiento inválida.',
+    'validation.nasc.future': 'La fecha de nacimiento no puede ser futura.',
+    'validation.match': 'Los valores no coinciden.',
+    'validation.minlength': 'Este campo debe tener al menos {min} caracteres.',
+    'validation.estado': 'Por favor, seleccione un estado.',
+    'validation.unique': 'Este valor ya está registrado.',
+    'validation.choose': 'Seleccione al menos una opción.',
+    'validation.failed': 'No fue posible validar este campo. Inténtelo de nuevo.',
+
+    'form.sending': 'Enviando…',
+    'form.saved': 'Formulario enviado con éxito. Los datos se guardaron en este dispositivo.',
+    'form.sent': 'Formulario enviado con éxito.',
+    'form.notStored': 'No hay un servidor para recibir el formulario, y solo puede guardarse en este dispositivo con su autorización. Marque la opción de guardar los datos y envíe de nuevo.',
+    'form.queued': 'Está sin conexión. El formulario se guardó y se enviará automáticamente cuando vuelva la conexión.',
+    'form.queuedSession': 'Está sin conexión. El formulario se enviará automáticamente cuando vuelva la conexión; mantenga esta página abierta hasta entonces.',
+    'form.rejected': 'No fue posible enviar el formulario. {reason} Revise los datos e inténtelo de nuevo.',
+    'form.failed': 'Ocurrió un error al enviar el formulario. Inténtelo de nuevo.',
+    'form.leaveConfirm': 'Tiene datos sin enviar en el registro. ¿Desea salir de todos modos?',
+
+    'submission.timeout': 'Se agotó el tiempo de envío.',
+    'submission.network': 'Falla de conexión al enviar.',
+    'submission.rejected': 'El servidor rechazó el envío (HTTP {status}).',
+
+    'draft.found': 'Encontramos un borrador de este formulario guardado el {savedAt}. ¿Desea continuar donde lo dejó?',
+    'draft.restore': 'Restaurar borrador',
+    'draft.discard': 'Descartar',
+
+    'wizard.steps': 'Pasos del formulario',
+    'wizard.step': 'Paso {number}',
+    'wizard.position': 'Paso {position} de {total}: {title}',
+    'wizard.back': 'Volver',
+    'wizard.next': 'Siguiente',
+    'wizard.edit': 'Editar {title}',
+
+    'notFound.title': 'Página no encontrada',
+    'notFound.text': 'La dirección visitada no existe o fue eliminada.',
+    'notFound.home': 'Volver al inicio',
+
+    'project.untitled': 'Sin título',
+    'project.noDescription': 'Sin descripción',
+    'project.image': 'Proyecto',
+    'project.more': 'Más información',
+    'project.save': '☆ Guardar',
+    'project.saved': '★ Guardado',
+    'project.empty': 'No se encontraron proyectos.',
+
+    'catalog.title': 'Proyectos sociales',
+    'catalog.search': 'Buscar',
+    'catalog.category': 'Categoría',
+    'catalog.state': 'Estado',
+    'catalog.city': 'Ciudad',
+    'catalog.sort': 'Ordenar por',
+    'catalog.any': 'Todos',
+    'catalog.sort.recent': 'Más recientes',
+    'catalog.sort.title': 'Nombre (A–Z)',
+    'catalog.sort.city': 'Ciudad',
+    'catalog.apply': 'Filtrar',
+    'catalog.clear': 'Limpiar filtros',
+    'catalog.count.zero': 'Ningún proyecto encontrado',
+    'catalog.count.one': '{count} proyecto encontrado',
+    'catalog.count.other': '{count} proyectos encontrados',
+    'catalog.pages': 'Páginas de resultados',
+    'catalog.previous': 'Anterior',
+    'catalog.next': 'Siguiente',
+    'catalog.loadError': 'No fue posible cargar los proyectos. Inténtelo de nuevo más tarde.',
+    'catalog.all': 'Ver todos los proyectos',
+    'category.assistencia': 'Asistencia social',
+    'category.educacao': 'Educación',
+    'category.alimentacao': 'Alimentación',
+    'category.meio-ambiente': 'Medio ambiente',
+    'project.back': 'Volver a los proyectos',
+    'project.since': 'Desde {date}',
+    'project.volunteer': 'Quiero ser voluntario',
+    'project.donate': 'Cómo donar',
+    'catalog.volunteers.zero': 'Ningún voluntario todavía',
+    'catalog.volunteers.one': '{count} voluntario',
+    'catalog.volunteers.other': '{count} voluntarios',
+
+    'cadastro.title': 'Registro de voluntario',
+    'cadastro.personal': 'Datos personales',
+    'cadastro.address': 'Dirección',
+    'cadastro.review': 'Revisión',
+    'cadastro.availability': 'Proyectos y disponibilidad',
+    'cadastro.projetos': 'Proyectos de interés',
+    'cadastro.projetosLoading': 'Cargando proyectos…',
+    'cadastro.projetosRequired': 'Elija al menos un proyecto.',
+    'cadastro.dias': 'Días disponibles',
+    'cadastro.diasRequired': 'Elija al menos un día de la semana.',
+    'cadastro.turnos': 'Turnos disponibles',
+    'cadastro.turnosRequired': 'Elija al menos un turno.',
+    'weekday.seg': 'Lunes',
+    'weekday.ter': 'Martes',
+    'weekday.qua': 'Miércoles',
+    'weekday.qui': 'Jueves',
+    'weekday.sex': 'Viernes',
+    'weekday.sab': 'Sábado',
+    'weekday.dom': 'Domingo',
+    'shift.manha': 'Mañana',
+    'shift.tarde': 'Tarde',
+    'shift.noite': 'Noche',
+    'donation.title': 'Done por PIX',
+    'donation.intro': 'Elija un monto y pague con la app de su banco, leyendo el código QR o usando PIX copia y pega. La donación va directo a la cuenta de la ONG.',
+    'donation.presets': 'Montos sugeridos',
+    'donation.amount': 'Monto de la donación',
+    'donation.project': 'Destino de la donación',
+    'donation.anyProject': 'Donde más se necesite',
+    'donation.generate': 'Generar código QR PIX',
+    'donation.min': 'El monto mínimo es {amount}.',
+    'donation.qrTitle': 'Código QR PIX para donar {amount}',
+    'donation.scan': 'Abra la app de su banco, elija pagar con PIX y lea el código QR, o copie el código a continuación.',
+    'donation.copyLabel': 'PIX copia y pega',
+    'donation.copy': 'Copiar código',
+    'donation.copied': 'Código copiado.',
+    'donation.copyFailed': 'No se pudo copiar. Seleccione el código y cópielo manualmente.',
+    'donation.recipient': 'Destinatario: {name} · Clave PIX: {key}',
+    'donation.txid': 'Identificador de la donación: {txid}',
+    'donation.history': 'Sus donaciones',
+    'donation.historyNote': 'Registro solo en este dispositivo de los códigos QR generados. No confirma el pago.',
+    'donation.historyEmpty': 'No hay donaciones registradas en este dispositivo.',
+    'donation.clearHistory': 'Borrar registro',
+    'donation.clearConfirm': '¿Borrar el registro de donaciones de este dispositivo?',
+    'admin.title': 'Panel de voluntarios',
+    'admin.intro': 'Registros guardados en este dispositivo, cifrados. Los datos quedan solo aquí: exporte una copia de seguridad antes de cambiar de computadora.',
+    'admin.search': 'Buscar por nombre, correo, CPF, teléfono, ciudad o proyecto',
+    'admin.ageGroup': 'Grupo de edad',
+    'admin.age': 'Edad',
+    'admin.age.minor': 'Menores de 18',
+    'admin.age.18-29': '18 a 29 años',
+    'admin.age.30-59': '30 a 59 años',
+    'admin.age.60+': '60 años o más',
+    'admin.contact': 'Contacto',
+    'admin.place': 'Ciudad/Estado',
+    'admin.submittedAt': 'Fecha del registro',
+    'admin.actions': 'Acciones',
+    'admin.minor': 'menor',
+    'admin.edit': 'Editar',
+    'admin.editLabel': 'Editar el registro de {name}',
+    'admin.delete': 'Eliminar',
+    'admin.deleteLabel': 'Eliminar el registro de {name}',
+    'admin.deleteConfirm': '¿Eliminar el registro de {name}? Esta acción no se puede deshacer.',
+    'admin.deleted': 'Registro de {name} eliminado.',
+    'admin.editTitle': 'Editar registro de {name}',
+    'admin.save': 'Guardar cambios',
+    'admin.cancel': 'Cancelar',
+    'admin.saved': 'Registro de {name} actualizado.',
+    'admin.saveError': 'No se pudieron guardar los datos en este dispositivo. Verifique que el navegador permita guardar datos de este sitio (se requiere HTTPS).',
+    'admin.exportCsv': 'Exportar CSV',
+    'admin.exportJson': 'Exportar JSON',
+    'admin.import': 'Importar copia JSON',
+    'admin.exportNote': 'La exportación incluye los voluntarios listados, con los filtros aplicados.',
+    'admin.imported': 'Importación terminada: {added} registro(s) añadido(s), {skipped} rechazado(s).',
+    'admin.skippedTitle': 'Registros rechazados',
+    'admin.skip.duplicate': 'Misma fecha de envío que un registro existente.',
+    'admin.skip.expired': 'Fuera del plazo de retención.',
+    'admin.skip.invalid': 'Datos inválidos:',
+    'admin.invalidValue': 'Valor en formato inválido.',
+    'admin.importError': 'El archivo elegido no es una copia de voluntarios válida.',
+    'admin.empty': 'No se encontraron voluntarios.',
+    'admin.none': 'No hay registros guardados en este dispositivo.',
+    'admin.count.zero': 'Ninguno de {total} voluntarios',
+    'admin.count.one': '{count} de {total} voluntarios',
+    'admin.count.other': '{count} de {total} voluntarios',
+    'admin.accessTitle': 'Acceso de la coordinación',
+    'admin.setupIntro': 'Primer acceso al panel en este dispositivo: defina la frase de acceso de la coordinación (al menos {min} caracteres). Los registros pasan a cifrarse para la coordinación y solo pueden leerse con ella. La frase no se puede recuperar: sin ella, los registros guardados se pierden.',
+    'admin.unlockIntro': 'Ingrese la frase de acceso de la coordinación para abrir el panel de voluntarios.',
+    'admin.passphrase': 'Frase de acceso',
+    'admin.passphraseConfirm': 'Confirme la frase de acceso',
+    'admin.setup': 'Definir y abrir el panel',
+    'admin.unlock': 'Abrir el panel',
+    'admin.wrongPassphrase': 'Frase de acceso incorrecta.',
+    'admin.lock': 'Salir del panel',
+    'admin.eraseAll': 'Borrar todos los datos de este dispositivo',
+    'admin.eraseAllConfirm': '¿Borrar todos los registros, borradores y envíos pendientes guardados en este dispositivo? Esta acción no se puede deshacer: exporte una copia de seguridad antes.',
+    'admin.erasedAll': 'Todos los datos de voluntarios fueron borrados de este dispositivo.',
+    'cadastro.nome': 'Nombre completo',
+    'cadastro.email': 'Correo electrónico',
+    'cadastro.emailConfirmacao': 'Confirme el correo electrónico',
+    'cadastro.cpf': 'CPF (registro de contribuyente brasileño)',
+    'cadastro.telefone': 'Teléfono',
+    'cadastro.telefoneHint': '¿Número extranjero? Comience con + y el código del país.',
+    'cadastro.nasc': 'Fecha de nacimiento',
+    'cadastro.responsavel': 'Responsable legal',
+    'cadastro.responsavelNote': 'Obligatorio para voluntarios menores de 18 años.',
+    'cadastro.responsavelNome': 'Nombre del responsable',
+    'cadastro.responsavelTelefone': 'Teléfono del responsable',
+    'cadastro.endereco': 'Dirección',
+    'cadastro.cep': 'CEP (código postal)',
+    'cadastro.cidade': 'Ciudad',
+    'cadastro.estado': 'Estado',
+    'cadastro.estadoPlaceholder': 'Elija...',
+    'cadastro.consent': 'Guardar mis datos en este dispositivo, cifrados: el borrador mientras completo el formulario y, si no se puede enviar al servidor, mi registro en la lista de voluntarios de la ONG. Puede borrarlos en cualquier momento.',
+    'cadastro.submit': 'Enviar registro',
+    'cadastro.erase': 'Borrar mis datos de este dispositivo',
+    'cadastro.eraseConfirm': '¿Borrar de este dispositivo su borrador y los registros que envió en esta sesión?',
+    'cadastro.erased': 'Su borrador y sus registros de esta sesión fueron borrados de este dispositivo.',
+    'cadastro.eraseError': 'No fue posible borrar sus datos. Inténtelo de nuevo.',
+    'cadastro.emailTaken': 'Este correo electrónico ya está registrado.',
+    'cadastro.emailMismatch': 'Los correos electrónicos no coinciden.',
+    'cadastro.cpfTaken': 'Este CPF ya está registrado.',
+    'cadastro.cepEstado': 'El CEP informado no pertenece al estado seleccionado.',
+    'cadastro.responsavelRequired': 'Obligatorio para voluntarios menores de 18 años.',
+    'cadastro.cepSearching': 'Buscando dirección…',
+    'cadastro.cepNotFound': 'CEP no encontrado. Verifique el número.',
+    'cadastro.cepTimeout': 'La consulta del CEP tardó demasiado. Complete la dirección manualmente.',
+    'cadastro.cepUnavailable': 'No fue posible consultar el CEP ahora. Complete la dirección manualmente.'
+  });
+}
+
+registerDefaultMessages();
+
+// Traduzir a página inicial e ativar os seletores de idioma (ficam no cabeçalho, fora do SPA)
+document.addEventListener('DOMContentLoaded', () => {
+  window.i18n.translate(document);
+
+  document.querySelectorAll('select[data-locale-switcher]').forEach(select => {
+    select.addEventListener('change', () => window.i18n.setLocale(select.value));
+  });
+});
+
+// Traduzir o conteúdo de cada página montada pelo SPA
+window.pageModules.register('*', {
+  mount({ container }) {
+    window.i18n.translate(container);
+  }
+});
@@ -1,32 +1,463 @@
-// js/masks.js
-document.addEventListener('input', (e) => {
-  const el = e.target;
-  if (!el.matches('#cpf, #telefone, #cep')) return;
+// js/masks.js - Máscaras de entrada declaradas com data-mask
 
-  const id = el.id;
-  let v = el.value.replace(/\D/g, '');
+/**
+ * Máscara baseada em padrões
+ * No padrão, '0' aceita um dígito, 'A' uma letra e '*' letra ou dígito; os demais
+ * caracteres são fixos e só aparecem quando há um caractere digitado depois deles.
+ * Com vários padrões (ex: telefone fixo e celular), usa-se o menor que comporta o valor.
+ */
+class PatternMask {
+  static TOKENS = { '0': /\d/, 'A': /[A-Za-z]/, '*': /[A-Za-z0-9]/ };
 
-  if (id === 'cpf') {
-    if (v.length > 11) v = v.slice(0,11);
-    v = v.replace(/(\d{3})(\d)/, '$1.$2')
-         .replace(/(\d{3})\.(\d{3})(\d)/, '$1.$2.$3')
-         .replace(/(\d{3})\.(\d{3})\.(\d{3})(\d)/, '$1.$2.$3-$4');
-    el.value = v;
+  /**
+   * @param {string|string[]} patterns - Padrão ou padrões (ex: '000.000.000-00')
+   * @param {Object} [options]
+   * @param {Function} [options.clean] - Ajusta o valor sem máscara antes de formatar
+   *   (ex: remover o código do país de um telefone colado)
+   */
+  constructor(patterns, { clean } = {}) {
+    this.patterns = [].concat(patterns)
+      .map(pattern => ({ pattern, slots: PatternMask.countSlots(pattern) }))
+      .sort((a, b) => a.slots - b.slots);
+    this.clean = clean || (raw => raw);
+    this.maxLength = this.patterns[this.patterns.length - 1].slots;
   }
 
-  if (id === 'telefone') {
-    if (v.length > 11) v = v.slice(0,11);
-    if (v.length <= 10) {
-      v = v.replace(/(\d{2})(\d{4})(\d{0,4})/, '($1) $2-$3').replace(/-$/, '');
-    } else {
-      v = v.replace(/(\d{2})(\d{5})(\d{0,4})/, '($1) $2-$3');
+  /**
+   * Conta as posições editáveis de um padrão
+   * @param {string} pattern - Padrão
+   * @returns {number}
+   */
+  static countSlots(pattern) {
+    return Array.from(pattern).filter(char => char in PatternMask.TOKENS).length;
+  }
+
+  /**
+   * Verifica se um caractere pode ocupar alguma posição da máscara
+   * @param {string} char - Caractere
+   * @returns {boolean}
+   */
+  accepts(char) {
+    return this.patterns.some(({ pattern }) =>
+      Array.from(pattern).some(token => PatternMask.TOKENS[token] && PatternMask.TOKENS[token].test(char))
+    );
+  }
+
+  /**
+   * Remove a máscara de um valor
+   * @param {string} value - Valor com ou sem máscara
+   * @returns {string} Apenas os caracteres digitados, limitados ao tamanho da máscara
+   */
+  unmask(value) {
+    const raw = Array.from(String(value || '')).filter(char => this.accepts(char)).join('');
+    return this.clean(raw).slice(0, this.maxLength);
+  }
+
+  /**
+   * Aplica a máscara a um valor sem máscara
+   * @param {string} raw - Valor sem máscara
+   * @returns {string} Valor formatado
+   */
+  format(raw) {
+    const chars = Array.from(raw);
+    const { pattern } = this.patterns.find(({ slots }) => slots >= chars.length) || this.patterns[this.patterns.length - 1];
+
+    let result = '';
+    let literals = '';
+
+    for (const token of pattern) {
+      if (!chars.length) break;
+
+      const tokenRegex = PatternMask.TOKENS[token];
+      if (!tokenRegex) {
+        literals += token;
+        continue;
+      }
+
+      if (!tokenRegex.test(chars[0])) break;
+
+      result += literals + chars.shift();
+      literals = '';
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Máscara de telefone nacional ou internacional
+ * Sem '+', usa os padrões de fixo e celular brasileiros. Começando com '+', o
+ * número é internacional: o valor sem máscara é '+' seguido de até 15 dígitos
+ * (formato E.164), exibido sem agrupamento. Um '+55' seguido do número volta
+ * ao formato nacional.
+ */
+class PhoneMask {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.countryCode='55'] - Código do país dos números nacionais
+   */
+  constructor({ countryCode = '55' } = {}) {
+    this.countryCode = countryCode;
+    // Ao colar '+55 11 ...' sem o '+', ou '011 ...', descarta o código do país e o zero
+    this.national = new PatternMask(['(00) 0000-0000', '(00) 00000-0000'], {
+      clean: raw => raw.length > 11 ? raw.replace(new RegExp(`^(${countryCode}|0)`), '') : raw
+    });
+    this.maxLength = 16;
+  }
+
+  /**
+   * Verifica se um caractere pode ocupar alguma posição da máscara
+   * @param {string} char - Caractere
+   * @returns {boolean}
+   */
+  accepts(char) {
+    return /[\d+]/.test(char);
+  }
+
+  /**
+   * Remove a máscara de um valor
+   * @param {string} value - Valor com ou sem máscara
+   * @returns {string} Dígitos do número nacional ou '+' e os dígitos do internacional
+   */
+  unmask(value) {
+    const text = String(value || '').trim();
+    const digits = text.replace(/\D/g, '');
+
+    if (!text.startsWith('+')) {
+      return this.national.unmask(digits);
+    }
+
+    if (digits.startsWith(this.countryCode) && digits.length > this.countryCode.length) {
+      return this.national.unmask(digits.slice(this.countryCode.length));
+    }
+
+    return `+${digits.slice(0, 15)}`;
+  }
+
+  /**
+   * Aplica a máscara a um valor sem máscara
+   * @param {string} raw - Valor sem máscara
+   * @returns {string} Valor formatado
+   */
+  format(raw) {
+    return raw.startsWith('+') ? raw : this.national.format(raw);
+  }
+}
+
+/**
+ * Máscara de moeda (R$)
+ * O valor sem máscara são os centavos em dígitos ('123456' -> 'R$ 1.234,56').
+ * É alinhada à direita: o cursor é contado a partir do fim do campo.
+ * Sem locale fixo, a formatação segue o idioma atual (ver js/i18n.js).
+ */
+class CurrencyMask {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Idioma da formatação (padrão: idioma atual)
+   * @param {string} [options.currency='BRL'] - Moeda
+   * @param {number} [options.maxLength=12] - Quantidade máxima de dígitos
+   */
+  constructor({ locale = null, currency = 'BRL', maxLength = 12 } = {}) {
+    this.locale = locale;
+    this.currency = currency;
+    this.formatters = new Map();
+    this.maxLength = maxLength;
+    this.alignRight = true;
+  }
+
+  /**
+   * Obtém o formatador do idioma em uso (criado uma vez por idioma)
+   * @returns {Intl.NumberFormat}
+   */
+  getFormatter() {
+    const locale = this.locale || window.i18n.locale;
+
+    if (!this.formatters.has(locale)) {
+      this.formatters.set(locale, new Intl.NumberFormat(locale, { style: 'currency', currency: this.currency }));
+    }
+    return this.formatters.get(locale);
+  }
+
+  /**
+   * Verifica se um caractere pode ocupar alguma posição da máscara
+   * @param {string} char - Caractere
+   * @returns {boolean}
+   */
+  accepts(char) {
+    return /\d/.test(char);
+  }
+
+  /**
+   * Remove a máscara de um valor
+   * @param {string} value - Valor com ou sem máscara
+   * @returns {string} Centavos em dígitos, sem zeros à esquerda
+   */
+  unmask(value) {
+    return String(value || '').replace(/\D/g, '').replace(/^0+/, '').slice(0, this.maxLength);
+  }
+
+  /**
+   * Aplica a máscara a um valor sem máscara
+   * @param {string} raw - Centavos em dígitos
+   * @returns {string} Valor formatado
+   */
+  format(raw) {
+    return raw ? this.getFormatter().format(Number(raw) / 100) : '';
+  }
+}
+
+/**
+ * Motor de máscaras
+ * Campos com data-mask="nome" usam uma máscara registrada; qualquer outro valor
+ * é tratado como padrão (ex: data-mask="00000-000"). Um único listener de
+ * input formata o campo preservando a posição do cursor, e o de paste limpa
+ * o texto colado antes de inseri-lo.
+ */
+class MaskEngine {
+  constructor() {
+    this.masks = new Map();
+    this.patternCache = new Map();
+    this.handleInput = this.handleInput.bind(this);
+    this.handlePaste = this.handlePaste.bind(this);
+
+    this.registerDefaultMasks();
+  }
+
+  /**
+   * Registra as máscaras padrão
+   */
+  registerDefaultMasks() {
+    this.register('cpf', new PatternMask('000.000.000-00'));
+    this.register('cnpj', new PatternMask('00.000.000/0000-00'));
+    this.register('cep', new PatternMask('00000-000'));
+    this.register('date', new PatternMask('00/00/0000'));
+    this.register('brl', new CurrencyMask());
+    this.register('telefone', new PhoneMask());
+  }
+
+  /**
+   * Registra uma máscara
+   * @param {string} name - Nome usado em data-mask
+   * @param {Object} mask - Objeto com format(raw), unmask(value), accepts(char) e maxLength
+   *   (alignRight opcional); PatternMask e CurrencyMask seguem esse formato
+   */
+  register(name, mask) {
+    this.masks.set(name, mask);
+  }
+
+  /**
+   * Obtém a máscara de um campo
+   * @param {HTMLElement} input - Campo
+   * @returns {Object|null} Máscara ou null se o campo não tiver data-mask
+   */
+  getMask(input) {
+    const name = input && input.dataset ? input.dataset.mask : null;
+    return name ? this.getMaskByName(name) : null;
+  }
+
+  /**
+   * Obtém uma máscara pelo nome usado em data-mask
+   * @param {string} name - Nome registrado ou padrão (ex: 'cpf', '99/99')
+   * @returns {Object}
+   */
+  getMaskByName(name) {
+    if (this.masks.has(name)) return this.masks.get(name);
+
+    if (!this.patternCache.has(name)) {
+      this.patternCache.set(name, new PatternMask(name.split('|')));
     }
-    el.value = v;
+    return this.patternCache.get(name);
+  }
+
+  /**
+   * Obtém o valor sem máscara de um campo (ou o valor original, se não tiver máscara)
+   * @param {HTMLElement} input - Campo
+   * @returns {string}
+   */
+  getRawValue(input) {
+    const mask = this.getMask(input);
+    return mask ? mask.unmask(input.value) : input.value;
+  }
+
+  /**
+   * Formata um valor sem máscara para exibição fora de um campo (ex: tabela)
+   * @param {string} name - Nome da máscara (ex: 'telefone')
+   * @param {string} raw - Valor sem máscara
+   * @returns {string}
+   */
+  format(name, raw) {
+    if (!raw) return '';
+
+    const mask = this.getMaskByName(name);
+    return mask.format(mask.unmask(String(raw)));
   }
 
-  if (id === 'cep') {
-    if (v.length > 8) v = v.slice(0,8);
-    v = v.replace(/(\d{5})(\d{1,3})/, '$1-$2');
-    el.value = v;
+  /**
+   * Define o valor de um campo a partir do valor sem máscara
+   * @param {HTMLElement} input - Campo
+   * @param {string} raw - Valor sem máscara
+   */
+  setValue(input, raw) {
+    const mask = this.getMask(input);
+    if (!mask) {
+      input.value = raw;
+      return;
+    }
+
+    input.__maskRaw = mask.unmask(raw);
+    input.value = mask.format(input.__maskRaw);
+  }
+
+  /**
+   * Reformata todos os campos com máscara de um elemento
+   * @param {HTMLElement} root - Elemento (ex: formulário ou conteúdo da página)
+   */
+  applyAll(root) {
+    root.querySelectorAll('[data-mask]').forEach(input => this.setValue(input, input.value));
+  }
+
+  /**
+   * Formata o campo editado, mantendo o cursor após o mesmo caractere digitado
+   * @param {InputEvent} e - Evento de input
+   */
+  handleInput(e) {
+    const input = e.target;
+    const mask = this.getMask(input);
+    if (!mask) return;
+
+    const value = input.value;
+    const caret = input.selectionStart === null ? value.length : input.selectionStart;
+    let raw = mask.unmask(value);
+    let rawBeforeCaret = this.countAccepted(mask, value.slice(0, caret));
+
+    // Apagar um caractere fixo (ex: o '-') não muda o valor: apaga o dígito ao lado
+    const deleting = e.inputType && e.inputType.startsWith('delete');
+    if (deleting && raw === input.__maskRaw && !mask.alignRight) {
+      const index = e.inputType === 'deleteContentForward' ? rawBeforeCaret : rawBeforeCaret - 1;
+      if (index >= 0) {
+        raw = raw.slice(0, index) + raw.slice(index + 1);
+        rawBeforeCaret = index;
+      }
+    }
+
+    const rawAfterCaret = this.countAccepted(mask, value.slice(caret));
+    this.update(input, mask, raw, mask.alignRight
+      ? Math.max(raw.length - rawAfterCaret, 0)
+      : Math.min(rawBeforeCaret, raw.length));
+  }
+
+  /**
+   * Insere o texto colado já limpo (ex: '+55 (11) 98765-4321' em um telefone)
+   * @param {ClipboardEvent} e - Evento de paste
+   */
+  handlePaste(e) {
+    const input = e.target;
+    const mask = this.getMask(input);
+    if (!mask || !e.clipboardData) return;
+
+    e.preventDefault();
+
+    const value = input.value;
+    const start = input.selectionStart === null ? value.length : input.selectionStart;
+    const end = input.selectionEnd === null ? value.length : input.selectionEnd;
+    const before = this.extract(mask, value.slice(0, start));
+    const after = this.extract(mask, value.slice(end));
+    const pasted = this.extract(mask, e.clipboardData.getData('text'));
+
+    // Com o campo vazio ou todo selecionado, o texto colado passa pela limpeza da máscara
+    const raw = mask.unmask(before + pasted + after);
+    this.update(input, mask, raw, Math.min(mask.unmask(before + pasted).length, raw.length));
+
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  /**
+   * Escreve o valor formatado e posiciona o cursor
+   * @param {HTMLElement} input - Campo
+   * @param {Object} mask - Máscara
+   * @param {string} raw - Valor sem máscara
+   * @param {number} rawCaret - Quantidade de caracteres digitados antes do cursor
+   */
+  update(input, mask, raw, rawCaret) {
+    const formatted = mask.format(raw);
+    input.value = formatted;
+    input.__maskRaw = raw;
+
+    if (document.activeElement === input && typeof input.setSelectionRange === 'function') {
+      const position = this.positionAfter(mask, formatted, rawCaret);
+      input.setSelectionRange(position, position);
+    }
+  }
+
+  /**
+   * Conta os caracteres aceitos pela máscara em um trecho
+   * @param {Object} mask - Máscara
+   * @param {string} text - Trecho do valor
+   * @returns {number}
+   */
+  countAccepted(mask, text) {
+    return this.extract(mask, text).length;
+  }
+
+  /**
+   * Extrai os caracteres aceitos pela máscara, sem limite de tamanho
+   * @param {Object} mask - Máscara
+   * @param {string} text - Texto
+   * @returns {string}
+   */
+  extract(mask, text) {
+    return Array.from(text).filter(char => mask.accepts(char)).join('');
+  }
+
+  /**
+   * Posição no valor formatado logo após o n-ésimo caractere digitado
+   * @param {Object} mask - Máscara
+   * @param {string} formatted - Valor formatado
+   * @param {number} count - Quantidade de caracteres digitados
+   * @returns {number}
+   */
+  positionAfter(mask, formatted, count) {
+    if (mask.alignRight) {
+      // Na moeda, zeros à esquerda são só formatação: conta-se a partir do fim
+      let remaining = mask.unmask(formatted).length - count;
+      let position = formatted.length;
+      while (remaining > 0 && position > 0) {
+        position--;
+        if (mask.accepts(formatted[position])) remaining--;
+      }
+      return position;
+    }
+
+    if (count === 0) return 0;
+
+    let seen = 0;
+    for (let i = 0; i < formatted.length; i++) {
+      if (mask.accepts(formatted[i])) seen++;
+      if (seen === count) return i + 1;
+    }
+    return formatted.length;
+  }
+}
+
+// Instância global do motor de máscaras
+window.inputMasks = new MaskEngine();
+
+// Máscaras: os listeners ficam no conteúdo da página e saem junto com ela
+window.pageModules.register('*', {
+  mount({ container }) {
+    this.container = container;
+    container.addEventListener('input', window.inputMasks.handleInput);
+    container.addEventListener('paste', window.inputMasks.handlePaste);
+    window.inputMasks.applyAll(container);
+
+    // A moeda é formatada no idioma atual
+    this.onLocaleChange = () => window.inputMasks.applyAll(container);
+    window.addEventListener('localeChange', this.onLocaleChange);
+  },
+
+  unmount() {
+    window.removeEventListener('localeChange', this.onLocaleChange);
+    this.container.removeEventListener('input', window.inputMasks.handleInput);
+    this.container.removeEventListener('paste', window.inputMasks.handlePaste);
   }
 });
@@ -1,10 +1,25 @@
 // js/menu.js
-document.addEventListener('DOMContentLoaded', () => {
-  const toggles = document.querySelectorAll('.hamburger');
-  toggles.forEach(btn => {
-    btn.addEventListener('click', () => {
-      const nav = document.querySelector('.nav__menu');
-      nav.classList.toggle('open');
+
+// Menu hamburger: montado em todas as páginas e recriado a cada navegação do SPA
+window.pageModules.register('*', {
+  mount() {
+    this.controller = new AbortController();
+
+    const nav = document.querySelector('.nav__menu');
+    if (!nav) return;
+
+    // Fechar o menu que ficou aberto na página anterior
+    nav.classList.remove('open');
+
+    const toggles = document.querySelectorAll('.hamburger');
+    toggles.forEach(btn => {
+      btn.addEventListener('click', () => {
+        nav.classList.toggle('open');
+      }, { signal: this.controller.signal });
     });
-  });
+  },
+
+  unmount() {
+    this.controller.abort();
+  }
 });
@@ -0,0 +1,133 @@
+// js/page-cache.js - Cache LRU de páginas do SPA
+
+/**
+ * Cache de páginas com limite de tamanho (LRU) e expiração
+ * Entradas fixadas (pinned) não expiram nem são descartadas pelo limite;
+ * servem para páginas registradas manualmente com registerPage.
+ */
+class PageCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=20] - Quantidade máxima de páginas não fixadas
+   * @param {number} [options.ttl=300000] - Tempo de vida de cada entrada em ms
+   */
+  constructor({ maxEntries = 20, ttl = 5 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    // O Map mantém a ordem de inserção: a primeira chave é a menos usada
+    this.entries = new Map();
+  }
+
+  /**
+   * Quantidade de entradas no cache
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Verifica se há uma entrada válida para a chave
+   * @param {string} key - Caminho da página
+   * @returns {boolean}
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+
+    if (entry && this.isExpired(entry)) {
+      this.entries.delete(key);
+      return false;
+    }
+
+    return Boolean(entry);
+  }
+
+  /**
+   * Obtém uma página do cache e a marca como usada recentemente
+   * @param {string} key - Caminho da página
+   * @returns {*} Valor armazenado ou undefined
+   */
+  get(key) {
+    if (!this.has(key)) return undefined;
+
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Armazena uma página
+   * @param {string} key - Caminho da página
+   * @param {*} value - Página ({ content, title })
+   * @param {Object} [options]
+   * @param {boolean} [options.pinned=false] - Se a entrada nunca expira nem é descartada
+   * @param {number} [options.ttl] - Tempo de vida específico desta entrada em ms
+   */
+  set(key, value, { pinned = false, ttl = this.ttl } = {}) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, pinned, expiresAt: Date.now() + ttl });
+    this.evict();
+  }
+
+  /**
+   * Remove uma entrada, fixada ou não
+   * @param {string} key - Caminho da página
+   * @returns {boolean} Se a entrada existia
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove todas as entradas
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Invalida entradas não fixadas
+   * @param {string|RegExp|Function} [matcher] - Caminho exato, expressão ou função (key) => boolean;
+   *   sem argumento invalida todas
+   * @returns {number} Quantidade de entradas removidas
+   */
+  invalidate(matcher) {
+    const matches = (key) => {
+      if (matcher === undefined) return true;
+      if (matcher instanceof RegExp) return matcher.test(key);
+      if (typeof matcher === 'function') return matcher(key);
+      return key === matcher;
+    };
+
+    let removed = 0;
+    this.entries.forEach((entry, key) => {
+      if (!entry.pinned && matches(key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Verifica se uma entrada expirou
+   * @param {Object} entry - Entrada interna do cache
+   * @returns {boolean}
+   */
+  isExpired(entry) {
+    return !entry.pinned && Date.now() > entry.expiresAt;
+  }
+
+  /**
+   * Descarta as entradas menos usadas até respeitar o limite
+   */
+  evict() {
+    const unpinned = Array.from(this.entries.keys()).filter(key => !this.entries.get(key).pinned);
+
+    while (unpinned.length > this.maxEntries) {
+      this.entries.delete(unpinned.shift());
+    }
+  }
+}
@@ -0,0 +1,64 @@
+// js/page-modules.js - Registro de módulos de página
+
+/**
+ * Registro de módulos de página
+ * Cada módulo declara mount/unmount e fica associado a um padrão de caminho
+ * ('*' para todas as páginas). O SPA monta os módulos ao entrar em uma página
+ * e os desmonta ao sair, recriando e removendo listeners a cada navegação.
+ */
+class PageModuleRegistry {
+  constructor() {
+    this.modules = [];
+    this.mounted = [];
+  }
+
+  /**
+   * Registra um módulo de página
+   * @param {string} pattern - Padrão do caminho (mesma sintaxe do Router, ex: 'cadastro.html', '*')
+   * @param {Object} module - Objeto com mount(context) e unmount(context); `this` é o próprio módulo
+   */
+  register(pattern, module) {
+    this.modules.push({ module, ...Router.compile(pattern) });
+  }
+
+  /**
+   * Monta os módulos correspondentes a um caminho
+   * @param {string} path - Caminho da página (ex: 'cadastro.html?projeto=horta')
+   * @param {HTMLElement} container - Elemento com o conteúdo da página
+   */
+  mount(path, container) {
+    const [pathname, search = ''] = path.split('?');
+    const context = { path, container, query: Router.parseQuery(search) };
+
+    this.modules
+      .filter(({ regex }) => regex.test(pathname))
+      .forEach(({ module }) => {
+        try {
+          module.mount(context);
+          this.mounted.push({ module, context });
+        } catch (error) {
+          console.error(`Erro ao montar módulo da página "${path}":`, error);
+        }
+      });
+  }
+
+  /**
+   * Desmonta os módulos montados, na ordem inversa da montagem
+   */
+  unmount() {
+    this.mounted.reverse().forEach(({ module, context }) => {
+      try {
+        if (typeof module.unmount === 'function') {
+          module.unmount(context);
+        }
+      } catch (error) {
+        console.error('Erro ao desmontar módulo de página:', error);
+      }
+    });
+
+    this.mounted = [];
+  }
+}
+
+// Instância global do registro de módulos
+window.pageModules = new PageModuleRegistry();
@@ -0,0 +1,394 @@
+// js/pix.js - Doações por PIX: BR Code estático, QR Code e registro local
+
+/**
+ * Montagem do BR Code (PIX "copia e cola") estático
+ * O payload segue o padrão EMV de QR Code para pagamentos, com os campos do
+ * arranjo PIX definidos pelo Banco Central: cada campo é ID (2 dígitos) +
+ * tamanho (2 dígitos) + valor, e o último é o CRC16 de todo o texto.
+ *   PixPayload.build({ key: 'doacoes@ong.org', name: 'ONG', city: 'SAO PAULO', amount: 1000 })
+ */
+class PixPayload {
+  // Identificador do arranjo PIX no campo 26 (Merchant Account Information)
+  static GUI = 'br.gov.bcb.pix';
+
+  /**
+   * Monta o payload
+   * @param {Object} options
+   * @param {string} options.key - Chave PIX do recebedor (e-mail, telefone, CPF/CNPJ ou aleatória)
+   * @param {string} options.name - Nome do recebedor (até 25 caracteres)
+   * @param {string} options.city - Cidade do recebedor (até 15 caracteres)
+   * @param {number} [options.amount] - Valor em centavos (sem ele, o doador digita no banco)
+   * @param {string} [options.txid='***'] - Identificador da transação (até 25 letras e números)
+   * @param {string} [options.description] - Mensagem exibida ao pagador
+   * @returns {string} Payload com o CRC
+   * @throws {RangeError} Se a chave for vazia ou longa demais
+   */
+  static build({ key, name, city, amount = null, txid = '***', description = '' }) {
+    const pixKey = String(key || '').trim();
+    if (!pixKey || pixKey.length > 77) {
+      throw new RangeError('Chave PIX inválida');
+    }
+
+    // O campo 26 inteiro tem no máximo 99 caracteres; a mensagem usa o que sobrar
+    const account = PixPayload.field('00', PixPayload.GUI) + PixPayload.field('01', pixKey);
+    const message = PixPayload.normalize(description, 99 - account.length - 4);
+
+    const fields = [
+      PixPayload.field('00', '01'),
+      PixPayload.field('26', account + (message ? PixPayload.field('02', message) : '')),
+      PixPayload.field('52', '0000'),
+      PixPayload.field('53', '986'),
+      amount ? PixPayload.field('54', (amount / 100).toFixed(2)) : '',
+      PixPayload.field('58', 'BR'),
+      PixPayload.field('59', PixPayload.normalize(name, 25)),
+      PixPayload.field('60', PixPayload.normalize(city, 15)),
+      PixPayload.field('62', PixPayload.field('05', String(txid).replace(/[^A-Za-z0-9*]/g, '').slice(0, 25) || '***'))
+    ];
+
+    const payload = `${fields.join('')}6304`;
+    return payload + PixPayload.crc16(payload);
+  }
+
+  /**
+   * Monta um campo ID + tamanho + valor
+   * @param {string} id - ID do campo (2 dígitos)
+   * @param {string} value - Valor (até 99 caracteres)
+   * @returns {string}
+   */
+  static field(id, value) {
+    return `${id}${String(value.length).padStart(2, '0')}${value}`;
+  }
+
+  /**
+   * Remove acentos e caracteres fora do padrão e limita o tamanho
+   * @param {string} text - Texto
+   * @param {number} maxLength - Tamanho máximo
+   * @returns {string}
+   */
+  static normalize(text, maxLength) {
+    return I18n.stripAccents(text)
+      .replace(/[^A-Za-z0-9 .,@\-/]/g, '')
+      .trim()
+      .slice(0, Math.max(maxLength, 0))
+      .trim();
+  }
+
+  /**
+   * CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF), em 4 dígitos hexadecimais
+   * @param {string} text - Texto (ASCII)
+   * @returns {string}
+   */
+  static crc16(text) {
+    let crc = 0xFFFF;
+
+    for (let i = 0; i < text.length; i++) {
+      crc ^= text.charCodeAt(i) << 8;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+      }
+    }
+
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  /**
+   * Gera um identificador de transação para conciliar a doação no extrato
+   * @returns {string} Até 25 letras maiúsculas e números
+   */
+  static createTxid() {
+    const random = Math.random().toString(36).slice(2, 8);
+    return `DOA${Date.now().toString(36)}${random}`.toUpperCase().slice(0, 25);
+  }
+}
+
+/**
+ * Registro das doações prometidas neste dispositivo
+ * Cada QR Code gerado é guardado no localStorage ({ txid, amount, project, createdAt }),
+ * sem dados pessoais, para o doador acompanhar as próprias doações.
+ */
+class PledgeLog {
+  /**
+   * @param {string} [storageKey='pix-pledges'] - Chave no localStorage
+   */
+  constructor(storageKey = 'pix-pledges') {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Lista as doações registradas, da mais recente para a mais antiga
+   * @returns {Array<Object>}
+   */
+  list() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Registra uma doação
+   * @param {Object} pledge - { txid, amount, project }
+   * @returns {Object} Registro gravado (com createdAt)
+   */
+  add(pledge) {
+    const entry = { ...pledge, createdAt: new Date().toISOString() };
+    localStorage.setItem(this.storageKey, JSON.stringify([entry, ...this.list()]));
+    return entry;
+  }
+
+  /**
+   * Apaga o registro
+   */
+  clear() {
+    localStorage.removeItem(this.storageKey);
+  }
+}
+
+/**
+ * Formulário de doação por PIX
+ * Os dados do recebedor ficam no HTML; o QR Code e o "copia e cola" são gerados
+ * no navegador, sem serviço de pagamento, e funcionam offline:
+ *   <section data-pix-donation data-pix-key="..." data-pix-name="..." data-pix-city="...">
+ *     <form id="doacaoForm" data-validator> campos valor e projeto </form>
+ *     <div data-pix-result hidden></div>
+ *     <div data-pix-pledges></div>
+ *   </section>
+ */
+class PixDonation {
+  // Valor mínimo, em centavos
+  static MIN_AMOUNT = 100;
+
+  /**
+   * @param {HTMLElement} element - Elemento [data-pix-donation]
+   * @param {FormValidator} validator - Validador do formulário de doação
+   * @param {PledgeLog} log - Registro das doações
+   */
+  constructor(element, validator, log) {
+    this.element = element;
+    this.validator = validator;
+    this.form = validator.form;
+    this.log = log;
+    this.merchant = {
+      key: element.dataset.pixKey,
+      name: element.dataset.pixName,
+      city: element.dataset.pixCity
+    };
+    this.projects = [];
+    this.current = null;
+    this.listeners = new AbortController();
+  }
+
+  /**
+   * Registra a validação do valor, os atalhos de valor e a lista de projetos
+   * @param {Object} query - Parâmetros da página (ex: { projeto: 'doacoes' })
+   * @returns {Promise<void>}
+   */
+  async init(query) {
+    const { signal } = this.listeners;
+
+    this.validator.registerValidator('pix-valor', (value) => {
+      if (Number(value) < PixDonation.MIN_AMOUNT) {
+        return window.i18n.t('donation.min', { amount: PixDonation.formatAmount(PixDonation.MIN_AMOUNT) });
+      }
+      return null;
+    });
+
+    this.validator.submitHandler = (values) => this.generate(values);
+
+    this.element.addEventListener('click', (e) => {
+      const preset = e.target.closest('[data-donation-amount]');
+      if (preset) {
+        const field = this.form.elements.namedItem('valor');
+        window.inputMasks.setValue(field, preset.dataset.donationAmount);
+        this.validator.validateField(field);
+        return;
+      }
+
+      if (e.target.closest('[data-pix-copy]')) {
+        this.copy();
+      } else if (e.target.closest('[data-pix-clear]')) {
+        if (!confirm(window.i18n.t('donation.clearConfirm'))) return;
+        this.log.clear();
+        this.renderPledges();
+      }
+    }, { signal });
+
+    window.addEventListener('localeChange', () => {
+      this.renderPresets();
+      this.renderResult();
+      this.renderPledges();
+    }, { signal });
+
+    this.renderPresets();
+    this.renderPledges();
+
+    try {
+      this.projects = await window.projectStore.load();
+    } catch (error) {
+      console.warn('Não foi possível carregar os projetos:', error);
+      return;
+    }
+
+    if (!signal.aborted) this.renderProjects(query.projeto);
+  }
+
+  /**
+   * Formata um valor em centavos na moeda, no idioma atual
+   * @param {number} cents - Valor em centavos
+   * @returns {string}
+   */
+  static formatAmount(cents) {
+    return window.i18n.formatNumber(cents / 100, { style: 'currency', currency: 'BRL' });
+  }
+
+  /**
+   * Escreve os valores sugeridos nos botões de atalho
+   */
+  renderPresets() {
+    this.element.querySelectorAll('[data-donation-amount]').forEach(button => {
+      button.textContent = PixDonation.formatAmount(Number(button.dataset.donationAmount));
+    });
+  }
+
+  /**
+   * Preenche o select de destino com os projetos que recebem doações
+   * @param {string} [selected] - Slug do projeto escolhido (vindo de "Como doar")
+   */
+  renderProjects(selected) {
+    const select = this.form.elements.namedItem('projeto');
+    if (!select) return;
+
+    this.projects
+      .filter(project => project.donations)
+      .forEach(project => select.add(new Option(project.title, project.slug)));
+
+    if (selected && Array.from(select.options).some(option => option.value === selected)) {
+      select.value = selected;
+    }
+  }
+
+  /**
+   * Gera o BR Code e o QR Code da doação e a registra
+   * @param {Object} values - Valores do formulário ({ valor: centavos, projeto })
+   */
+  generate(values) {
+    const amount = Number(values.valor);
+    const project = this.projects.find(item => item.slug === values.projeto) || null;
+    const txid = PixPayload.createTxid();
+
+    const payload = PixPayload.build({
+      ...this.merchant,
+      amount,
+      txid,
+      description: project ? `Doacao ${project.title}` : 'Doacao'
+    });
+
+    this.current = { payload, amount, txid, project: project ? project.slug : '' };
+    this.log.add({ txid, amount, project: this.current.project });
+
+    this.renderResult({ focus: true });
+    this.renderPledges();
+  }
+
+  /**
+   * Exibe o QR Code e o "copia e cola" da doação atual
+   * @param {Object} [options]
+   * @param {boolean} [options.focus=false] - Mover o foco para o resultado
+   */
+  renderResult({ focus = false } = {}) {
+    const container = this.element.querySelector('[data-pix-result]');
+    if (!container || !this.current) return;
+
+    const amount = PixDonation.formatAmount(this.current.amount);
+
+    window.templateEngine.renderTo('pix-result', container, {
+      qr: QRCode.encode(this.current.payload, { level: 'M' }).toSvg({ title: window.i18n.t('donation.qrTitle', { amount }) }),
+      payload: this.current.payload,
+      amount,
+      destination: this.getProjectTitle(this.current.project),
+      txid: this.current.txid,
+      ...this.merchant
+    });
+    container.hidden = false;
+
+    if (focus) {
+      container.setAttribute('tabindex', '-1');
+      container.focus();
+    }
+  }
+
+  /**
+   * Exibe o registro de doações deste dispositivo
+   */
+  renderPledges() {
+    const container = this.element.querySelector('[data-pix-pledges]');
+    if (!container) return;
+
+    window.templateEngine.renderTo('pix-pledges', container, {
+      pledges: this.log.list().map(pledge => ({
+        date: window.i18n.formatDate(pledge.createdAt),
+        amount: PixDonation.formatAmount(pledge.amount),
+        destination: this.getProjectTitle(pledge.project),
+        txid: pledge.txid
+      }))
+    });
+  }
+
+  /**
+   * Nome do destino da doação
+   * @param {string} slug - Slug do projeto ('' para a ONG em geral)
+   * @returns {string}
+   */
+  getProjectTitle(slug) {
+    const project = this.projects.find(item => item.slug === slug);
+    return project ? project.title : window.i18n.t('donation.anyProject');
+  }
+
+  /**
+   * Copia o "copia e cola" para a área de transferência
+   * Sem a API de clipboard (ex: página fora de HTTPS), seleciona o texto para cópia manual.
+   * @returns {Promise<void>}
+   */
+  async copy() {
+    const status = this.element.querySelector('[data-pix-copy-status]');
+    const text = this.element.querySelector('[data-pix-payload]');
+    if (!this.current || !status) return;
+
+    try {
+      await navigator.clipboard.writeText(this.current.payload);
+      status.textContent = window.i18n.t('donation.copied');
+    } catch (error) {
+      if (text) text.select();
+      status.textContent = window.i18n.t('donation.copyFailed');
+    }
+  }
+
+  /**
+   * Remove os listeners (usado ao sair da página no SPA)
+   */
+  destroy() {
+    this.listeners.abort();
+    this.validator.submitHandler = null;
+  }
+}
+
+// Página de doação
+window.pageModules.register('doar.html', {
+  mount({ container, query }) {
+    const element = container.querySelector('[data-pix-donation]');
+    const form = element ? element.querySelector('form[data-validator]') : null;
+    const validator = form ? window.formValidators.get(form.id) : null;
+    if (!validator) return;
+
+    this.donation = new PixDonation(element, validator, new PledgeLog());
+    this.donation.init(query);
+  },
+
+  unmount() {
+    if (this.donation) {
+      this.donation.destroy();
+      this.donation = null;
+    }
+  }
+});
@@ -0,0 +1,548 @@
+// js/projects.js - Catálogo de projetos carregado de data/projects.json
+
+/**
+ * Fonte dos projetos
+ * O arquivo JSON é buscado uma única vez; uma falha permite tentar de novo
+ * na próxima chamada.
+ */
+class ProjectStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url='data/projects.json'] - Caminho do arquivo JSON
+   * @param {string} [options.submissionsKey='cadastroForm-submissions'] - Histórico de
+   *   cadastros no armazenamento seguro (ver VolunteerRegistry)
+   */
+  constructor({ url = 'data/projects.json', submissionsKey = 'cadastroForm-submissions' } = {}) {
+    this.url = url;
+    this.submissionsKey = submissionsKey;
+    this.request = null;
+  }
+
+  /**
+   * Carrega a lista de projetos
+   * @returns {Promise<Array<Object>>} Projetos { slug, title, description, details, image,
+   *   category, city, state, createdAt, featured }
+   */
+  load() {
+    if (!this.request) {
+      this.request = fetch(this.url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          this.request = null;
+          throw error;
+        });
+    }
+
+    return this.request;
+  }
+
+  /**
+   * Obtém um projeto pelo slug
+   * @param {string} slug - Identificador do projeto
+   * @returns {Promise<Object|null>}
+   */
+  async get(slug) {
+    const projects = await this.load();
+    return projects.find(project => project.slug === slug) || null;
+  }
+
+  /**
+   * Conta os voluntários de cada projeto nos cadastros salvos neste dispositivo
+   * Usa o resumo dos cadastros, que não exige a chave da coordenação (ver
+   * VolunteerRegistry.summaries). Cada voluntário (impressão digital do CPF ou,
+   * na falta dela, do e-mail) conta uma vez por projeto, mesmo que tenha se
+   * cadastrado de novo. Cadastros sem CPF nem e-mail contam cada um como um
+   * voluntário (identificado pela data do envio); cadastros vencidos ou sem
+   * nenhuma identificação são ignorados.
+   * @returns {Promise<Map<string, number>>} Quantidade por slug do projeto
+   */
+  async getVolunteerCounts() {
+    const volunteers = new Map();
+    let submissions = [];
+
+    try {
+      submissions = await new VolunteerRegistry({ key: this.submissionsKey }).summaries();
+    } catch (error) {
+      console.warn('Não foi possível ler os cadastros salvos:', error);
+    }
+
+    submissions.forEach(entry => {
+      const volunteer = entry.keys.cpf || entry.keys.email || entry.timestamp;
+      if (!volunteer) return;
+
+      [].concat(entry.projetos || []).forEach(slug => {
+        if (!volunteers.has(slug)) volunteers.set(slug, new Set());
+        volunteers.get(slug).add(volunteer);
+      });
+    });
+
+    return new Map(Array.from(volunteers, ([slug, people]) => [slug, people.size]));
+  }
+}
+
+/**
+ * Catálogo com busca, filtros, ordenação e paginação
+ * O estado fica na query string (ex: projetos.html?busca=horta&uf=MG&pagina=2),
+ * então cada visão filtrada pode ser compartilhada e voltar/avançar do navegador
+ * percorre as buscas anteriores. Estrutura esperada no HTML:
+ *   <section data-project-catalog>
+ *     <form data-catalog-filters> campos busca, categoria, uf, cidade e ordem </form>
+ *     <p data-catalog-status></p>
+ *     <div data-catalog-results></div>
+ *     <div data-catalog-pagination></div>
+ *   </section>
+ * Sem JavaScript, o formulário de filtros é enviado por GET para a mesma página.
+ */
+class ProjectCatalog {
+  static ORDERS = ['recentes', 'titulo', 'cidade'];
+  static FILTERS = ['busca', 'categoria', 'uf', 'cidade'];
+
+  /**
+   * @param {HTMLElement} element - Elemento [data-project-catalog]
+   * @param {ProjectStore} store - Fonte dos projetos
+   * @param {Object} [options]
+   * @param {number} [options.pageSize=6] - Projetos por página
+   * @param {number} [options.debounce=300] - Pausa na digitação da busca antes de filtrar, em ms
+   * @param {string} [options.path='projetos.html'] - Página do catálogo (base dos links de paginação)
+   */
+  constructor(element, store, { pageSize = 6, debounce = 300, path = 'projetos.html' } = {}) {
+    this.element = element;
+    this.store = store;
+    this.pageSize = pageSize;
+    this.debounce = debounce;
+    this.path = path;
+    this.form = element.querySelector('[data-catalog-filters]');
+    this.projects = [];
+    this.volunteers = new Map();
+    this.state = ProjectCatalog.readState({});
+    this.timer = null;
+    this.typing = false;
+    this.listeners = new AbortController();
+  }
+
+  /**
+   * Lê o estado do catálogo de uma query string já interpretada
+   * Valores desconhecidos voltam ao padrão (ordem 'recentes', página 1).
+   * @param {Object} query - Parâmetros (ver Router.parseQuery)
+   * @returns {{busca: string, categoria: string, uf: string, cidade: string, ordem: string, pagina: number}}
+   */
+  static readState(query) {
+    const pick = (name) => String([].concat(query[name] || '')[0]).trim();
+    const ordem = pick('ordem');
+    const pagina = parseInt(pick('pagina'), 10);
+
+    return {
+      busca: pick('busca'),
+      categoria: pick('categoria'),
+      uf: pick('uf').toUpperCase(),
+      cidade: pick('cidade'),
+      ordem: ProjectCatalog.ORDERS.includes(ordem) ? ordem : 'recentes',
+      pagina: pagina > 0 ? pagina : 1
+    };
+  }
+
+  /**
+   * Monta o caminho do catálogo para um estado, omitindo os valores padrão
+   * @param {Object} state - Estado do catálogo
+   * @returns {string} Caminho (ex: 'projetos.html?uf=SP&pagina=2')
+   */
+  buildPath(state) {
+    const params = new URLSearchParams();
+
+    ProjectCatalog.FILTERS.forEach(name => {
+      if (state[name]) params.set(name, state[name]);
+    });
+    if (state.ordem !== 'recentes') params.set('ordem', state.ordem);
+    if (state.pagina > 1) params.set('pagina', String(state.pagina));
+
+    const search = params.toString();
+    return search ? `${this.path}?${search}` : this.path;
+  }
+
+  /**
+   * Remove acentos e maiúsculas para comparar textos
+   * @param {string} text - Texto
+   * @returns {string}
+   */
+  static normalize(text) {
+    return I18n.stripAccents(text).toLowerCase();
+  }
+
+  /**
+   * Nome da categoria no idioma atual
+   * @param {string} category - Identificador da categoria
+   * @returns {string}
+   */
+  static getCategoryLabel(category) {
+    return window.i18n.t(`category.${category}`);
+  }
+
+  /**
+   * Filtra os projetos pelo texto buscado e pelos filtros do estado
+   * Todas as palavras buscadas precisam aparecer no título, na descrição, na
+   * cidade, no estado ou na categoria (sem diferenciar acentos).
+   * @param {Array<Object>} projects - Projetos
+   * @param {Object} state - Estado do catálogo
+   * @returns {Array<Object>}
+   */
+  static filter(projects, { busca, categoria, uf, cidade }) {
+    const words = ProjectCatalog.normalize(busca).split(/\s+/).filter(Boolean);
+
+    return projects.filter(project => {
+      if (categoria && project.category !== categoria) return false;
+      if (uf && project.state !== uf) return false;
+      if (cidade && project.city !== cidade) return false;
+      if (!words.length) return true;
+
+      const text = ProjectCatalog.normalize([
+        project.title, project.description, project.details, project.city, project.state,
+        ProjectCatalog.getCategoryLabel(project.category)
+      ].join(' '));
+
+      return words.every(word => text.includes(word));
+    });
+  }
+
+  /**
+   * Ordena os projetos (sem alterar a lista original)
+   * @param {Array<Object>} projects - Projetos
+   * @param {string} ordem - 'recentes', 'titulo' ou 'cidade'
+   * @returns {Array<Object>}
+   */
+  static sort(projects, ordem) {
+    const collator = new Intl.Collator(window.i18n.locale, { sensitivity: 'base' });
+    const byTitle = (a, b) => collator.compare(a.title, b.title);
+    const comparators = {
+      recentes: (a, b) => String(b.createdAt).localeCompare(String(a.createdAt)) || byTitle(a, b),
+      titulo: byTitle,
+      cidade: (a, b) => collator.compare(a.city, b.city) || byTitle(a, b)
+    };
+
+    return [...projects].sort(comparators[ordem] || comparators.recentes);
+  }
+
+  /**
+   * Começa a responder aos filtros e exibe o catálogo para a query inicial
+   * @param {Object} query - Parâmetros da página (ver Router.parseQuery)
+   * @returns {Promise<void>}
+   */
+  async init(query) {
+    const { signal } = this.listeners;
+    this.state = ProjectCatalog.readState(query);
+
+    if (this.form) {
+      // A busca é aplicada após uma pausa na digitação; a primeira pausa cria uma
+      // entrada no histórico e as seguintes, da mesma digitação, a substituem
+      this.form.addEventListener('input', (e) => {
+        if (e.target.name !== 'busca') return;
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+          this.update({ busca: e.target.value.trim() }, { replace: this.typing });
+          this.typing = true;
+        }, this.debounce);
+      }, { signal });
+
+      this.form.addEventListener('focusout', (e) => {
+        if (e.target.name === 'busca') this.typing = false;
+      }, { signal });
+
+      this.form.addEventListener('change', (e) => {
+        const { name, value } = e.target;
+        if (name === 'busca' || !(name in this.state)) return;
+
+        const changes = { [name]: value };
+        // A cidade escolhida pode não existir no novo estado
+        if (name === 'uf') changes.cidade = '';
+        this.update(changes);
+      }, { signal });
+
+      this.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        clearTimeout(this.timer);
+        this.update(ProjectCatalog.readState(Object.fromEntries(new FormData(this.form))));
+      }, { signal });
+
+      this.form.addEventListener('reset', () => {
+        setTimeout(() => this.update(ProjectCatalog.readState({})));
+      }, { signal });
+    }
+
+    // Links de paginação: são links reais (abrem em nova aba), tratados aqui sem recarregar
+    this.element.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-catalog-page]');
+      if (!link || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+      e.preventDefault();
+      this.update({ pagina: Number(link.dataset.catalogPage) }, { keepPage: true });
+      this.focusStatus();
+    }, { signal });
+
+    // Voltar/avançar entre buscas: o estado vem da query string restaurada
+    window.addEventListener('pageStateChange', () => {
+      this.typing = false;
+      this.state = ProjectCatalog.readState(Router.parseQuery(window.location.search));
+      this.render();
+    }, { signal });
+
+    window.addEventListener('localeChange', () => this.render(), { signal });
+
+    try {
+      [this.projects, this.volunteers] = await Promise.all([this.store.load(), this.store.getVolunteerCounts()]);
+    } catch (error) {
+      console.warn('Não foi possível carregar os projetos:', error);
+      if (!signal.aborted) this.showLoadError();
+      return;
+    }
+
+    if (!signal.aborted) this.render();
+  }
+
+  /**
+   * Altera o estado, registra o novo endereço no histórico e exibe o resultado
+   * Mudanças nos filtros voltam para a primeira página.
+   * @param {Object} changes - Campos do estado a alterar
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Substituir a entrada atual do histórico
+   * @param {boolean} [options.keepPage=false] - Não voltar para a primeira página
+   */
+  update(changes, { replace = false, keepPage = false } = {}) {
+    if (!replace) this.typing = false;
+
+    const state = { ...this.state, ...changes };
+    if (!keepPage) state.pagina = changes.pagina || 1;
+
+    const path = this.buildPath(state);
+    if (path === this.buildPath(this.state)) return;
+
+    this.state = state;
+
+    if (window.spa) {
+      if (replace) {
+        window.spa.replacePageState(null, { path });
+      } else {
+        window.spa.pushPageState(null, { path });
+      }
+    } else if (replace) {
+      window.history.replaceState(window.history.state, '', path);
+    } else {
+      window.history.pushState(window.history.state, '', path);
+    }
+
+    this.render();
+  }
+
+  /**
+   * Exibe os projetos da página atual, o total encontrado e a paginação
+   */
+  render() {
+    const filtered = ProjectCatalog.sort(ProjectCatalog.filter(this.projects, this.state), this.state.ordem);
+    const totalPages = Math.max(Math.ceil(filtered.length / this.pageSize), 1);
+    const pagina = Math.min(this.state.pagina, totalPages);
+    const start = (pagina - 1) * this.pageSize;
+
+    this.syncForm();
+
+    const status = this.element.querySelector('[data-catalog-status]');
+    if (status) {
+      status.textContent = window.i18n.plural('catalog.count', filtered.length);
+    }
+
+    window.templateEngine.renderTo('project-list', this.element.querySelector('[data-catalog-results]'), {
+      projects: filtered.slice(start, start + this.pageSize)
+        .map(project => ProjectCatalog.toCard(project, this.volunteers.get(project.slug) || 0))
+    });
+
+    window.templateEngine.mountAll(this.element);
+    window.templateEngine.cleanupInstances();
+
+    this.renderPagination(pagina, totalPages);
+  }
+
+  /**
+   * Monta a paginação (oculta quando há uma única página)
+   * @param {number} pagina - Página exibida
+   * @param {number} totalPages - Total de páginas
+   */
+  renderPagination(pagina, totalPages) {
+    const container = this.element.querySelector('[data-catalog-pagination]');
+    if (!container) return;
+
+    const pageLink = (number) => ({ number, href: this.buildPath({ ...this.state, pagina: number }) });
+
+    window.templateEngine.renderTo('pagination', container, totalPages < 2 ? {} : {
+      pages: Array.from({ length: totalPages }, (_, i) => ({ ...pageLink(i + 1), current: i + 1 === pagina })),
+      previous: pagina > 1 ? pageLink(pagina - 1) : null,
+      next: pagina < totalPages ? pageLink(pagina + 1) : null
+    });
+  }
+
+  /**
+   * Preenche os campos de filtro com o estado e as opções disponíveis
+   * As cidades oferecidas são as do estado escolhido.
+   */
+  syncForm() {
+    if (!this.form) return;
+
+    const options = (values, label) => [{ value: '', label: window.i18n.t('catalog.any') }]
+      .concat(values.map(value => ({ value, label: label ? label(value) : value })));
+    const unique = (values) => Array.from(new Set(values)).sort((a, b) => a.localeCompare(b, window.i18n.locale));
+
+    const inState = this.projects.filter(project => !this.state.uf || project.state === this.state.uf);
+
+    this.fillSelect('categoria', options(unique(this.projects.map(project => project.category)), ProjectCatalog.getCategoryLabel));
+    this.fillSelect('uf', options(unique(this.projects.map(project => project.state))));
+    this.fillSelect('cidade', options(unique(inState.map(project => project.city))));
+
+    ProjectCatalog.FILTERS.concat('ordem').forEach(name => {
+      const field = this.form.elements.namedItem(name);
+      if (field && field !== document.activeElement) {
+        field.value = this.state[name];
+      }
+    });
+  }
+
+  /**
+   * Substitui as opções de um select do formulário de filtros
+   * @param {string} name - Nome do select
+   * @param {Array<{value: string, label: string}>} options - Opções
+   */
+  fillSelect(name, options) {
+    const select = this.form.elements.namedItem(name);
+    if (!select || select.tagName !== 'SELECT') return;
+
+    select.replaceChildren(...options.map(({ value, label }) => new Option(label, value)));
+  }
+
+  /**
+   * Converte um projeto nas props do componente project-card
+   * @param {Object} project - Projeto
+   * @param {number} [volunteers] - Voluntários cadastrados (omitido, não aparece no card)
+   * @returns {Object} Props do card
+   */
+  static toCard(project, volunteers) {
+    const meta = [ProjectCatalog.getCategoryLabel(project.category), `${project.city}/${project.state}`];
+
+    if (Number.isInteger(volunteers)) {
+      meta.push(window.i18n.plural('catalog.volunteers', volunteers));
+    }
+
+    return {
+      slug: project.slug,
+      title: project.title,
+      description: project.description,
+      image: project.image,
+      link: `projetos/${encodeURIComponent(project.slug)}`,
+      signup: ProjectCatalog.getSignupPath(project.slug),
+      donate: project.donations ? ProjectCatalog.getDonationPath(project.slug) : null,
+      meta: meta.join(' · ')
+    };
+  }
+
+  /**
+   * Endereço do cadastro de voluntário com o projeto já escolhido
+   * @param {string} slug - Identificador do projeto
+   * @returns {string}
+   */
+  static getSignupPath(slug) {
+    return `cadastro.html?projeto=${encodeURIComponent(slug)}`;
+  }
+
+  /**
+   * Endereço da doação por PIX com o projeto já escolhido (ver js/pix.js)
+   * @param {string} slug - Identificador do projeto
+   * @returns {string}
+   */
+  static getDonationPath(slug) {
+    return `doar.html?projeto=${encodeURIComponent(slug)}`;
+  }
+
+  /**
+   * Exibe a mensagem de falha no carregamento dos projetos
+   */
+  showLoadError() {
+    const results = this.element.querySelector('[data-catalog-results]');
+    if (results) {
+      results.innerHTML = window.templateEngine.render('error-message', { message: window.i18n.t('catalog.loadError') });
+    }
+  }
+
+  /**
+   * Move o foco para o total encontrado (ao trocar de página)
+   */
+  focusStatus() {
+    const status = this.element.querySelector('[data-catalog-status]');
+    if (status) {
+      status.setAttribute('tabindex', '-1');
+      status.focus();
+    }
+  }
+
+  /**
+   * Remove os listeners (usado ao sair da página no SPA)
+   */
+  destroy() {
+    clearTimeout(this.timer);
+    this.listeners.abort();
+  }
+}
+
+// Fonte global dos projetos (também usada pela rota projetos/:slug)
+window.projectStore = new ProjectStore();
+
+// Catálogo completo
+window.pageModules.register('projetos.html', {
+  mount({ container, query }) {
+    const element = container.querySelector('[data-project-catalog]');
+    if (!element) return;
+
+    this.catalog = new ProjectCatalog(element, window.projectStore);
+    this.catalog.init(query);
+  },
+
+  unmount() {
+    if (this.catalog) {
+      this.catalog.destroy();
+      this.catalog = null;
+    }
+  }
+});
+
+// Projetos em destaque na página inicial
+window.pageModules.register('index.html', {
+  mount({ container }) {
+    const list = container.querySelector('[data-featured-projects]');
+    if (!list) return;
+
+    this.controller = new AbortController();
+    const { signal } = this.controller;
+
+    const render = (projects) => {
+      window.templateEngine.renderTo('project-list', list, {
+        projects: projects.filter(project => project.featured).map(project => ProjectCatalog.toCard(project))
+      });
+      window.templateEngine.mountAll(list);
+      window.templateEngine.cleanupInstances();
+    };
+
+    window.projectStore.load().then(projects => {
+      if (signal.aborted) return;
+
+      render(projects);
+      window.addEventListener('localeChange', () => render(projects), { signal });
+    }, error => {
+      console.warn('Não foi possível carregar os projetos:', error);
+    });
+  },
+
+  unmount() {
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+});
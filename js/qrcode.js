@@ -0,0 +1,547 @@
+// js/qrcode.js - Gerador de QR Code (modo byte, versões 1 a 40), sem dependências
+
+/*
+ * Adaptado da "QR Code generator library" (TypeScript/JavaScript) de Project Nayuki:
+ * tabelas de correção de erros, posicionamento dos módulos, Reed-Solomon, máscaras
+ * e penalidades seguem a implementação original.
+ * https://www.nayuki.io/page/qr-code-generator-library
+ *
+ * Copyright (c) Project Nayuki. (MIT License)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ * - The above copyright notice and this permission notice shall be included in
+ *   all copies or substantial portions of the Software.
+ * - The Software is provided "as is", without warranty of any kind, express or
+ *   implied, including but not limited to the warranties of merchantability,
+ *   fitness for a particular purpose and noninfringement. In no event shall the
+ *   authors or copyright holders be liable for any claim, damages or other
+ *   liability, whether in an action of contract, tort or otherwise, arising from,
+ *   out of or in connection with the Software or the use or other dealings in the
+ *   Software.
+ */
+
+/**
+ * Gerador de QR Code conforme a ISO/IEC 18004
+ * O texto é codificado em UTF-8 no modo byte, na menor versão que comporta os
+ * dados no nível de correção escolhido. A máscara é escolhida pela menor
+ * penalidade, e o resultado pode ser exportado como SVG.
+ *   const qr = QRCode.encode('texto', { level: 'M' });
+ *   element.innerHTML = qr.toSvg({ title: 'QR Code' });
+ */
+class QRCode {
+  // Níveis de correção: bits do formato e índice nas tabelas abaixo
+  static LEVELS = {
+    L: { formatBits: 1, index: 0 },
+    M: { formatBits: 0, index: 1 },
+    Q: { formatBits: 3, index: 2 },
+    H: { formatBits: 2, index: 3 }
+  };
+
+  // Codewords de correção por bloco, por nível (L, M, Q, H) e versão (índice 0 não usado)
+  static ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  ];
+
+  // Quantidade de blocos de correção, por nível (L, M, Q, H) e versão
+  static ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  ];
+
+  /**
+   * @param {number} version - Versão (1 a 40)
+   * @param {string} level - Nível de correção ('L', 'M', 'Q' ou 'H')
+   * @param {number[]} dataCodewords - Codewords de dados, já com cabeçalho e preenchimento
+   * @param {number} [mask] - Máscara (0 a 7); sem ela, a de menor penalidade é escolhida
+   */
+  constructor(version, level, dataCodewords, mask) {
+    this.version = version;
+    this.level = level;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this.drawFunctionPatterns();
+    this.drawCodewords(this.addEccAndInterleave(dataCodewords));
+
+    if (mask === undefined) {
+      let lowest = Infinity;
+
+      for (let candidate = 0; candidate < 8; candidate++) {
+        this.applyMask(candidate);
+        this.drawFormatBits(candidate);
+        const penalty = this.getPenaltyScore();
+
+        if (penalty < lowest) {
+          mask = candidate;
+          lowest = penalty;
+        }
+        // A máscara é um XOR: aplicar de novo desfaz
+        this.applyMask(candidate);
+      }
+    }
+
+    this.mask = mask;
+    this.applyMask(mask);
+    this.drawFormatBits(mask);
+  }
+
+  /**
+   * Codifica um texto na menor versão possível
+   * @param {string} text - Texto (codificado em UTF-8)
+   * @param {Object} [options]
+   * @param {string} [options.level='M'] - Nível de correção ('L', 'M', 'Q' ou 'H')
+   * @param {number} [options.mask] - Máscara fixa (0 a 7)
+   * @returns {QRCode}
+   * @throws {RangeError} Se o texto não couber na versão 40
+   */
+  static encode(text, { level = 'M', mask } = {}) {
+    if (!QRCode.LEVELS[level]) {
+      throw new RangeError(`Nível de correção inválido: ${level}`);
+    }
+
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+
+    // Modo byte: 4 bits do modo + 8 (versões 1 a 9) ou 16 bits da quantidade
+    const bitsNeeded = (v) => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+    while (bitsNeeded(version) > QRCode.getNumDataCodewords(version, level) * 8) {
+      if (++version > 40) {
+        throw new RangeError('Texto longo demais para um QR Code');
+      }
+    }
+
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    // Terminador, alinhamento em bytes e bytes de preenchimento alternados
+    const capacity = QRCode.getNumDataCodewords(version, level) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+      append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+
+    return new QRCode(version, level, codewords, mask);
+  }
+
+  /**
+   * Quantidade de módulos disponíveis para dados e correção em uma versão
+   * @param {number} version - Versão
+   * @returns {number}
+   */
+  static getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+
+    return result;
+  }
+
+  /**
+   * Quantidade de codewords de dados de uma versão e nível
+   * @param {number} version - Versão
+   * @param {string} level - Nível de correção
+   * @returns {number}
+   */
+  static getNumDataCodewords(version, level) {
+    const index = QRCode.LEVELS[level].index;
+    return Math.floor(QRCode.getNumRawDataModules(version) / 8)
+      - QRCode.ECC_CODEWORDS_PER_BLOCK[index][version] * QRCode.ECC_BLOCKS[index][version];
+  }
+
+  /**
+   * Posições (linha e coluna) dos padrões de alinhamento
+   * @param {number} version - Versão
+   * @returns {number[]}
+   */
+  static getAlignmentPositions(version) {
+    if (version === 1) return [];
+
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const positions = [6];
+
+    for (let pos = size - 7; positions.length < numAlign; pos -= step) {
+      positions.splice(1, 0, pos);
+    }
+
+    return positions;
+  }
+
+  /**
+   * Marca um módulo que pertence a um padrão fixo (não recebe dados nem máscara)
+   * @param {number} x - Coluna
+   * @param {number} y - Linha
+   * @param {boolean} dark - Se o módulo é escuro
+   */
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  /**
+   * Desenha os padrões de localização, sincronismo, alinhamento e as áreas
+   * reservadas de formato e versão
+   */
+  drawFunctionPatterns() {
+    for (let i = 0; i < this.size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(this.size - 4, 3);
+    this.drawFinderPattern(3, this.size - 4);
+
+    const positions = QRCode.getAlignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // Sem alinhamento sobre os padrões de localização
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        this.drawAlignmentPattern(x, y);
+      });
+    });
+
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  /**
+   * Desenha um padrão de localização (com a borda clara) centrado em (x, y)
+   * @param {number} x - Coluna do centro
+   * @param {number} y - Linha do centro
+   */
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const col = x + dx;
+        const row = y + dy;
+
+        if (col >= 0 && col < this.size && row >= 0 && row < this.size) {
+          this.setFunctionModule(col, row, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  /**
+   * Desenha um padrão de alinhamento centrado em (x, y)
+   * @param {number} x - Coluna do centro
+   * @param {number} y - Linha do centro
+   */
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  /**
+   * Desenha as duas cópias dos bits de formato (nível de correção e máscara)
+   * @param {number} mask - Máscara
+   */
+  drawFormatBits(mask) {
+    const data = (QRCode.LEVELS[this.level].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    // Primeira cópia, ao redor do padrão de localização superior esquerdo
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+    this.setFunctionModule(8, 7, bit(6));
+    this.setFunctionModule(8, 8, bit(7));
+    this.setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+    // Segunda cópia, dividida entre os outros dois padrões de localização
+    for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+
+    // Módulo sempre escuro
+    this.setFunctionModule(8, this.size - 8, true);
+  }
+
+  /**
+   * Desenha as duas cópias dos bits de versão (versões 7 em diante)
+   */
+  drawVersion() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  /**
+   * Divide os dados em blocos, calcula a correção de erros (Reed-Solomon) de
+   * cada um e intercala os blocos
+   * @param {number[]} data - Codewords de dados
+   * @returns {number[]} Codewords finais
+   */
+  addEccAndInterleave(data) {
+    const index = QRCode.LEVELS[this.level].index;
+    const numBlocks = QRCode.ECC_BLOCKS[index][this.version];
+    const eccLength = QRCode.ECC_CODEWORDS_PER_BLOCK[index][this.version];
+    const rawCodewords = Math.floor(QRCode.getNumRawDataModules(this.version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = QRCode.reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+      const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+      offset += block.length;
+      const ecc = QRCode.reedSolomonRemainder(block, divisor);
+
+      // Posição vazia nos blocos curtos, ignorada na intercalação
+      if (i < numShortBlocks) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Posiciona os codewords em zigue-zague, de baixo para cima, em pares de colunas
+   * @param {number[]} codewords - Codewords finais
+   */
+  drawCodewords(codewords) {
+    let i = 0;
+
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      // A coluna de sincronismo vertical é pulada
+      if (right === 6) right = 5;
+
+      for (let vert = 0; vert < this.size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vert : vert;
+
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Inverte os módulos de dados selecionados por uma máscara
+   * @param {number} mask - Máscara (0 a 7)
+   */
+  applyMask(mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+      (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+    const invert = conditions[mask];
+
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && invert(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalidade do símbolo atual (quanto menor, mais fácil de ler)
+   * Soma as quatro regras da norma: sequências da mesma cor, blocos 2x2,
+   * padrões parecidos com os de localização e desequilíbrio entre claros e escuros.
+   * @returns {number}
+   */
+  getPenaltyScore() {
+    const size = this.size;
+    const lines = [];
+    let penalty = 0;
+    let dark = 0;
+
+    for (let i = 0; i < size; i++) {
+      lines.push(this.modules[i]);
+      lines.push(this.modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+      // Regra 1: cinco ou mais módulos seguidos da mesma cor
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+
+      // Regra 3: escuro-claro-escuro(3)-claro-escuro com quatro claros de um dos lados
+      const text = line.map(module => (module ? '1' : '0')).join('');
+      const padded = `0000${text}0000`;
+      for (let i = 0; i + 11 <= padded.length; i++) {
+        const sample = padded.slice(i, i + 11);
+        if (sample === '10111010000' || sample === '00001011101') penalty += 40;
+      }
+    });
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (this.modules[y][x]) dark++;
+
+        // Regra 2: blocos 2x2 da mesma cor
+        if (x < size - 1 && y < size - 1) {
+          const color = this.modules[y][x];
+          if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+            penalty += 3;
+          }
+        }
+      }
+    }
+
+    // Regra 4: 10 pontos a cada 5% de distância dos 50% de módulos escuros
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+  }
+
+  /**
+   * Polinômio gerador de Reed-Solomon com um grau
+   * @param {number} degree - Quantidade de codewords de correção
+   * @returns {number[]} Coeficientes (sem o termo de maior grau)
+   */
+  static reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = QRCode.multiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = QRCode.multiply(root, 0x02);
+    }
+
+    return result;
+  }
+
+  /**
+   * Resto da divisão dos dados pelo polinômio gerador (codewords de correção)
+   * @param {number[]} data - Codewords de dados do bloco
+   * @param {number[]} divisor - Polinômio gerador
+   * @returns {number[]}
+   */
+  static reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= QRCode.multiply(coefficient, factor);
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Multiplicação no corpo finito GF(2^8) com o polinômio 0x11D
+   * @param {number} x - Fator
+   * @param {number} y - Fator
+   * @returns {number}
+   */
+  static multiply(x, y) {
+    let z = 0;
+
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+
+    return z;
+  }
+
+  /**
+   * Exporta o símbolo como SVG (um único path, escalável)
+   * @param {Object} [options]
+   * @param {number} [options.border=4] - Margem clara em módulos (a norma pede ao menos 4)
+   * @param {string} [options.title] - Texto alternativo (role="img")
+   * @returns {string} Marcação SVG
+   */
+  toSvg({ border = 4, title = '' } = {}) {
+    const dimension = this.size + border * 2;
+    const parts = [];
+
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.modules[y][x]) parts.push(`M${x + border},${y + border}h1v1h-1z`);
+      }
+    }
+
+    const label = title ? ` role="img" aria-label="${TemplateEngine.escape(title)}"` : ' aria-hidden="true"';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges"${label}>`
+      + `<rect width="100%" height="100%" fill="#fff"/><path d="${parts.join('')}" fill="#000"/></svg>`;
+  }
+}
@@ -0,0 +1,124 @@
+// js/router.js - Tabela de rotas declarativa para o SimpleSPA
+
+/**
+ * Roteador com suporte a parâmetros nomeados, curingas e query string
+ * Padrões aceitos: 'sobre.html', '/projetos/:slug', '/ajuda/*'
+ */
+class Router {
+  constructor() {
+    this.routes = [];
+    this.notFoundRoute = null;
+  }
+
+  /**
+   * Compila um padrão de rota em expressão regular
+   * @param {string} pattern - Padrão da rota (ex: '/projetos/:slug')
+   * @returns {{regex: RegExp, keys: string[]}} Expressão e nomes dos parâmetros
+   */
+  static compile(pattern) {
+    const keys = [];
+    const segments = pattern.replace(/^\/+/, '').split('/');
+
+    const source = segments.map(segment => {
+      if (segment === '*') {
+        keys.push('wildcard');
+        return '(.*)';
+      }
+
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+
+      return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    return { regex: new RegExp(`^${source}/?$`), keys };
+  }
+
+  /**
+   * Decodifica um parâmetro do caminho
+   * Sequências % inválidas (ex: '/projetos/%E0%A4%A') são mantidas como vieram,
+   * em vez de interromper a navegação com URIError.
+   * @param {string} value - Trecho do caminho
+   * @returns {string} Valor decodificado
+   */
+  static decodeParam(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Converte uma query string em objeto
+   * Chaves repetidas viram arrays (ex: '?uf=SP&uf=RJ' -> { uf: ['SP', 'RJ'] })
+   * @param {string} search - Query string, com ou sem '?'
+   * @returns {Object} Parâmetros da query
+   */
+  static parseQuery(search) {
+    const query = {};
+
+    new URLSearchParams(search).forEach((value, key) => {
+      if (key in query) {
+        query[key] = [].concat(query[key], value);
+      } else {
+        query[key] = value;
+      }
+    });
+
+    return query;
+  }
+
+  /**
+   * Registra uma rota
+   * @param {string} pattern - Padrão da rota
+   * @param {Object|Function} definition - Objeto { render, title } ou apenas a função render
+   */
+  add(pattern, definition) {
+    const route = typeof definition === 'function' ? { render: definition } : { ...definition };
+
+    this.routes.push({ ...route, path: pattern, ...Router.compile(pattern) });
+  }
+
+  /**
+   * Registra várias rotas de uma vez
+   * @param {Array<Object>} table - Lista de rotas no formato { path, render, title }
+   */
+  setRoutes(table) {
+    table.forEach(({ path, ...definition }) => this.add(path, definition));
+  }
+
+  /**
+   * Registra a rota exibida quando nenhuma outra corresponde ao caminho
+   * @param {Object|Function} definition - Objeto { render, title } ou apenas a função render
+   */
+  setNotFound(definition) {
+    this.notFoundRoute = typeof definition === 'function' ? { render: definition } : { ...definition };
+  }
+
+  /**
+   * Procura a rota correspondente a um caminho
+   * @param {string} path - Caminho com query opcional (ex: 'projetos/horta?aba=fotos')
+   * @returns {Object|null} { route, params, query, path } ou null
+   */
+  match(path) {
+    const [pathname, search = ''] = path.split('?');
+    const cleanPath = pathname.replace(/^\/+/, '');
+
+    for (const route of this.routes) {
+      const result = route.regex.exec(cleanPath);
+      if (!result) continue;
+
+      const params = {};
+      route.keys.forEach((key, index) => {
+        params[key] = Router.decodeParam(result[index + 1]);
+      });
+
+      return { route, params, query: Router.parseQuery(search), path };
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,91 @@
+// js/routes.js - Tabela de rotas dinâmicas da aplicação
+
+/**
+ * Verifica se o usuário alterou algum campo do formulário
+ * @param {HTMLFormElement} form - Formulário
+ * @returns {boolean} Se há valores diferentes dos iniciais
+ */
+function isFormDirty(form) {
+  return Array.from(form.elements).some(el => {
+    if (el.type === 'checkbox' || el.type === 'radio') {
+      return el.checked !== el.defaultChecked;
+    }
+
+    if (el.tagName === 'SELECT') {
+      return Array.from(el.options).some(opt => opt.selected !== opt.defaultSelected);
+    }
+
+    return 'defaultValue' in el && el.value !== el.defaultValue;
+  });
+}
+
+/**
+ * Registra as rotas dinâmicas, a página 404 e os guards de navegação no SPA
+ * Páginas HTML existentes (index.html, projetos.html...) não precisam de rota:
+ * o SPA as busca no servidor automaticamente.
+ */
+function registerRoutes(spa) {
+  spa.setNotFound({
+    render: () => ({
+      content: window.templateEngine.render('not-found'),
+      title: `${window.i18n.t('notFound.title')} — ONG Casa Aberta`
+    })
+  });
+
+  // Página de detalhes de um projeto do catálogo (ver js/projects.js)
+  spa.route('projetos/:slug', async ({ params, path }) => {
+    let project = null;
+
+    try {
+      project = await window.projectStore.get(params.slug);
+    } catch (error) {
+      console.warn('Não foi possível carregar os projetos:', error);
+    }
+
+    if (!project) {
+      return spa.renderRoute(spa.router.notFoundRoute, { params: {}, query: {}, path });
+    }
+
+    return {
+      content: window.templateEngine.render('project-detail', {
+        project,
+        meta: `${ProjectCatalog.getCategoryLabel(project.category)} · ${project.city}/${project.state}`,
+        since: window.i18n.formatDate(project.createdAt, { month: 'long', year: 'numeric' }),
+        signup: ProjectCatalog.getSignupPath(project.slug),
+        donate: project.donations ? ProjectCatalog.getDonationPath(project.slug) : null,
+        save: { slug: project.slug }
+      }),
+      title: `${project.title} — ONG Casa Aberta`
+    };
+  });
+
+  // Painel dos voluntários cadastrados neste dispositivo (ver js/volunteers.js)
+  // Restrito à coordenação: sem a frase de acesso, vai para a entrada (admin.html)
+  spa.route('admin/voluntarios', {
+    render: () => ({
+      content: window.templateEngine.render('volunteer-admin'),
+      title: `${window.i18n.t('admin.title')} — ONG Casa Aberta`
+    }),
+    beforeEnter: () => window.coordinatorAccess.isUnlocked() || 'admin.html'
+  });
+
+  // Avisar antes de sair do cadastro com dados não enviados
+  // (formulários com rascunho automático não precisam: o rascunho é salvo ao sair)
+  // Vale também para o link da própria página: a navegação renderiza o
+  // cadastro de novo e o que foi digitado se perde.
+  spa.beforeLeave(() => {
+    const form = document.getElementById('cadastroForm');
+
+    if (form && !form.hasAttribute('data-draft') && isFormDirty(form)) {
+      return window.confirm(window.i18n.t('form.leaveConfirm'));
+    }
+
+    return true;
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (window.spa) {
+    registerRoutes(window.spa);
+  }
+});
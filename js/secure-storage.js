@@ -0,0 +1,503 @@
+// js/secure-storage.js - Armazenamento local criptografado para dados pessoais
+
+/**
+ * Armazenamento criptografado sobre o localStorage
+ * Os valores são cifrados com AES-GCM e gravados em um envelope com a versão do
+ * esquema dos dados:
+ *   { version, savedAt, iv, data }
+ * A chave é derivada de uma frase secreta (PBKDF2) ou, sem frase, gerada para
+ * este navegador e guardada no IndexedDB como não extraível: o script pode
+ * usá-la, mas não lê-la, e ela nunca fica no localStorage ao lado dos dados.
+ * Ao ler um envelope de versão antiga, as migrações registradas são aplicadas
+ * em ordem e o valor é regravado na versão atual. Envelopes mais antigos que o
+ * prazo de retenção são apagados. O consentimento é de cada envio ou rascunho,
+ * não do dispositivo: quem grava decide, pelo campo de consentimento do
+ * formulário (ver FormValidator.applyStorageConsent e FormDraft).
+ */
+class SecureStorage {
+  static VERSION = 2;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.namespace='secure'] - Prefixo das chaves no localStorage
+   * @param {string} [options.passphrase] - Frase secreta; sem ela, é usada a chave
+   *   do dispositivo (protege contra leitura ou cópia do localStorage, mas não
+   *   contra quem usa o próprio navegador)
+   * @param {number} [options.retentionDays=180] - Prazo de retenção dos dados em dias
+   * @param {number} [options.iterations=210000] - Iterações do PBKDF2
+   */
+  constructor({ namespace = 'secure', passphrase, retentionDays = 180, iterations = 210000 } = {}) {
+    this.namespace = namespace;
+    this.passphrase = passphrase || null;
+    this.retentionDays = retentionDays;
+    this.iterations = iterations;
+    this.migrations = new Map();
+    this.keyPromise = null;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Verifica se o navegador oferece Web Crypto (exige HTTPS ou localhost) e IndexedDB
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return Boolean(window.crypto && window.crypto.subtle && window.indexedDB);
+  }
+
+  /**
+   * Registra a migração de uma versão do esquema para a seguinte
+   * @param {number} fromVersion - Versão de origem (a migração produz fromVersion + 1)
+   * @param {Function} migrate - Função (value, key) => novo valor
+   */
+  registerMigration(fromVersion, migrate) {
+    this.migrations.set(fromVersion, migrate);
+  }
+
+  /**
+   * Apaga todos os dados guardados e a chave do dispositivo (painel da coordenação)
+   * @param {string[]} [legacyKeys=[]] - Chaves antigas, sem criptografia, a apagar também
+   */
+  eraseAll(legacyKeys = []) {
+    const prefix = `${this.namespace}:`;
+
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(prefix))
+      .concat(legacyKeys)
+      .forEach(key => localStorage.removeItem(key));
+
+    this.keyPromise = null;
+
+    if (SecureStorage.isSupported()) {
+      this.withKeyStore('readwrite', store => store.delete('device'))
+        .catch(error => console.warn('Não foi possível apagar a chave do dispositivo:', error));
+    }
+  }
+
+  /**
+   * Grava um valor cifrado
+   * @param {string} key - Chave
+   * @param {*} value - Valor serializável em JSON
+   * @param {Object} [options]
+   * @param {number} [options.version] - Versão do esquema do valor (padrão: a atual)
+   * @returns {Promise<boolean>} Se o valor foi gravado (exige Web Crypto e IndexedDB)
+   */
+  async setItem(key, value, { version = SecureStorage.VERSION } = {}) {
+    if (!SecureStorage.isSupported()) {
+      console.warn('Web Crypto indisponível: os dados não serão guardados neste navegador.');
+      return false;
+    }
+
+    const sealed = await SecureStorage.encrypt(value, await this.getKey());
+
+    localStorage.setItem(this.storageKey(key), JSON.stringify({
+      version,
+      savedAt: new Date().toISOString(),
+      ...sealed
+    }));
+
+    return true;
+  }
+
+  /**
+   * Lê e decifra um valor, aplicando retenção e migrações
+   * @param {string} key - Chave
+   * @returns {Promise<*>} Valor ou null (ausente, vencido ou ilegível; com frase
+   *   secreta, também quando a frase está errada)
+   */
+  async getItem(key) {
+    if (localStorage.getItem(this.storageKey(key)) === null || !SecureStorage.isSupported()) return null;
+
+    // A chave vem antes da leitura: obtê-la pode recifrar os envelopes antigos
+    const cryptoKey = await this.getKey();
+
+    let envelope;
+    try {
+      envelope = JSON.parse(localStorage.getItem(this.storageKey(key)));
+    } catch (error) {
+      // Envelope corrompido: o valor é descartado, como na falha ao decifrar
+      console.warn(`Não foi possível ler "${key}"; o valor foi descartado.`);
+      this.removeItem(key);
+      return null;
+    }
+    if (!envelope) return null;
+
+    if (this.isExpired(envelope.savedAt)) {
+      this.removeItem(key);
+      return null;
+    }
+
+    let value;
+    try {
+      value = await SecureStorage.decrypt(envelope, cryptoKey);
+    } catch (error) {
+      // Com frase secreta, a falha é em geral uma frase errada: o valor é mantido.
+      // Com a chave do dispositivo, é dado corrompido: o valor é descartado.
+      if (this.passphrase) return null;
+
+      console.warn(`Não foi possível decifrar "${key}"; o valor foi descartado.`);
+      this.removeItem(key);
+      return null;
+    }
+
+    if (envelope.version < SecureStorage.VERSION) {
+      value = this.migrate(value, envelope.version, key);
+      await this.setItem(key, value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Remove um valor
+   * @param {string} key - Chave
+   */
+  removeItem(key) {
+    localStorage.removeItem(this.storageKey(key));
+  }
+
+  /**
+   * Importa um valor antigo gravado sem criptografia e apaga o original
+   * O valor importado é tratado como versão 1 do esquema e passa pelas migrações.
+   * @param {string} legacyKey - Chave antiga no localStorage
+   * @param {string} key - Chave no armazenamento seguro
+   */
+  async adoptPlaintext(legacyKey, key) {
+    const raw = localStorage.getItem(legacyKey);
+    if (raw === null) return;
+
+    localStorage.removeItem(legacyKey);
+
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      return;
+    }
+
+    await this.setItem(key, value, { version: 1 });
+  }
+
+  /**
+   * Aplica as migrações de uma versão até a atual
+   * @param {*} value - Valor na versão de origem
+   * @param {number} fromVersion - Versão de origem
+   * @param {string} key - Chave (repassada às migrações)
+   * @returns {*} Valor na versão atual
+   */
+  migrate(value, fromVersion, key) {
+    let migrated = value;
+
+    for (let version = fromVersion; version < SecureStorage.VERSION; version++) {
+      const migration = this.migrations.get(version);
+      if (migration) {
+        migrated = migration(migrated, key);
+      }
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Verifica se uma data está fora do prazo de retenção
+   * @param {string|number|Date} date - Data de gravação
+   * @returns {boolean}
+   */
+  isExpired(date) {
+    const time = new Date(date).getTime();
+    const maxAge = this.retentionDays * 24 * 60 * 60 * 1000;
+    return !Number.isFinite(time) || Date.now() - time > maxAge;
+  }
+
+  /**
+   * Apaga os envelopes vencidos, mesmo os que não são lidos
+   */
+  purgeExpired() {
+    const prefix = `${this.namespace}:`;
+
+    // O consentimento do dispositivo inteiro, usado por versões anteriores, não vale mais
+    localStorage.removeItem(`${prefix}_consent`);
+
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(prefix) && !key.startsWith(`${prefix}_`))
+      .forEach(storageKey => {
+        try {
+          const envelope = JSON.parse(localStorage.getItem(storageKey));
+          if (envelope && envelope.savedAt && this.isExpired(envelope.savedAt)) {
+            localStorage.removeItem(storageKey);
+          }
+        } catch (error) {
+          // Entradas que não são envelopes são ignoradas
+        }
+      });
+  }
+
+  /**
+   * Obtém a chave AES: derivada da frase secreta ou, sem ela, a do dispositivo
+   * (obtida uma vez)
+   * @returns {Promise<CryptoKey>}
+   */
+  getKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.passphrase
+        ? this.deriveKey(this.passphrase, this.getSalt())
+        : this.loadDeviceKey();
+
+      // Uma falha (ex: IndexedDB bloqueado) não fica guardada para as próximas chamadas
+      this.keyPromise.catch(() => { this.keyPromise = null; });
+    }
+    return this.keyPromise;
+  }
+
+  /**
+   * Obtém a chave do dispositivo, recifrando com ela os dados gravados com a
+   * frase aleatória que versões anteriores guardavam no localStorage
+   * @returns {Promise<CryptoKey>}
+   */
+  async loadDeviceKey() {
+    const key = await this.getDeviceKey();
+    const legacyPassphrase = localStorage.getItem(`${this.namespace}:_device`);
+
+    if (legacyPassphrase) {
+      await this.reencryptAll(await this.deriveKey(legacyPassphrase, this.getSalt()), key);
+      localStorage.removeItem(`${this.namespace}:_device`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Lê (ou cria) a chave AES não extraível guardada no IndexedDB
+   * @returns {Promise<CryptoKey>}
+   */
+  async getDeviceKey() {
+    const readKey = () => this.withKeyStore('readonly', store => store.get('device'));
+
+    const saved = await readKey();
+    if (saved) return saved;
+
+    const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+    try {
+      await this.withKeyStore('readwrite', store => store.add(key, 'device'));
+      return key;
+    } catch (error) {
+      // Outra aba criou a chave ao mesmo tempo: vale a que foi gravada
+      const existing = await readKey();
+      if (existing) return existing;
+      throw error;
+    }
+  }
+
+  /**
+   * Recifra todos os envelopes com outra chave, mantendo versão e data de gravação
+   * Envelopes que não podem ser decifrados com a chave antiga são descartados.
+   * @param {CryptoKey} oldKey - Chave atual dos envelopes
+   * @param {CryptoKey} newKey - Nova chave
+   */
+  async reencryptAll(oldKey, newKey) {
+    const prefix = `${this.namespace}:`;
+    const storageKeys = Object.keys(localStorage)
+      .filter(key => key.startsWith(prefix) && !key.startsWith(`${prefix}_`));
+
+    for (const storageKey of storageKeys) {
+      try {
+        const envelope = JSON.parse(localStorage.getItem(storageKey));
+        const value = await SecureStorage.decrypt(envelope, oldKey);
+        localStorage.setItem(storageKey, JSON.stringify({ ...envelope, ...await SecureStorage.encrypt(value, newKey) }));
+      } catch (error) {
+        localStorage.removeItem(storageKey);
+      }
+    }
+  }
+
+  /**
+   * Abre o banco IndexedDB onde fica a chave do dispositivo (aberto uma vez)
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(`${this.namespace}-keys`, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('keys');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Executa uma operação no depósito de chaves do IndexedDB
+   * As transações seguem a ordem das chamadas (ex: apagar a chave e criar outra).
+   * @param {string} mode - 'readonly' ou 'readwrite'
+   * @param {Function} operation - Função (store) => IDBRequest
+   * @returns {Promise<*>} Resultado da requisição, quando a transação termina
+   */
+  async withKeyStore(mode, operation) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('keys', mode);
+      const request = operation(transaction.objectStore('keys'));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Cifra um valor com AES-GCM
+   * @param {*} value - Valor serializável em JSON
+   * @param {CryptoKey} key - Chave
+   * @returns {Promise<{iv: string, data: string}>} Vetor de inicialização e texto cifrado em base64
+   */
+  static async encrypt(value, key) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+    return { iv: SecureStorage.toBase64(iv), data: SecureStorage.toBase64(new Uint8Array(ciphertext)) };
+  }
+
+  /**
+   * Decifra o conteúdo de um envelope
+   * @param {{iv: string, data: string}} envelope - Envelope
+   * @param {CryptoKey} key - Chave
+   * @returns {Promise<*>} Valor
+   * @throws {Error} Com outra chave ou dado corrompido
+   */
+  static async decrypt(envelope, key) {
+    const plaintext = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: SecureStorage.fromBase64(envelope.iv) },
+      key,
+      SecureStorage.fromBase64(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Cifra um valor para o dono de um par de chaves RSA-OAEP
+   * O valor é cifrado com uma chave AES-GCM nova, e essa chave com a chave
+   * pública: gravar não exige segredo, mas só a chave privada lê o resultado.
+   * @param {*} value - Valor serializável em JSON
+   * @param {CryptoKey} publicKey - Chave pública RSA-OAEP (uso 'wrapKey')
+   * @returns {Promise<{key: string, iv: string, data: string}>} Chave AES cifrada, vetor e texto cifrado em base64
+   */
+  static async seal(value, publicKey) {
+    const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const wrapped = await window.crypto.subtle.wrapKey('raw', key, publicKey, { name: 'RSA-OAEP' });
+
+    return { key: SecureStorage.toBase64(new Uint8Array(wrapped)), ...await SecureStorage.encrypt(value, key) };
+  }
+
+  /**
+   * Decifra um valor cifrado com seal
+   * @param {{key: string, iv: string, data: string}} sealed - Valor cifrado
+   * @param {CryptoKey} privateKey - Chave privada RSA-OAEP (uso 'unwrapKey')
+   * @returns {Promise<*>} Valor
+   * @throws {Error} Com outra chave ou dado corrompido
+   */
+  static async open(sealed, privateKey) {
+    const key = await window.crypto.subtle.unwrapKey(
+      'raw', SecureStorage.fromBase64(sealed.key), privateKey, { name: 'RSA-OAEP' },
+      { name: 'AES-GCM', length: 256 }, false, ['decrypt']
+    );
+    return SecureStorage.decrypt(sealed, key);
+  }
+
+  /**
+   * Deriva a chave AES-GCM com PBKDF2
+   * @param {string} passphrase - Frase secreta
+   * @param {Uint8Array} salt - Sal
+   * @returns {Promise<CryptoKey>}
+   */
+  async deriveKey(passphrase, salt) {
+    const material = await window.crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+
+    return window.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: this.iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Obtém (ou cria) o sal da derivação de chave
+   * @returns {Uint8Array}
+   */
+  getSalt() {
+    return this.getOrCreateRandom(`${this.namespace}:_salt`, 16);
+  }
+
+  /**
+   * Calcula a impressão digital de um texto (SHA-256 com o sal deste navegador)
+   * Permite reconhecer um valor repetido sem guardá-lo. Não é segredo: quem usa
+   * o navegador pode calcular a impressão de um valor que já conhece e compará-la.
+   * @param {string} text - Texto (já normalizado por quem chama)
+   * @returns {Promise<string>} Impressão digital em base64
+   */
+  async fingerprint(text) {
+    const salt = this.getSalt();
+    const encoded = new TextEncoder().encode(String(text));
+    const bytes = new Uint8Array(salt.length + encoded.length);
+    bytes.set(salt);
+    bytes.set(encoded, salt.length);
+
+    const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+    return SecureStorage.toBase64(new Uint8Array(digest));
+  }
+
+  /**
+   * Lê bytes aleatórios persistidos, criando-os na primeira vez
+   * @param {string} storageKey - Chave no localStorage
+   * @param {number} length - Quantidade de bytes
+   * @returns {Uint8Array}
+   */
+  getOrCreateRandom(storageKey, length) {
+    const saved = localStorage.getItem(storageKey);
+    if (saved) return SecureStorage.fromBase64(saved);
+
+    const bytes = window.crypto.getRandomValues(new Uint8Array(length));
+    localStorage.setItem(storageKey, SecureStorage.toBase64(bytes));
+    return bytes;
+  }
+
+  /**
+   * Monta a chave no localStorage
+   * @param {string} key - Chave
+   * @returns {string}
+   */
+  storageKey(key) {
+    return `${this.namespace}:${key}`;
+  }
+
+  /**
+   * Converte bytes em base64
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string}
+   */
+  static toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  }
+
+  /**
+   * Converte base64 em bytes
+   * @param {string} text - Texto em base64
+   * @returns {Uint8Array}
+   */
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+}
+
+// Instância global usada pelos formulários
+window.secureStorage = new SecureStorage();
+window.secureStorage.purgeExpired();
@@ -5,9 +5,31 @@
  * Permite navegar entre páginas sem recarregar a página inteira
  */
 class SimpleSPA {
-  constructor() {
-    this.pages = new Map();
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.cache] - Opções do PageCache ({ maxEntries, ttl })
+   * @param {boolean} [options.prefetch=true] - Se deve pré-carregar links internos
+   * @param {boolean} [options.patch=false] - Atualizar o conteúdo com DOMPatcher em vez de innerHTML
+   */
+  constructor(options = {}) {
+    // Cache das páginas: caminho -> { content, title }
+    this.pages = new PageCache(options.cache);
+    // Buscas em andamento: caminho -> Promise da página
+    this.inflight = new Map();
+    this.prefetchEnabled = options.prefetch !== false && !SimpleSPA.isSaveDataMode();
+    this.patchEnabled = Boolean(options.patch);
     this.currentPage = null;
+    this.navigationId = 0;
+    this.historyIndex = 0;
+    // Identifica o conteúdo exibido; entradas do histórico com o mesmo view são
+    // estados internos da página (ver pushPageState)
+    this.viewId = 0;
+    this.restoringHistory = false;
+    // Posição de rolagem de cada entrada do histórico: índice -> scrollY
+    this.scrollPositions = new Map();
+    this.hooks = { beforeLeave: [], beforeEnter: [], afterEnter: [] };
+    this.baseUrl = new URL('./', window.location.href);
+    this.router = new Router();
     this.container = document.getElementById('app-container');
     
     // Se não existir container, usar o main como container
@@ -22,36 +44,422 @@ class SimpleSPA {
    * Inicializa o sistema SPA
    */
   init() {
+    // Fixar a base dos links relativos para que rotas aninhadas (ex: 'projetos/horta')
+    // continuem resolvendo imagens e links a partir da raiz do site
+    if (!document.querySelector('base')) {
+      const base = document.createElement('base');
+      base.href = this.baseUrl.href;
+      document.head.prepend(base);
+    }
+
+    // O SPA restaura a rolagem ao voltar/avançar, não o navegador
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+
+    // Região aria-live que anuncia a troca de página para leitores de tela
+    this.announcer = document.createElement('div');
+    this.announcer.className = 'sr-only';
+    this.announcer.setAttribute('aria-live', 'polite');
+    this.announcer.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(this.announcer);
+
     // Interceptar cliques em links internos
     document.addEventListener('click', (e) => {
       const link = e.target.closest('a');
       
       if (!link) return;
+
+      // Respeitar cliques com modificadores (nova aba, download etc.)
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
       
       const href = link.getAttribute('href');
+
+      // Âncoras da própria página: com <base> elas apontariam para a raiz do site
+      if (href && href.startsWith('#') && !link.target) {
+        e.preventDefault();
+        this.scrollToAnchor(href);
+        return;
+      }
       
-      // Apenas interceptar links internos (que não começam com http)
-      if (href && !href.startsWith('http') && !href.startsWith('#') && !href.startsWith('mailto:')) {
+      const path = this.getInternalPath(link);
+      if (path) {
         e.preventDefault();
-        this.navigate(href);
+        this.navigate(path);
       }
     });
 
+    // Pré-carregar páginas ao passar o mouse ou focar um link
+    if (this.prefetchEnabled) {
+      const prefetchLink = (e) => {
+        const link = e.target.closest && e.target.closest('a');
+        if (link) this.prefetchLink(link);
+      };
+
+      document.addEventListener('mouseover', prefetchLink);
+      document.addEventListener('focusin', prefetchLink);
+
+      // E quando o link aparece na tela, se o navegador suportar
+      if ('IntersectionObserver' in window) {
+        this.linkObserver = new IntersectionObserver((entries) => {
+          entries.filter(entry => entry.isIntersecting).forEach(entry => {
+            this.linkObserver.unobserve(entry.target);
+            SimpleSPA.whenIdle(() => this.prefetchLink(entry.target));
+          });
+        });
+      }
+    }
+
     // Suportar botão voltar do navegador
     window.addEventListener('popstate', (e) => {
+      // Retorno provocado pelo próprio SPA ao cancelar uma navegação
+      if (this.restoringHistory) {
+        this.restoringHistory = false;
+        return;
+      }
+
+      // Estado interno da página exibida (ex: etapa de um formulário, filtros na
+      // query string): o conteúdo não é recarregado
+      if (e.state && e.state.view === this.viewId && SimpleSPA.samePage(e.state.page, this.currentPage)) {
+        this.historyIndex = e.state.index;
+        this.currentPage = e.state.page;
+        window.dispatchEvent(new CustomEvent('pageStateChange', { detail: { state: e.state.data || null, path: e.state.page } }));
+        return;
+      }
+
       if (e.state && e.state.page) {
-        this.loadPage(e.state.page, false);
+        this.loadPage(e.state.page, false, { historyIndex: e.state.index });
       }
     });
+
+    // Guardar a página inicial no cache para que o botão voltar funcione
+    const initialPath = this.normalizePath(window.location.href);
+    this.currentPage = initialPath;
+
+    if (this.container && initialPath) {
+      this.pages.set(initialPath, { content: this.container.innerHTML, title: document.title });
+    }
+
+    this.observeLinks(document);
+
+    const state = window.history.state;
+    this.historyIndex = state && Number.isInteger(state.index) ? state.index : 0;
+    window.history.replaceState({ page: initialPath, index: this.historyIndex, view: this.viewId }, '', window.location.href);
+
+    // Montar os módulos da página carregada pelo navegador
+    if (initialPath) {
+      window.pageModules.mount(initialPath, this.container);
+    }
+  }
+
+  /**
+   * Registra um hook executado antes de sair da página atual
+   * O hook recebe (to, from) e pode ser assíncrono. Retornar false cancela a
+   * navegação e retornar um caminho redireciona para ele.
+   * @param {Function} fn - Hook (to, from) => boolean|string|void
+   * @returns {Function} Função que remove o hook
+   */
+  beforeLeave(fn) {
+    return this.addHook('beforeLeave', fn);
+  }
+
+  /**
+   * Registra um hook executado antes de entrar na nova página
+   * Mesmas regras de retorno de beforeLeave.
+   * @param {Function} fn - Hook (to, from) => boolean|string|void
+   * @returns {Function} Função que remove o hook
+   */
+  beforeEnter(fn) {
+    return this.addHook('beforeEnter', fn);
+  }
+
+  /**
+   * Registra um hook executado depois que a nova página foi exibida
+   * @param {Function} fn - Hook (to, from) => void
+   * @returns {Function} Função que remove o hook
+   */
+  afterEnter(fn) {
+    return this.addHook('afterEnter', fn);
+  }
+
+  /**
+   * Adiciona um hook à lista correspondente
+   * @param {string} name - 'beforeLeave', 'beforeEnter' ou 'afterEnter'
+   * @param {Function} fn - Hook
+   * @returns {Function} Função que remove o hook
+   */
+  addHook(name, fn) {
+    this.hooks[name].push(fn);
+
+    return () => {
+      this.hooks[name] = this.hooks[name].filter(hook => hook !== fn);
+    };
+  }
+
+  /**
+   * Executa os guards de saída, de entrada e o beforeEnter da rota, em ordem
+   * @param {string} to - Caminho de destino
+   * @param {string|null} from - Caminho atual
+   * @param {Object|null} match - Rota dinâmica correspondente ao destino
+   * @returns {Promise<boolean|string>} true para seguir, false para cancelar ou caminho de redirecionamento
+   */
+  async runGuards(to, from, match) {
+    const guards = [
+      ...(from ? this.hooks.beforeLeave : []),
+      ...this.hooks.beforeEnter,
+      ...(match && match.route.beforeEnter ? [match.route.beforeEnter] : [])
+    ];
+
+    for (const guard of guards) {
+      const result = await guard(to, from);
+
+      if (result === false || typeof result === 'string') {
+        return result;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Adiciona ao histórico um estado interno da página atual (ex: etapa de um formulário)
+   * Voltar e avançar entre estados da mesma página não recarregam o conteúdo:
+   * o SPA dispara em window o evento pageStateChange com { state: data, path }
+   * (state null para a entrada original da página).
+   * @param {*} data - Dados do estado (serializáveis)
+   * @param {Object} [options]
+   * @param {string} [options.path] - Novo endereço da mesma página, com outra query
+   *   string (ex: 'projetos.html?uf=SP'); por padrão o endereço não muda
+   */
+  pushPageState(data, { path } = {}) {
+    if (path) {
+      this.currentPage = path;
+    }
+
+    window.history.pushState(
+      { page: this.currentPage, index: ++this.historyIndex, view: this.viewId, data },
+      '',
+      path || window.location.href
+    );
+  }
+
+  /**
+   * Substitui os dados do estado interno da entrada atual do histórico
+   * @param {*} data - Dados do estado (serializáveis)
+   * @param {Object} [options]
+   * @param {string} [options.path] - Novo endereço da mesma página (ver pushPageState)
+   */
+  replacePageState(data, { path } = {}) {
+    if (path) {
+      this.currentPage = path;
+    }
+
+    window.history.replaceState({ ...window.history.state, page: this.currentPage, data }, '', path || window.location.href);
+  }
+
+  /**
+   * Verifica se dois caminhos são a mesma página, ignorando a query string
+   * @param {string} a - Caminho
+   * @param {string} b - Caminho
+   * @returns {boolean}
+   */
+  static samePage(a, b) {
+    return Boolean(a && b) && a.split('?')[0] === b.split('?')[0];
+  }
+
+  /**
+   * Desfaz um passo de voltar/avançar cuja navegação foi cancelada
+   * @param {number} [index] - Posição no histórico para a qual o navegador foi
+   */
+  restoreHistoryPosition(index) {
+    if (!Number.isInteger(index)) {
+      window.history.pushState({ page: this.currentPage, index: ++this.historyIndex, view: this.viewId }, '', this.currentPage);
+      return;
+    }
+
+    const delta = this.historyIndex - index;
+    if (delta !== 0) {
+      this.restoringHistory = true;
+      window.history.go(delta);
+    }
+  }
+
+  /**
+   * Verifica se o usuário pediu economia de dados (sem pré-carregamento)
+   * @returns {boolean}
+   */
+  static isSaveDataMode() {
+    return Boolean(navigator.connection && navigator.connection.saveData);
+  }
+
+  /**
+   * Executa uma tarefa quando o navegador estiver ocioso
+   * @param {Function} fn - Tarefa
+   */
+  static whenIdle(fn) {
+    if ('requestIdleCallback' in window) {
+      window.requestIdleCallback(fn, { timeout: 2000 });
+    } else {
+      setTimeout(fn, 200);
+    }
+  }
+
+  /**
+   * Retorna o caminho interno de um link que o SPA deve tratar
+   * @param {HTMLAnchorElement} link - Link
+   * @returns {string|null} Caminho normalizado ou null se o link não for do SPA
+   */
+  getInternalPath(link) {
+    if (link.hasAttribute('download') || (link.target && link.target !== '_self')) return null;
+
+    const href = link.getAttribute('href');
+
+    // Apenas links internos (que não começam com http)
+    if (!href || href.startsWith('http') || href.startsWith('#') || href.startsWith('mailto:')) {
+      return null;
+    }
+
+    return this.normalizePath(href);
+  }
+
+  /**
+   * Observa os links internos de um elemento para pré-carregá-los quando aparecerem na tela
+   * @param {ParentNode} root - Elemento (ou documento) com os links
+   */
+  observeLinks(root) {
+    if (!this.linkObserver || !root) return;
+
+    root.querySelectorAll('a[href]').forEach(link => {
+      if (!link.hasAttribute('data-no-prefetch') && this.getInternalPath(link)) {
+        this.linkObserver.observe(link);
+      }
+    });
+  }
+
+  /**
+   * Pré-carrega a página de um link, se for interno
+   * Links com o atributo data-no-prefetch são ignorados.
+   * @param {HTMLAnchorElement} link - Link
+   */
+  prefetchLink(link) {
+    if (link.hasAttribute('data-no-prefetch')) return;
+
+    const path = this.getInternalPath(link);
+    if (path) {
+      this.prefetch(path);
+    }
+  }
+
+  /**
+   * Pré-carrega uma página no cache sem exibi-la
+   * Rotas dinâmicas não são pré-carregadas, pois são renderizadas a cada visita.
+   * @param {string} path - Caminho da página
+   * @returns {Promise<void>}
+   */
+  prefetch(path) {
+    if (this.pages.has(path) || this.router.match(path)) {
+      return Promise.resolve();
+    }
+
+    return this.requestPage(path).then(() => {}, () => {});
+  }
+
+  /**
+   * Busca uma página reaproveitando uma busca em andamento para o mesmo caminho
+   * @param {string} path - Caminho da página
+   * @returns {Promise<{content: string, title: string}>} Página, já guardada no cache
+   */
+  requestPage(path) {
+    if (this.inflight.has(path)) {
+      return this.inflight.get(path);
+    }
+
+    const request = this.fetchPage(path)
+      .then(page => {
+        this.pages.set(path, page);
+        return page;
+      })
+      .finally(() => {
+        this.inflight.delete(path);
+      });
+
+    this.inflight.set(path, request);
+    return request;
+  }
+
+  /**
+   * Invalida páginas do cache para que sejam buscadas novamente
+   * Páginas registradas com registerPage não são afetadas.
+   * @param {string|RegExp|Function} [matcher] - Caminho, expressão ou função; sem argumento invalida todas
+   * @returns {number} Quantidade de páginas removidas
+   */
+  invalidate(matcher) {
+    return this.pages.invalidate(matcher);
+  }
+
+  /**
+   * Converte um href em caminho relativo à raiz do site
+   * @param {string} href - Link relativo ou absoluto
+   * @returns {string|null} Caminho normalizado (ex: 'projetos.html') ou null se for externo
+   */
+  normalizePath(href) {
+    const url = new URL(href, this.baseUrl);
+
+    if (url.origin !== this.baseUrl.origin || !url.pathname.startsWith(this.baseUrl.pathname)) {
+      return null;
+    }
+
+    const path = url.pathname.slice(this.baseUrl.pathname.length) || 'index.html';
+    return path + url.search;
+  }
+
+  /**
+   * Rola até a âncora indicada mantendo o caminho atual na barra de endereço
+   * @param {string} hash - Âncora no formato '#id' ('#' sozinho não faz nada)
+   */
+  scrollToAnchor(hash) {
+    if (hash === '#') return;
+
+    const target = document.getElementById(Router.decodeParam(hash.slice(1)));
+    if (target) {
+      target.scrollIntoView();
+      window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search + hash);
+    }
+  }
+
+  /**
+   * Registra uma rota dinâmica
+   * @param {string} pattern - Padrão da rota (ex: '/projetos/:slug')
+   * @param {Object|Function} definition - Objeto { render, title } ou função render({ params, query, path })
+   */
+  route(pattern, definition) {
+    this.router.add(pattern, definition);
+  }
+
+  /**
+   * Registra uma tabela de rotas dinâmicas
+   * @param {Array<Object>} table - Lista de rotas no formato { path, render, title }
+   */
+  setRoutes(table) {
+    this.router.setRoutes(table);
+  }
+
+  /**
+   * Registra a página exibida para caminhos inexistentes (404)
+   * @param {Object|Function} definition - Objeto { render, title } ou função render({ path })
+   */
+  setNotFound(definition) {
+    this.router.setNotFound(definition);
   }
 
   /**
    * Registra uma página no sistema SPA
    * @param {string} path - Caminho da página (ex: 'index.html')
    * @param {string} content - Conteúdo HTML da página
+   * @param {string} [title] - Título do documento para a página
    */
-  registerPage(path, content) {
-    this.pages.set(path, content);
+  registerPage(path, content, title = null) {
+    this.pages.set(path, { content, title }, { pinned: true });
   }
 
   /**
@@ -64,51 +472,200 @@ class SimpleSPA {
 
   /**
    * Carrega uma página
+   * Rotas dinâmicas têm prioridade; páginas não registradas são buscadas no
+   * servidor e guardadas no cache. Caminhos inexistentes exibem a página 404
+   * registrada e outras falhas (inclusive erros ao renderizar uma rota) fazem a
+   * navegação completa para o endereço. Um guard com erro cancela a navegação.
    * @param {string} path - Caminho da página
    * @param {boolean} pushState - Se deve adicionar ao histórico
+   * @param {Object} [options]
+   * @param {number} [options.historyIndex] - Posição no histórico (navegação por voltar/avançar)
+   * @param {number} [options.redirects] - Quantos redirecionamentos já ocorreram
+   * @returns {Promise<void>}
    */
-  loadPage(path, pushState = true) {
-    if (this.pages.has(path)) {
-      const content = this.pages.get(path);
-      this.currentPage = path;
-      
-      if (this.container) {
-        this.container.innerHTML = content;
+  async loadPage(path, pushState = true, { historyIndex, redirects = 0 } = {}) {
+    const navigationId = ++this.navigationId;
+    const from = this.currentPage;
+    const match = this.router.match(path);
+
+    let verdict;
+
+    try {
+      verdict = await this.runGuards(path, from, match);
+    } catch (error) {
+      // Guard com erro: a navegação é cancelada, como se ele tivesse recusado
+      console.error(`Erro em guard de navegação para "${path}":`, error);
+      verdict = false;
+    }
+
+    // Ignorar se outra navegação começou enquanto os guards rodavam
+    if (navigationId !== this.navigationId) return;
+
+    if (verdict === false) {
+      if (!pushState) {
+        this.restoreHistoryPosition(historyIndex);
       }
-      
-      // Atualizar histórico
-      if (pushState) {
-        window.history.pushState({ page: path }, '', path);
+      return;
+    }
+
+    if (typeof verdict === 'string') {
+      if (redirects >= 10) {
+        console.warn(`Redirecionamentos demais ao navegar para "${path}"`);
+        return;
       }
-      
-      // Disparar evento customizado
-      window.dispatchEvent(new CustomEvent('pageLoaded', { detail: { page: path } }));
-      
-      // Re-inicializar scripts que precisam rodar em cada página
-      this.reinitializeScripts();
+      this.loadPage(verdict, true, { redirects: redirects + 1 });
+      return;
+    }
+
+    // Guardar a rolagem da página que está sendo deixada
+    this.scrollPositions.set(this.historyIndex, window.scrollY);
+
+    if (!pushState && Number.isInteger(historyIndex)) {
+      this.historyIndex = historyIndex;
+    }
+
+    let page = match ? null : this.pages.get(path);
+
+    try {
+      if (match) {
+        page = await this.renderRoute(match.route, match);
+      } else if (!page) {
+        page = await this.requestPage(path).catch(error => {
+          if (error.status === 404 && this.router.notFoundRoute) {
+            return this.renderRoute(this.router.notFoundRoute, { params: {}, query: {}, path });
+          }
+          throw error;
+        });
+      }
+    } catch (error) {
+      if (navigationId !== this.navigationId) return;
+
+      console.warn(`Não foi possível carregar "${path}" via SPA:`, error);
+      window.location.href = path;
+      return;
+    }
+
+    // Ignorar se outra navegação começou enquanto a página era buscada
+    if (navigationId !== this.navigationId) return;
+
+    // Desmontar os módulos da página anterior antes de trocar o conteúdo
+    window.pageModules.unmount();
+
+    this.currentPage = path;
+    this.viewId++;
+    
+    if (this.container) {
+      if (this.patchEnabled) {
+        DOMPatcher.patch(this.container, page.content);
+      } else {
+        this.container.innerHTML = page.content;
+      }
+    }
+    
+    // Atualizar histórico
+    if (pushState) {
+      window.history.pushState({ page: path, index: ++this.historyIndex, view: this.viewId }, '', path);
+    } else {
+      window.history.replaceState({ ...window.history.state, view: this.viewId, data: null }, '', window.location.href);
+    }
+    
+    // Montar os módulos da nova página (validação, máscaras, menu...)
+    window.pageModules.mount(path, this.container);
+    this.observeLinks(this.container);
+
+    this.completeTransition(page, pushState);
+
+    // Disparar evento customizado
+    window.dispatchEvent(new CustomEvent('pageLoaded', { detail: { page: path } }));
+
+    this.hooks.afterEnter.forEach(hook => {
+      Promise.resolve()
+        .then(() => hook(path, from))
+        .catch(error => console.error('Erro em hook afterEnter:', error));
+    });
+  }
+
+  /**
+   * Ajustes de acessibilidade após a troca de conteúdo: título do documento,
+   * rolagem, foco no título da página e anúncio na região aria-live
+   * @param {Object} page - Página exibida ({ content, title })
+   * @param {boolean} pushState - false quando a navegação veio de voltar/avançar
+   */
+  completeTransition(page, pushState) {
+    const heading = this.container ? this.container.querySelector('h1') : null;
+
+    if (page.title) {
+      document.title = page.title;
+    } else if (heading) {
+      document.title = heading.textContent.trim();
     }
+
+    // Voltar/avançar restaura a rolagem; navegação nova começa do topo
+    window.scrollTo(0, pushState ? 0 : (this.scrollPositions.get(this.historyIndex) || 0));
+
+    // Mover o foco para o título da página (ou para a região principal)
+    const focusTarget = heading || this.container;
+    if (focusTarget) {
+      if (!focusTarget.hasAttribute('tabindex')) {
+        focusTarget.setAttribute('tabindex', '-1');
+      }
+      focusTarget.focus({ preventScroll: true });
+    }
+
+    this.announce(window.i18n.t('nav.pageLoaded', { title: document.title }));
   }
 
   /**
-   * Reinicializa scripts após carregar uma página
+   * Anuncia uma mensagem para leitores de tela
+   * @param {string} message - Texto a anunciar
    */
-  reinitializeScripts() {
-    // Re-inicializar menu hamburger
-    const toggles = document.querySelectorAll('.hamburger');
-    toggles.forEach(btn => {
-      btn.removeEventListener('click', this.handleHamburgerClick);
-      btn.addEventListener('click', this.handleHamburgerClick);
-    });
+  announce(message) {
+    // Limpar antes de escrever garante o anúncio mesmo com texto repetido
+    this.announcer.textContent = '';
+    setTimeout(() => {
+      this.announcer.textContent = message;
+    }, 100);
   }
 
   /**
-   * Handler para clique no hamburger
+   * Executa o render de uma rota dinâmica
+   * @param {Object} route - Definição da rota ({ render, title })
+   * @param {Object} context - { params, query, path } repassado ao render
+   * @returns {Promise<{content: string, title: string|null}>} Página renderizada
    */
-  static handleHamburgerClick = function() {
-    const nav = document.querySelector('.nav__menu');
-    if (nav) {
-      nav.classList.toggle('open');
+  async renderRoute(route, context) {
+    const result = await route.render(context);
+
+    if (result && typeof result === 'object') {
+      return { content: result.content, title: result.title || route.title || null };
     }
+
+    return { content: result || '', title: route.title || null };
+  }
+
+  /**
+   * Busca uma página no servidor e extrai o conteúdo do <main> e o <title>
+   * @param {string} path - Caminho da página
+   * @returns {Promise<{content: string, title: string}>} Página extraída
+   */
+  async fetchPage(path) {
+    const response = await fetch(path, { headers: { 'Accept': 'text/html' } });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const html = await response.text();
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const main = doc.querySelector('main');
+
+    if (!main) {
+      throw new Error('Página sem elemento <main>');
+    }
+
+    return { content: main.innerHTML, title: doc.title };
   }
 }
 
@@ -0,0 +1,320 @@
+// js/submission.js - Envio de formulários para o servidor com fila offline
+
+/**
+ * Erro no envio de um formulário
+ * retryable indica se vale tentar de novo (sem conexão, tempo esgotado, erro 5xx)
+ */
+class SubmissionError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Cliente de envio
+ * Envia os dados como JSON via POST. Sem conexão, ou quando o servidor não
+ * responde, o envio vai para uma fila, reenviada com espera exponencial e
+ * sempre que a conexão volta. Cada envio leva um identificador (cabeçalho
+ * Idempotency-Key) para que reenvios não dupliquem o cadastro.
+ * A fila fica em memória e, com o consentimento do titular, também cifrada em
+ * window.secureStorage (sobrevive ao fechamento da aba, respeita o prazo de
+ * retenção e sai com "apagar meus dados"). Envios recusados pelo servidor
+ * saem da fila.
+ */
+class SubmissionClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey='submission-queue'] - Chave da fila no armazenamento seguro
+   * @param {number} [options.timeout=10000] - Tempo limite de cada envio em ms
+   * @param {number} [options.baseDelay=2000] - Espera antes da primeira nova tentativa em ms
+   * @param {number} [options.maxDelay=300000] - Espera máxima entre tentativas em ms
+   */
+  constructor({ storageKey = 'submission-queue', timeout = 10000, baseDelay = 2000, maxDelay = 5 * 60 * 1000 } = {}) {
+    this.storageKey = storageKey;
+    this.timeout = timeout;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.retryTimer = null;
+    this.flushing = null;
+    this.queue = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Começa a reenviar a fila: agora, quando a conexão voltar e nos horários agendados
+   */
+  start() {
+    window.addEventListener('online', () => this.flush());
+    this.flush();
+  }
+
+  /**
+   * Envia um formulário, colocando-o na fila se não for possível agora
+   * @param {string} endpoint - Endereço do envio (relativo à raiz do site ou absoluto)
+   * @param {Object} data - Dados do formulário
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - Se, na fila, o envio pode ser gravado
+   *   no dispositivo (false quando o titular não consentiu: fica só em memória)
+   * @returns {Promise<{status: string, response: *, stored: boolean}>} status 'sent'
+   *   ou 'queued'; stored indica se o envio na fila foi gravado no dispositivo
+   * @throws {SubmissionError} Quando o servidor recusa os dados (erro 4xx)
+   */
+  async submit(endpoint, data, { persist = true } = {}) {
+    const entry = {
+      id: SubmissionClient.createId(),
+      endpoint: new URL(endpoint, document.baseURI).href,
+      data,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      persist
+    };
+
+    if (navigator.onLine === false) {
+      return { status: 'queued', response: null, stored: await this.enqueue(entry) };
+    }
+
+    try {
+      return { status: 'sent', response: await this.send(entry), stored: false };
+    } catch (error) {
+      if (!error.retryable) throw error;
+
+      entry.attempts = 1;
+      return { status: 'queued', response: null, stored: await this.enqueue(entry) };
+    }
+  }
+
+  /**
+   * Faz o POST de uma entrada
+   * @param {Object} entry - Entrada { id, endpoint, data }
+   * @returns {Promise<*>} Corpo da resposta (JSON) ou null
+   * @throws {SubmissionError}
+   */
+  async send(entry) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    let response;
+
+    try {
+      response = await fetch(entry.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.id },
+        body: JSON.stringify(entry.data),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const message = window.i18n.t(controller.signal.aborted ? 'submission.timeout' : 'submission.network');
+      throw new SubmissionError(message, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      // 408 (timeout) e 429 (muitas requisições) também são temporários
+      const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      throw new SubmissionError(window.i18n.t('submission.rejected', { status: response.status }), {
+        status: response.status,
+        retryable
+      });
+    }
+
+    const text = await response.text();
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch (error) {
+      return text;
+    }
+  }
+
+  /**
+   * Reenvia as entradas da fila cujo horário de nova tentativa já chegou
+   * Chamadas simultâneas compartilham o mesmo reenvio.
+   * @returns {Promise<number>} Quantidade de entradas enviadas
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.processQueue().catch(error => {
+        console.warn('Não foi possível reenviar a fila de envios:', error);
+        return 0;
+      }).finally(() => {
+        this.flushing = null;
+        this.scheduleRetry();
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Percorre a fila, enviando uma entrada por vez
+   * @returns {Promise<number>} Quantidade de entradas enviadas
+   */
+  async processQueue() {
+    let sent = 0;
+
+    for (const entry of [...await this.getQueue()]) {
+      if (entry.nextAttemptAt > Date.now()) continue;
+      if (navigator.onLine === false) break;
+
+      try {
+        const response = await this.send(entry);
+        await this.removeEntry(entry.id);
+        sent++;
+        window.dispatchEvent(new CustomEvent('submissionSent', { detail: { entry, response } }));
+      } catch (error) {
+        entry.attempts++;
+        entry.lastError = error.message;
+
+        // Dados recusados não adiantam reenviar: saem da fila
+        if (!error.retryable) {
+          await this.removeEntry(entry.id);
+        } else {
+          entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+          await this.saveQueue();
+        }
+
+        window.dispatchEvent(new CustomEvent('submissionFailed', { detail: { entry, error } }));
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Calcula a espera antes da próxima tentativa (exponencial, com variação aleatória)
+   * @param {number} attempts - Tentativas já feitas
+   * @returns {number} Espera em ms
+   */
+  getRetryDelay(attempts) {
+    const delay = Math.min(this.baseDelay * 2 ** Math.max(attempts - 1, 0), this.maxDelay);
+    // Variação de até 20% para que vários navegadores não reenviem ao mesmo tempo
+    return Math.round(delay * (0.8 + Math.random() * 0.2));
+  }
+
+  /**
+   * Agenda o próximo reenvio para a entrada pendente mais próxima
+   */
+  scheduleRetry() {
+    clearTimeout(this.retryTimer);
+
+    // Sem conexão, quem retoma o reenvio é o evento online
+    if (navigator.onLine === false) return;
+
+    const times = (this.queue || []).map(entry => entry.nextAttemptAt || 0);
+
+    if (!times.length) return;
+
+    const delay = Math.max(Math.min(...times) - Date.now(), 0);
+    this.retryTimer = setTimeout(() => this.flush(), delay);
+  }
+
+  /**
+   * Obtém a fila de envios, sem os que passaram do prazo de retenção
+   * Na primeira chamada, a fila gravada é lida do armazenamento seguro (e a de
+   * versões anteriores, sem criptografia, é importada ou apagada).
+   * @returns {Promise<Array<Object>>} Entradas { id, endpoint, data, attempts, createdAt, nextAttemptAt, persist }
+   */
+  async getQueue() {
+    if (!this.loading) {
+      this.loading = this.loadQueue();
+      this.loading.catch(() => { this.loading = null; });
+    }
+    await this.loading;
+
+    const expired = this.queue.filter(entry => window.secureStorage.isExpired(entry.createdAt));
+    if (expired.length) {
+      this.queue = this.queue.filter(entry => !expired.includes(entry));
+      await this.saveQueue();
+    }
+
+    return this.queue;
+  }
+
+  /**
+   * Lê a fila gravada no armazenamento seguro
+   * Entradas marcadas como falha por versões anteriores (dados recusados) são descartadas.
+   * @returns {Promise<void>}
+   */
+  async loadQueue() {
+    await window.secureStorage.adoptPlaintext(this.storageKey, this.storageKey);
+    const saved = await window.secureStorage.getItem(this.storageKey) || [];
+
+    this.queue = saved
+      .filter(entry => !entry.failed)
+      .map(entry => ({ ...entry, persist: true }));
+  }
+
+  /**
+   * Adiciona uma entrada à fila e agenda o reenvio
+   * @param {Object} entry - Entrada
+   * @returns {Promise<boolean>} Se a entrada foi gravada no dispositivo
+   */
+  async enqueue(entry) {
+    entry.nextAttemptAt = Date.now() + (entry.attempts ? this.getRetryDelay(entry.attempts) : 0);
+    (await this.getQueue()).push(entry);
+    const stored = await this.saveQueue();
+
+    if (!this.flushing) {
+      this.scheduleRetry();
+    }
+
+    return entry.persist && stored;
+  }
+
+  /**
+   * Remove uma entrada da fila
+   * @param {string} id - Identificador da entrada
+   * @returns {Promise<void>}
+   */
+  async removeEntry(id) {
+    this.queue = (await this.getQueue()).filter(item => item.id !== id);
+    await this.saveQueue();
+  }
+
+  /**
+   * Esvazia a fila, na memória e no dispositivo
+   */
+  clear() {
+    clearTimeout(this.retryTimer);
+    this.queue = [];
+    this.loading = Promise.resolve();
+    window.secureStorage.removeItem(this.storageKey);
+  }
+
+  /**
+   * Grava no armazenamento seguro as entradas que podem ser gravadas
+   * Gravações seguem a ordem das chamadas. Sem consentimento (ou sem Web
+   * Crypto) nada é gravado e a fila fica apenas em memória.
+   * @returns {Promise<boolean>} Se a fila foi gravada
+   */
+  saveQueue() {
+    const persisted = (this.queue || []).filter(entry => entry.persist);
+
+    this.writing = this.writing.catch(() => {}).then(() => {
+      if (!persisted.length) {
+        window.secureStorage.removeItem(this.storageKey);
+        return true;
+      }
+      return window.secureStorage.setItem(this.storageKey, persisted);
+    });
+
+    return this.writing;
+  }
+
+  /**
+   * Gera um identificador único para o envio
+   * @returns {string}
+   */
+  static createId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  }
+}
+
+// Instância global; a fila pendente de visitas anteriores é reenviada ao carregar
+window.submissionClient = new SubmissionClient();
+window.submissionClient.start();
@@ -1,33 +1,440 @@
 // js/templates.js - Sistema de Templates JavaScript
 
+/**
+ * HTML confiável que não deve ser escapado (ver TemplateEngine.raw)
+ */
+class SafeHtml {
+  constructor(html) {
+    this.html = String(html);
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+/**
+ * Erro de sintaxe em um template, com nome e posição (linha e coluna)
+ */
+class TemplateSyntaxError extends Error {
+  constructor(message, templateName, position) {
+    super(`${message} no template "${templateName}" (linha ${position.line}, coluna ${position.column})`);
+    this.name = 'TemplateSyntaxError';
+    this.templateName = templateName;
+    this.position = position;
+  }
+}
+
+/**
+ * Analisador da linguagem de templates
+ * Sintaxe suportada:
+ *   {{caminho.da.variavel}}          valor escapado
+ *   {{{caminho}}}                    HTML bruto (somente conteúdo confiável)
+ *   {{#if caminho}}...{{else}}...{{/if}}
+ *   {{#each lista}}...{{else}}...{{/each}}   com {{this}}, {{@index}}, {{@first}}, {{@last}}
+ *   {{> nome}} ou {{> nome caminho}} inclui outro template ou componente
+ *   {{helper "texto" caminho nome=caminho}}   chama um helper (ex: {{t "chave" min=minimo}})
+ *   {{! comentário}}
+ */
+class TemplateParser {
+  /**
+   * Converte o código do template em árvore de nós
+   * @param {string} source - Código do template
+   * @param {string} name - Nome do template (usado nas mensagens de erro)
+   * @returns {Array<Object>} Nós da árvore
+   */
+  static parse(source, name) {
+    const tagRegex = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let current = root.children;
+    let lastIndex = 0;
+    let match;
+
+    const positionAt = (index) => {
+      const before = source.slice(0, index).split('\n');
+      return { index, line: before.length, column: before[before.length - 1].length + 1 };
+    };
+
+    while ((match = tagRegex.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = tagRegex.lastIndex;
+
+      const position = positionAt(match.index);
+
+      if (match[1] !== undefined) {
+        current.push(TemplateParser.parseExpression(match[1], true, name, position));
+        continue;
+      }
+
+      const tag = match[2];
+      const open = stack[stack.length - 1];
+
+      if (tag.startsWith('!')) continue;
+
+      if (tag.startsWith('#')) {
+        const [keyword, path] = tag.slice(1).trim().split(/\s+/);
+
+        if (keyword !== 'if' && keyword !== 'each') {
+          throw new TemplateSyntaxError(`Bloco desconhecido "#${keyword}"`, name, position);
+        }
+        if (!path) {
+          throw new TemplateSyntaxError(`Bloco "#${keyword}" sem expressão`, name, position);
+        }
+
+        const node = { type: keyword, path, children: [], inverse: [], position, inElse: false };
+        current.push(node);
+        stack.push(node);
+        current = node.children;
+      } else if (tag === 'else') {
+        if (open === root || open.inElse) {
+          throw new TemplateSyntaxError('{{else}} fora de um bloco', name, position);
+        }
+        open.inElse = true;
+        current = open.inverse;
+      } else if (tag.startsWith('/')) {
+        const keyword = tag.slice(1).trim();
+
+        if (open === root || open.type !== keyword) {
+          throw new TemplateSyntaxError(`Fechamento "{{/${keyword}}}" inesperado`, name, position);
+        }
+
+        stack.pop();
+        const parent = stack[stack.length - 1];
+        current = parent.inElse ? parent.inverse : parent.children;
+      } else if (tag.startsWith('>')) {
+        const [partial, path = 'this'] = tag.slice(1).trim().split(/\s+/);
+
+        if (!partial) {
+          throw new TemplateSyntaxError('Partial sem nome', name, position);
+        }
+        current.push({ type: 'partial', name: partial, path, position });
+      } else {
+        current.push(TemplateParser.parseExpression(tag, false, name, position));
+      }
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw new TemplateSyntaxError(`Bloco "#${open.type}" não fechado`, name, open.position);
+    }
+
+    if (lastIndex < source.length) {
+      current.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Converte o conteúdo de uma tag de valor em nó: variável ({{caminho}}) ou
+   * chamada de helper, quando há argumentos ({{t "chave" nome=caminho}})
+   * Argumentos entre aspas são textos; os demais são números ou caminhos.
+   * @param {string} expression - Conteúdo da tag
+   * @param {boolean} raw - Se a tag é {{{ }}} (sem escape)
+   * @param {string} name - Nome do template (usado nas mensagens de erro)
+   * @param {Object} position - Posição da tag
+   * @returns {Object} Nó 'var' ou 'helper'
+   */
+  static parseExpression(expression, raw, name, position) {
+    const tokens = expression.match(/[\w-]+=(?:"[^"]*"|'[^']*'|\S+)|"[^"]*"|'[^']*'|\S+/g) || [expression];
+
+    if (tokens.length === 1) {
+      return { type: 'var', path: expression, raw, position };
+    }
+
+    const parseArgument = (token) => {
+      if (/^["']/.test(token)) {
+        if (token.length < 2 || token[token.length - 1] !== token[0]) {
+          throw new TemplateSyntaxError('Texto sem aspas de fechamento', name, position);
+        }
+        return { value: token.slice(1, -1) };
+      }
+      if (/^-?\d+(\.\d+)?$/.test(token)) {
+        return { value: Number(token) };
+      }
+      return { path: token };
+    };
+
+    const [helper, ...args] = tokens;
+    const params = [];
+    const hash = {};
+
+    args.forEach(token => {
+      const pair = /^([\w-]+)=(.+)$/s.exec(token);
+      if (pair) {
+        hash[pair[1]] = parseArgument(pair[2]);
+      } else {
+        params.push(parseArgument(token));
+      }
+    });
+
+    return { type: 'helper', name: helper, params, hash, raw, position };
+  }
+}
+
+/**
+ * Instância de um componente com estado montada em um elemento
+ * Criada por TemplateEngine.mountComponent ou TemplateEngine.mountAll.
+ */
+class ComponentInstance {
+  // Eventos delegados para os atributos data-on-<evento>
+  static EVENTS = ['click', 'input', 'change', 'submit', 'keydown', 'focusout'];
+
+  /**
+   * @param {TemplateEngine} engine - Motor de templates
+   * @param {Object} definition - Definição registrada ({ state, render, handlers, mounted, unmounted })
+   * @param {HTMLElement} element - Elemento hospedeiro
+   * @param {Object} props - Props do componente
+   */
+  constructor(engine, definition, element, props) {
+    this.engine = engine;
+    this.definition = definition;
+    this.element = element;
+    this.props = props;
+    this.state = definition.state ? definition.state.call(this, props) : {};
+    this.listeners = new AbortController();
+    this.renderScheduled = false;
+
+    element.__component = this;
+  }
+
+  /**
+   * Gera o HTML interno do componente para o estado atual
+   * @returns {string} HTML
+   */
+  renderHtml() {
+    return this.definition.render.call(this, this.props, this.state);
+  }
+
+  /**
+   * Anexa os handlers declarativos e executa o hook mounted
+   */
+  mount() {
+    ComponentInstance.EVENTS.forEach(type => {
+      this.element.addEventListener(type, (e) => this.handleEvent(e), { signal: this.listeners.signal });
+    });
+
+    if (this.definition.mounted) {
+      this.definition.mounted.call(this);
+    }
+  }
+
+  /**
+   * Encaminha um evento ao handler indicado em data-on-<evento>
+   * Elementos dentro de outro componente aninhado pertencem a ele, não a este.
+   * @param {Event} e - Evento
+   */
+  handleEvent(e) {
+    const attribute = `data-on-${e.type}`;
+    const target = e.target.closest(`[${attribute}]`);
+
+    if (!target || !this.element.contains(target)) return;
+
+    for (let node = target; node !== this.element; node = node.parentElement) {
+      if (node.__component) return;
+    }
+
+    const handlerName = target.getAttribute(attribute);
+    const handler = this.definition.handlers && this.definition.handlers[handlerName];
+
+    if (!handler) {
+      console.warn(`Handler "${handlerName}" não encontrado no componente`);
+      return;
+    }
+
+    handler.call(this, e, target);
+  }
+
+  /**
+   * Atualiza o estado e agenda um novo render
+   * Várias chamadas seguidas geram um único render.
+   * @param {Object|Function} partial - Parte do estado ou função (state, props) => parte do estado
+   */
+  setState(partial) {
+    const changes = typeof partial === 'function' ? partial(this.state, this.props) : partial;
+    this.state = { ...this.state, ...changes };
+    this.scheduleRender();
+  }
+
+  /**
+   * Substitui as props (ex: o componente pai foi renderizado de novo)
+   * @param {Object} props - Novas props
+   */
+  setProps(props) {
+    this.props = props;
+    this.scheduleRender();
+  }
+
+  /**
+   * Agenda o render para o fim da tarefa atual
+   */
+  scheduleRender() {
+    if (this.renderScheduled) return;
+
+    this.renderScheduled = true;
+    queueMicrotask(() => {
+      this.renderScheduled = false;
+      if (this.element.__component === this) {
+        this.update();
+      }
+    });
+  }
+
+  /**
+   * Renderiza novamente atualizando apenas os nós alterados
+   */
+  update() {
+    DOMPatcher.patch(this.element, this.renderHtml());
+
+    // Montar componentes que surgiram e desmontar os que saíram
+    this.engine.mountAll(this.element);
+    this.engine.cleanupInstances();
+  }
+
+  /**
+   * Remove os handlers e executa o hook unmounted
+   */
+  destroy() {
+    this.listeners.abort();
+    delete this.element.__component;
+
+    if (this.definition.unmounted) {
+      this.definition.unmounted.call(this);
+    }
+  }
+}
+
 /**
  * Sistema de Templates JavaScript
  * Permite reutilizar componentes HTML de forma dinâmica
+ * Valores interpolados com {{chave}} são escapados; use {{{chave}}} apenas para HTML confiável.
  */
 class TemplateEngine {
   constructor() {
     this.templates = new Map();
     this.components = new Map();
+    // Funções de render pré-compiladas: nome -> (scopes) => HTML
+    this.compiled = new Map();
+    // Componentes com estado montados no documento
+    this.instances = new Set();
+    // Helpers chamados nos templates com {{nome argumentos}}
+    this.helpers = new Map();
+
+    // {{t "chave" nome=caminho}}: mensagem traduzida (ver js/i18n.js)
+    this.registerHelper('t', ([key], params) => window.i18n.t(key, params));
+
+    // {{safeUrl caminho "padrão"}}: URL para href/src sem esquemas perigosos (ver safeUrl)
+    this.registerHelper('safeUrl', ([url, fallback]) => TemplateEngine.raw(TemplateEngine.safeUrl(url, fallback)));
+  }
+
+  /**
+   * Escapa um valor para uso em texto HTML ou em atributos entre aspas
+   * @param {*} value - Valor a escapar (null e undefined viram string vazia)
+   * @returns {string} Texto seguro
+   */
+  static escape(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof SafeHtml) return value.html;
+
+    return String(value).replace(/[&<>"'`]/g, (char) => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;',
+      '`': '&#96;'
+    })[char]);
   }
 
   /**
-   * Registra um template
+   * Marca um HTML como confiável para que não seja escapado
+   * @param {string} html - HTML gerado pelo próprio sistema (nunca dados do usuário)
+   * @returns {SafeHtml}
+   */
+  static raw(html) {
+    return new SafeHtml(html);
+  }
+
+  /**
+   * Escapa uma URL para atributos href/src, bloqueando esquemas perigosos (javascript:, data: etc.)
+   * @param {string} url - URL
+   * @param {string} [fallback='#'] - Valor usado quando a URL é bloqueada ou vazia
+   * @returns {string} URL escapada
+   */
+  static safeUrl(url, fallback = '#') {
+    const value = String(url || '').trim();
+    if (!value) return fallback;
+
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value.replace(/[\s\u0000-\u001f]/g, ''));
+    if (scheme && !['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase())) {
+      return fallback;
+    }
+
+    return TemplateEngine.escape(value);
+  }
+
+  /**
+   * Registra um template, compilando-o imediatamente
+   * Erros de sintaxe (blocos não fechados, partials desconhecidos) são lançados
+   * aqui como TemplateSyntaxError, com o nome do template e a posição.
    * @param {string} name - Nome do template
    * @param {string} html - HTML do template
+   * @throws {TemplateSyntaxError}
    */
   registerTemplate(name, html) {
+    const nodes = TemplateParser.parse(html, name);
+
+    this.checkPartials(nodes, name);
+    this.checkHelpers(nodes, name);
+    this.compiled.set(name, this.compileNodes(nodes));
     this.templates.set(name, html);
   }
 
   /**
    * Registra um componente reutilizável
+   * Uma função (props) => HTML define um componente sem estado. Um objeto define
+   * um componente com estado:
+   *   {
+   *     state(props) { return { ... } },          estado inicial
+   *     render(props, state) { return '...' },     HTML interno (this é a instância)
+   *     handlers: { nome(event, target) { ... } }, chamados por data-on-click="nome" etc.
+   *     mounted() { ... }, unmounted() { ... }
+   *   }
    * @param {string} name - Nome do componente
-   * @param {Function} renderFn - Função que renderiza o componente
+   * @param {Function|Object} renderFn - Função que renderiza o componente ou definição com estado
    */
   registerComponent(name, renderFn) {
     this.components.set(name, renderFn);
   }
 
+  /**
+   * Registra um helper para os templates
+   * A função recebe (params, hash): os argumentos posicionais e os nomeados,
+   * já resolvidos. O retorno é escapado, exceto em {{{helper ...}}}.
+   *   registerHelper('upper', ([text]) => String(text).toUpperCase())
+   *   {{upper title}}
+   * @param {string} name - Nome do helper
+   * @param {Function} fn - Função (params, hash) => valor
+   */
+  registerHelper(name, fn) {
+    this.helpers.set(name, fn);
+  }
+
+  /**
+   * Retorna a função de render pré-compilada de um template
+   * @param {string} name - Nome do template
+   * @returns {Function|null} Função (data) => HTML, ou null se o template não existir
+   */
+  compile(name) {
+    const renderNodes = this.compiled.get(name);
+    if (!renderNodes) return null;
+
+    return (data = {}) => renderNodes([{ data, vars: {} }]);
+  }
+
   /**
    * Renderiza um template com dados
    * @param {string} name - Nome do template
@@ -35,19 +442,224 @@ class TemplateEngine {
    * @returns {string} HTML renderizado
    */
   render(name, data = {}) {
-    if (!this.templates.has(name)) {
+    const renderFn = this.compile(name);
+
+    if (!renderFn) {
       console.warn(`Template "${name}" não encontrado`);
       return '';
     }
 
-    let html = this.templates.get(name);
+    return renderFn(data);
+  }
+
+  /**
+   * Verifica se todos os partials usados existem como template ou componente
+   * Um template pode incluir a si mesmo (recursão).
+   * @param {Array<Object>} nodes - Nós gerados pelo TemplateParser
+   * @param {string} name - Nome do template sendo registrado
+   * @throws {TemplateSyntaxError}
+   */
+  checkPartials(nodes, name) {
+    nodes.forEach(node => {
+      if (node.type === 'partial' && node.name !== name &&
+          !this.templates.has(node.name) && !this.components.has(node.name)) {
+        throw new TemplateSyntaxError(`Partial "${node.name}" não encontrado`, name, node.position);
+      }
+
+      if (node.children) {
+        this.checkPartials(node.children, name);
+        this.checkPartials(node.inverse, name);
+      }
+    });
+  }
+
+  /**
+   * Verifica se todos os helpers usados estão registrados
+   * @param {Array<Object>} nodes - Nós gerados pelo TemplateParser
+   * @param {string} name - Nome do template sendo registrado
+   * @throws {TemplateSyntaxError}
+   */
+  checkHelpers(nodes, name) {
+    nodes.forEach(node => {
+      if (node.type === 'helper' && !this.helpers.has(node.name)) {
+        throw new TemplateSyntaxError(`Helper "${node.name}" não encontrado`, name, node.position);
+      }
+
+      if (node.children) {
+        this.checkHelpers(node.children, name);
+        this.checkHelpers(node.inverse, name);
+      }
+    });
+  }
+
+  /**
+   * Compila nós do template em uma função de render
+   * @param {Array<Object>} nodes - Nós gerados pelo TemplateParser
+   * @returns {Function} Função (scopes) => HTML; escopos do mais interno ao mais externo: { data, vars }
+   */
+  compileNodes(nodes) {
+    const parts = nodes.map(node => {
+      switch (node.type) {
+        case 'text': {
+          const text = node.value;
+          return () => text;
+        }
+
+        case 'var': {
+          const get = TemplateEngine.compilePath(node.path);
+
+          if (node.raw) {
+            return (scopes) => {
+              const value = get(scopes);
+              return value === undefined || value === null ? '' : String(value);
+            };
+          }
+          return (scopes) => TemplateEngine.escape(get(scopes));
+        }
+
+        case 'helper': {
+          const helperName = node.name;
+          const params = node.params.map(TemplateEngine.compileArgument);
+          const hash = Object.entries(node.hash).map(([key, arg]) => [key, TemplateEngine.compileArgument(arg)]);
+          const raw = node.raw;
+
+          return (scopes) => {
+            const value = this.helpers.get(helperName)(
+              params.map(get => get(scopes)),
+              Object.fromEntries(hash.map(([key, get]) => [key, get(scopes)]))
+            );
+
+            if (raw) {
+              return value === undefined || value === null ? '' : String(value);
+            }
+            return TemplateEngine.escape(value);
+          };
+        }
+
+        case 'if': {
+          const get = TemplateEngine.compilePath(node.path);
+          const renderThen = this.compileNodes(node.children);
+          const renderElse = this.compileNodes(node.inverse);
 
-    // Substituir variáveis no formato {{variavel}}
-    html = html.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return data[key] !== undefined ? data[key] : match;
+          return (scopes) => {
+            const value = get(scopes);
+            const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+            return truthy ? renderThen(scopes) : renderElse(scopes);
+          };
+        }
+
+        case 'each': {
+          const get = TemplateEngine.compilePath(node.path);
+          const renderItem = this.compileNodes(node.children);
+          const renderEmpty = this.compileNodes(node.inverse);
+
+          return (scopes) => {
+            const list = get(scopes);
+            const items = Array.isArray(list) ? list : [];
+
+            if (items.length === 0) {
+              return renderEmpty(scopes);
+            }
+
+            let html = '';
+            for (let index = 0; index < items.length; index++) {
+              html += renderItem([{
+                data: items[index],
+                vars: { index, first: index === 0, last: index === items.length - 1 }
+              }, ...scopes]);
+            }
+            return html;
+          };
+        }
+
+        case 'partial': {
+          const get = TemplateEngine.compilePath(node.path);
+          const partialName = node.name;
+          return (scopes) => this.renderPartial(partialName, get(scopes));
+        }
+
+        default:
+          return () => '';
+      }
     });
 
-    return html;
+    return (scopes) => {
+      let html = '';
+      for (const part of parts) {
+        html += part(scopes);
+      }
+      return html;
+    };
+  }
+
+  /**
+   * Renderiza um template ou componente incluído com {{> nome}}
+   * Templates têm prioridade sobre componentes com o mesmo nome.
+   * @param {string} name - Nome do template ou componente
+   * @param {Object} data - Contexto do partial
+   * @returns {string} HTML renderizado
+   */
+  renderPartial(name, data) {
+    if (this.compiled.has(name)) {
+      return this.render(name, data || {});
+    }
+
+    if (this.components.has(name)) {
+      return this.renderComponent(name, data || {});
+    }
+
+    console.warn(`Partial "${name}" não encontrado`);
+    return '';
+  }
+
+  /**
+   * Pré-processa um caminho em função de acesso aos escopos
+   * O primeiro segmento é procurado do escopo mais interno ao mais externo.
+   * @param {string} path - Caminho com pontos (ex: 'project.title', 'this', '@index')
+   * @returns {Function} Função (scopes) => valor encontrado ou undefined
+   */
+  static compilePath(path) {
+    if (path.startsWith('@')) {
+      const variable = path.slice(1);
+      return (scopes) => scopes[0].vars[variable];
+    }
+
+    const segments = path.split('.');
+    const fromThis = segments[0] === 'this';
+    const rest = fromThis ? segments.slice(1) : segments;
+    const first = segments[0];
+
+    return (scopes) => {
+      let value;
+
+      if (fromThis) {
+        value = scopes[0].data;
+      } else {
+        const scope = scopes.find(({ data }) => data !== null && typeof data === 'object' && first in data);
+        if (!scope) return undefined;
+        value = scope.data;
+      }
+
+      for (const segment of rest) {
+        if (value === null || value === undefined) return undefined;
+        value = value[segment];
+      }
+
+      return value;
+    };
+  }
+
+  /**
+   * Pré-processa um argumento de helper: valor fixo ou caminho
+   * @param {Object} arg - { value } ou { path }
+   * @returns {Function} Função (scopes) => valor
+   */
+  static compileArgument(arg) {
+    if ('value' in arg) {
+      const value = arg.value;
+      return () => value;
+    }
+    return TemplateEngine.compilePath(arg.path);
   }
 
   /**
@@ -63,19 +675,108 @@ class TemplateEngine {
     }
 
     const renderFn = this.components.get(name);
-    return renderFn(props);
+
+    if (typeof renderFn === 'function') {
+      return renderFn(props);
+    }
+
+    // Componente com estado: elemento hospedeiro com o render inicial, ativado por mountAll
+    const html = renderFn.render.call({ props }, props, renderFn.state ? renderFn.state(props) : {});
+    return `<div data-component="${TemplateEngine.escape(name)}" data-props="${TemplateEngine.escape(JSON.stringify(props))}">${html}</div>`;
+  }
+
+  /**
+   * Monta um componente com estado em um elemento
+   * @param {string} name - Nome do componente
+   * @param {HTMLElement} element - Elemento hospedeiro
+   * @param {Object} props - Props do componente
+   * @returns {ComponentInstance|null} Instância montada
+   */
+  mountComponent(name, element, props = {}) {
+    const definition = this.components.get(name);
+
+    if (!definition || typeof definition === 'function') {
+      console.warn(`Componente com estado "${name}" não encontrado`);
+      return null;
+    }
+
+    if (element.__component) {
+      element.__component.destroy();
+      this.instances.delete(element.__component);
+    }
+
+    const instance = new ComponentInstance(this, definition, element, props);
+    DOMPatcher.patch(element, instance.renderHtml());
+    instance.mount();
+    this.instances.add(instance);
+
+    this.mountAll(element);
+    return instance;
+  }
+
+  /**
+   * Monta todos os componentes com estado ainda não montados dentro de um elemento
+   * (elementos [data-component] gerados por renderComponent)
+   * @param {ParentNode} root - Elemento raiz
+   */
+  mountAll(root) {
+    root.querySelectorAll('[data-component]').forEach(element => {
+      if (element.__component) return;
+
+      let props = {};
+      try {
+        props = JSON.parse(element.getAttribute('data-props') || '{}');
+      } catch (error) {
+        console.warn('Props inválidas no componente:', error);
+      }
+
+      this.mountComponent(element.getAttribute('data-component'), element, props);
+    });
+  }
+
+  /**
+   * Desmonta os componentes com estado dentro de um elemento
+   * @param {ParentNode} root - Elemento raiz
+   */
+  unmountAll(root) {
+    this.instances.forEach(instance => {
+      if (root === instance.element || root.contains(instance.element)) {
+        instance.destroy();
+        this.instances.delete(instance);
+      }
+    });
+  }
+
+  /**
+   * Desmonta os componentes cujo elemento saiu do documento
+   */
+  cleanupInstances() {
+    this.instances.forEach(instance => {
+      if (!instance.element.isConnected) {
+        instance.destroy();
+        this.instances.delete(instance);
+      }
+    });
   }
 
   /**
    * Renderiza um template e insere no DOM
+   * Com { patch: true }, apenas os nós alterados são atualizados (ver DOMPatcher),
+   * preservando foco, valores digitados e listeners.
    * @param {string} name - Nome do template
    * @param {HTMLElement} element - Elemento onde inserir
    * @param {Object} data - Dados para o template
+   * @param {Object} [options]
+   * @param {boolean} [options.patch=false] - Atualizar incrementalmente em vez de substituir o innerHTML
    */
-  renderTo(name, element, data = {}) {
+  renderTo(name, element, data = {}, { patch = false } = {}) {
     const html = this.render(name, data);
     if (element) {
-      element.innerHTML = html;
+      if (patch) {
+        DOMPatcher.patch(element, html);
+      } else {
+        element.innerHTML = html;
+      }
     }
   }
 }
@@ -90,43 +791,132 @@ function registerDefaultTemplates() {
   // Template para mensagem de erro
   window.templateEngine.registerTemplate('error-message', `
     <div class="alert alert-danger" role="alert">
-      <strong>Erro!</strong> {{message}}
+      <strong>{{t "alert.error"}}</strong> {{message}}
     </div>
   `);
 
   // Template para mensagem de sucesso
   window.templateEngine.registerTemplate('success-message', `
     <div class="alert alert-success" role="alert">
-      <strong>Sucesso!</strong> {{message}}
+      <strong>{{t "alert.success"}}</strong> {{message}}
     </div>
   `);
 
   // Template para mensagem de aviso
   window.templateEngine.registerTemplate('warning-message', `
     <div class="alert alert-warning" role="alert">
-      <strong>Atenção!</strong> {{message}}
+      <strong>{{t "alert.warning"}}</strong> {{message}}
+    </div>
+  `);
+
+  // Template para o aviso de rascunho salvo (ver js/form-drafts.js)
+  window.templateEngine.registerTemplate('draft-prompt', `
+    <div class="alert alert-info" role="status">
+      {{t "draft.found" savedAt=savedAt}}
+      <div class="mt-2">
+        <button type="button" class="btn btn-primary" data-draft-action="restore">{{t "draft.restore"}}</button>
+        <button type="button" class="btn btn-secondary" data-draft-action="discard">{{t "draft.discard"}}</button>
+      </div>
+    </div>
+  `);
+
+  // Templates do formulário em etapas (ver js/form-wizard.js)
+  window.templateEngine.registerTemplate('wizard-progress', `
+    <ol class="wizard-progress__steps">
+      {{#each steps}}
+        <li class="wizard-progress__step{{#if current}} is-current{{/if}}{{#if done}} is-done{{/if}}"{{#if current}} aria-current="step"{{/if}}>{{title}}</li>
+      {{/each}}
+    </ol>
+    <p class="sr-only" aria-live="polite">{{t "wizard.position" position=position total=total title=currentTitle}}</p>
+  `);
+
+  window.templateEngine.registerTemplate('wizard-nav', `
+    <div class="wizard-nav mt-2">
+      <button type="button" class="btn btn-secondary" data-wizard-action="back">{{t "wizard.back"}}</button>
+      <button type="button" class="btn btn-primary" data-wizard-action="next">{{t "wizard.next"}}</button>
     </div>
   `);
 
+  window.templateEngine.registerTemplate('wizard-review', `
+    {{#each steps}}
+      <section class="wizard-review__step">
+        <h3>{{title}}</h3>
+        <dl>
+          {{#each answers}}
+            <dt>{{label}}</dt>
+            <dd>{{value}}</dd>
+          {{/each}}
+        </dl>
+        <button type="button" class="btn btn-secondary" data-wizard-goto="{{index}}">{{t "wizard.edit" title=title}}</button>
+      </section>
+    {{/each}}
+  `);
+
+  // Template para página não encontrada (rota 404 do SPA)
+  window.templateEngine.registerTemplate('not-found', `
+    <section class="not-found">
+      <h1>{{t "notFound.title"}}</h1>
+      <p>{{t "notFound.text"}}</p>
+      <a href="index.html" class="btn btn-primary">{{t "notFound.home"}}</a>
+    </section>
+  `);
+
   // Template para campo de formulário com erro
   window.templateEngine.registerTemplate('form-field-error', `
     <div class="form-field form-field--error">
       <label for="{{fieldId}}">{{label}}</label>
-      <input id="{{fieldId}}" name="{{fieldName}}" type="{{type}}" {{attributes}}>
+      <input id="{{fieldId}}" name="{{fieldName}}" type="{{type}}" {{{attributes}}}>
       <span class="form-field__error">{{error}}</span>
     </div>
   `);
 
+  // Componente com estado: botão para salvar um projeto nos favoritos (guardado no localStorage)
+  window.templateEngine.registerComponent('project-save', {
+    state(props) {
+      const saved = JSON.parse(localStorage.getItem('saved-projects')) || [];
+      return { saved: saved.includes(props.slug) };
+    },
+
+    render(props, state) {
+      return `
+        <button type="button" class="btn btn-secondary" data-on-click="toggle" aria-pressed="${state.saved}">
+          ${TemplateEngine.escape(window.i18n.t(state.saved ? 'project.saved' : 'project.save'))}
+        </button>
+      `;
+    },
+
+    handlers: {
+      toggle() {
+        const saved = new Set(JSON.parse(localStorage.getItem('saved-projects')) || []);
+
+        if (this.state.saved) {
+          saved.delete(this.props.slug);
+        } else {
+          saved.add(this.props.slug);
+        }
+
+        localStorage.setItem('saved-projects', JSON.stringify(Array.from(saved)));
+        this.setState({ saved: !this.state.saved });
+      }
+    }
+  });
+
   // Componente para card de projeto
   window.templateEngine.registerComponent('project-card', (props) => {
+    const e = TemplateEngine.escape;
+
     return `
       <article class="card">
-        <img src="${props.image || 'imagens/default.jpg'}" alt="${props.title || 'Projeto'}">
+        <img src="${TemplateEngine.safeUrl(props.image, 'imagens/default.jpg')}" alt="${e(props.title || window.i18n.t('project.image'))}">
         <div class="card-body">
-          <h3>${props.title || 'Sem título'}</h3>
-          <p>${props.description || 'Sem descrição'}</p>
+          <h3>${e(props.title || window.i18n.t('project.untitled'))}</h3>
+          ${props.meta ? `<p class="card-meta">${e(props.meta)}</p>` : ''}
+          <p>${e(props.description || window.i18n.t('project.noDescription'))}</p>
           <div class="mt-2">
-            <a href="${props.link || '#'}" class="btn btn-primary">Saiba mais</a>
+            <a href="${TemplateEngine.safeUrl(props.link)}" class="btn btn-primary">${e(window.i18n.t('project.more'))}</a>
+            ${props.signup ? `<a href="${TemplateEngine.safeUrl(props.signup)}" class="btn btn-secondary">${e(window.i18n.t('project.volunteer'))}</a>` : ''}
+            ${props.donate ? `<a href="${TemplateEngine.safeUrl(props.donate)}" class="btn btn-secondary">${e(window.i18n.t('project.donate'))}</a>` : ''}
+            ${props.slug ? window.templateEngine.renderComponent('project-save', { slug: props.slug }) : ''}
           </div>
         </div>
       </article>
@@ -135,37 +925,359 @@ function registerDefaultTemplates() {
 
   // Componente para campo de formulário
   window.templateEngine.registerComponent('form-field', (props) => {
+    const e = TemplateEngine.escape;
     const inputType = props.type || 'text';
     const required = props.required ? 'required' : '';
     const errorClass = props.error ? 'form-field--error' : '';
     
     let fieldHtml = `
-      <div class="form-field ${errorClass}">
-        <label for="${props.id}">${props.label || ''}${props.required ? ' *' : ''}</label>
+      <div class="form-field ${errorClass}" data-key="${e(props.id)}">
+        <label for="${e(props.id)}">${e(props.label)}${props.required ? ' *' : ''}</label>
     `;
 
     if (inputType === 'select') {
-      fieldHtml += `<select id="${props.id}" name="${props.name}" ${required}>`;
+      fieldHtml += `<select id="${e(props.id)}" name="${e(props.name)}" ${required}>`;
       if (props.options) {
         props.options.forEach(opt => {
-          fieldHtml += `<option value="${opt.value}">${opt.label}</option>`;
+          fieldHtml += `<option value="${e(opt.value)}">${e(opt.label)}</option>`;
         });
       }
       fieldHtml += `</select>`;
     } else if (inputType === 'textarea') {
-      fieldHtml += `<textarea id="${props.id}" name="${props.name}" ${required}></textarea>`;
+      fieldHtml += `<textarea id="${e(props.id)}" name="${e(props.name)}" ${required}></textarea>`;
     } else {
-      fieldHtml += `<input id="${props.id}" name="${props.name}" type="${inputType}" ${required}>`;
+      fieldHtml += `<input id="${e(props.id)}" name="${e(props.name)}" type="${e(inputType)}" ${required}>`;
     }
 
     if (props.error) {
-      fieldHtml += `<span class="form-field__error">${props.error}</span>`;
+      fieldHtml += `<span class="form-field__error">${e(props.error)}</span>`;
     }
 
     fieldHtml += `</div>`;
     return fieldHtml;
   });
+
+  // Template para lista de projetos (cards renderizados pelo componente project-card)
+  window.templateEngine.registerTemplate('project-list', `
+    <div class="cards mt-2">
+      {{#each projects}}
+        {{> project-card this}}
+      {{else}}
+        <p>{{t "project.empty"}}</p>
+      {{/each}}
+    </div>
+  `);
+
+  // Templates do catálogo de projetos (ver js/projects.js)
+  window.templateEngine.registerTemplate('pagination', `
+    {{#if pages}}
+      <nav class="pagination" aria-label="{{t "catalog.pages"}}">
+        {{#if previous}}
+          <a href="{{previous.href}}" class="pagination__link" data-catalog-page="{{previous.number}}" rel="prev">{{t "catalog.previous"}}</a>
+        {{/if}}
+        <ol class="pagination__pages">
+          {{#each pages}}
+            <li>
+              {{#if current}}
+                <a href="{{href}}" class="pagination__link is-current" data-catalog-page="{{number}}" aria-current="page">{{number}}</a>
+              {{else}}
+                <a href="{{href}}" class="pagination__link" data-catalog-page="{{number}}">{{number}}</a>
+              {{/if}}
+            </li>
+          {{/each}}
+        </ol>
+        {{#if next}}
+          <a href="{{next.href}}" class="pagination__link" data-catalog-page="{{next.number}}" rel="next">{{t "catalog.next"}}</a>
+        {{/if}}
+      </nav>
+    {{/if}}
+  `);
+
+  window.templateEngine.registerTemplate('project-detail', `
+    <article class="project-detail">
+      <a href="projetos.html" class="btn btn-secondary">{{t "project.back"}}</a>
+      <h1>{{project.title}}</h1>
+      <p class="card-meta">{{meta}} · {{t "project.since" date=since}}</p>
+      <img src="{{safeUrl project.image "imagens/default.jpg"}}" alt="{{project.title}}">
+      <p>{{project.description}}</p>
+      <p>{{project.details}}</p>
+      <a href="{{signup}}" class="btn btn-primary">{{t "project.volunteer"}}</a>
+      {{#if donate}}
+        <a href="{{donate}}" class="btn btn-secondary">{{t "project.donate"}}</a>
+      {{/if}}
+      {{> project-save save}}
+    </article>
+  `);
+
+  // Template para as opções de um grupo de caixas de seleção (fieldset[name], ver js/validation.js)
+  window.templateEngine.registerTemplate('checkbox-options', `
+    {{#each options}}
+      <div class="form-field--checkbox">
+        <input id="{{group}}-{{value}}" name="{{group}}" type="checkbox" value="{{value}}"{{#if checked}} checked{{/if}}>
+        <label for="{{group}}-{{value}}">{{label}}</label>
+      </div>
+    {{/each}}
+  `);
+
+  // Templates da doação por PIX (ver js/pix.js)
+  window.templateEngine.registerTemplate('pix-result', `
+    <div class="pix-result card">
+      <div class="pix-result__qr">{{{qr}}}</div>
+      <div class="pix-result__info">
+        <p class="pix-result__amount">{{amount}} · {{destination}}</p>
+        <p>{{t "donation.scan"}}</p>
+        <label for="pixPayload">{{t "donation.copyLabel"}}</label>
+        <textarea id="pixPayload" class="pix-result__payload" rows="4" readonly data-pix-payload>{{payload}}</textarea>
+        <button type="button" class="btn btn-primary" data-pix-copy>{{t "donation.copy"}}</button>
+        <span class="small" role="status" data-pix-copy-status></span>
+        <p class="small">{{t "donation.recipient" name=name key=key}}<br>{{t "donation.txid" txid=txid}}</p>
+      </div>
+    </div>
+  `);
+
+  window.templateEngine.registerTemplate('pix-pledges', `
+    <h2>{{t "donation.history"}}</h2>
+    <p class="small">{{t "donation.historyNote"}}</p>
+    {{#if pledges}}
+      <ul class="pix-pledges">
+        {{#each pledges}}
+          <li><strong>{{amount}}</strong> · {{destination}} · {{date}} <span class="small">({{txid}})</span></li>
+        {{/each}}
+      </ul>
+      <button type="button" class="btn btn-secondary" data-pix-clear>{{t "donation.clearHistory"}}</button>
+    {{else}}
+      <p>{{t "donation.historyEmpty"}}</p>
+    {{/if}}
+  `);
+
+  // Templates do painel de voluntários (ver js/volunteers.js); os textos fixos
+  // têm data-i18n para acompanhar a troca de idioma
+  window.templateEngine.registerTemplate('volunteer-admin', `
+    <section class="volunteer-admin" data-volunteer-admin>
+      <h1 data-i18n="admin.title">{{t "admin.title"}}</h1>
+      <p data-i18n="admin.intro">{{t "admin.intro"}}</p>
+
+      <form class="catalog-filters admin-filters" role="search" data-admin-filters>
+        <div class="form-field">
+          <label for="adminBusca" data-i18n="admin.search">{{t "admin.search"}}</label>
+          <input type="search" id="adminBusca" name="busca" autocomplete="off">
+        </div>
+
+        <div class="form-field">
+          <label for="adminUf" data-i18n="cadastro.estado">{{t "cadastro.estado"}}</label>
+          <select id="adminUf" name="uf"></select>
+        </div>
+
+        <div class="form-field">
+          <label for="adminIdade" data-i18n="admin.ageGroup">{{t "admin.ageGroup"}}</label>
+          <select id="adminIdade" name="idade">
+            <option value="" data-i18n="catalog.any">{{t "catalog.any"}}</option>
+            <option value="menor" data-i18n="admin.age.minor">{{t "admin.age.minor"}}</option>
+            <option value="18-29" data-i18n="admin.age.18-29">{{t "admin.age.18-29"}}</option>
+            <option value="30-59" data-i18n="admin.age.30-59">{{t "admin.age.30-59"}}</option>
+            <option value="60+" data-i18n="admin.age.60+">{{t "admin.age.60+"}}</option>
+          </select>
+        </div>
+      </form>
+
+      <div class="admin-actions">
+        <button type="button" class="btn btn-secondary" data-admin-export="csv" data-i18n="admin.exportCsv">{{t "admin.exportCsv"}}</button>
+        <button type="button" class="btn btn-secondary" data-admin-export="json" data-i18n="admin.exportJson">{{t "admin.exportJson"}}</button>
+        <input type="file" id="adminImport" class="sr-only" accept="application/json,.json" data-admin-import>
+        <label class="btn btn-secondary" for="adminImport" data-i18n="admin.import">{{t "admin.import"}}</label>
+        <button type="button" class="btn btn-secondary" data-admin-erase data-i18n="admin.eraseAll">{{t "admin.eraseAll"}}</button>
+        <button type="button" class="btn btn-secondary" data-admin-lock data-i18n="admin.lock">{{t "admin.lock"}}</button>
+      </div>
+      <p class="small" data-i18n="admin.exportNote">{{t "admin.exportNote"}}</p>
+
+      <div data-admin-message></div>
+      <p class="catalog-status" data-admin-status aria-live="polite"></p>
+      <div data-admin-editor hidden></div>
+      <div data-admin-results></div>
+    </section>
+  `);
+
+  // Entrada da coordenação (admin.html): definição da frase de acesso no
+  // primeiro uso ou desbloqueio do painel de voluntários
+  window.templateEngine.registerTemplate('coordinator-access', `
+    <form id="coordinatorForm" class="form card mt-2" action="#" novalidate>
+      <p>{{#if setup}}{{t "admin.setupIntro" min=minLength}}{{else}}{{t "admin.unlockIntro"}}{{/if}}</p>
+
+      <div class="form-field">
+        <label for="coordinatorFrase">{{t "admin.passphrase"}} *</label>
+        {{#if setup}}
+          <input id="coordinatorFrase" name="frase" type="password" autocomplete="new-password" required minlength="{{minLength}}">
+        {{else}}
+          <input id="coordinatorFrase" name="frase" type="password" autocomplete="current-password" required>
+        {{/if}}
+      </div>
+
+      {{#if setup}}
+        <div class="form-field">
+          <label for="coordinatorConfirmacao">{{t "admin.passphraseConfirm"}} *</label>
+          <input id="coordinatorConfirmacao" name="confirmacao" type="password" autocomplete="new-password" required data-validate="required|match:frase">
+        </div>
+      {{/if}}
+
+      <div class="mt-2">
+        <button type="submit" class="btn btn-primary">{{#if setup}}{{t "admin.setup"}}{{else}}{{t "admin.unlock"}}{{/if}}</button>
+      </div>
+    </form>
+  `);
+
+  // Resultado da importação de um backup, com os cadastros recusados e o motivo
+  window.templateEngine.registerTemplate('volunteer-import-result', `
+    {{> success-message}}
+    {{#if skipped}}
+      <details class="admin-import-skipped">
+        <summary>{{t "admin.skippedTitle"}}</summary>
+        <ul>
+          {{#each skipped}}
+            <li>
+              {{label}} — {{reason}}
+              {{#if errors}}
+                <ul>{{#each errors}}<li>{{this}}</li>{{/each}}</ul>
+              {{/if}}
+            </li>
+          {{/each}}
+        </ul>
+      </details>
+    {{/if}}
+  `);
+
+  window.templateEngine.registerTemplate('volunteer-table', `
+    {{#if rows}}
+      <div class="admin-table-wrapper">
+        <table class="admin-table">
+          <caption class="sr-only">{{t "admin.title"}}</caption>
+          <thead>
+            <tr>
+              {{#each columns}}
+                {{#if sortable}}
+                  <th scope="col" aria-sort="{{sort}}">
+                    <button type="button" class="admin-table__sort" data-admin-sort="{{key}}">{{label}}</button>
+                  </th>
+                {{else}}
+                  <th scope="col">{{label}}</th>
+                {{/if}}
+              {{/each}}
+              <th scope="col"><span class="sr-only">{{t "admin.actions"}}</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {{#each rows}}
+              <tr>
+                <th scope="row">{{nome}}</th>
+                <td>{{email}}<br><span class="small">{{telefone}}</span></td>
+                <td>{{age}}{{#if minor}} <span class="admin-table__tag">{{t "admin.minor"}}</span>{{/if}}</td>
+                <td>{{place}}</td>
+                <td>{{projects}}</td>
+                <td>{{date}}</td>
+                <td class="admin-table__actions">
+                  <button type="button" class="btn btn-secondary" data-admin-edit="{{id}}" aria-label="{{t "admin.editLabel" name=nome}}">{{t "admin.edit"}}</button>
+                  <button type="button" class="btn btn-secondary" data-admin-delete="{{id}}" aria-label="{{t "admin.deleteLabel" name=nome}}">{{t "admin.delete"}}</button>
+                </td>
+              </tr>
+            {{/each}}
+          </tbody>
+        </table>
+      </div>
+    {{else}}
+      <p>{{t "admin.empty"}}</p>
+    {{/if}}
+  `);
+
+  window.templateEngine.registerTemplate('volunteer-editor', `
+    <form id="volunteerEditForm" class="form card" action="#" novalidate>
+      <h2>{{t "admin.editTitle" name=record.nome}}</h2>
+
+      <div class="form-field">
+        <label for="edit-nome">{{t "cadastro.nome"}} *</label>
+        <input id="edit-nome" name="nome" type="text" value="{{record.nome}}" required minlength="3" data-validate="required|minlength:3">
+      </div>
+
+      <div class="form-field">
+        <label for="edit-email">{{t "cadastro.email"}} *</label>
+        <input id="edit-email" name="email" type="email" value="{{record.email}}" required data-validate="required|email|unique" data-message-unique="{{t "cadastro.emailTaken"}}">
+      </div>
+
+      <div class="form-field">
+        <label for="edit-telefone">{{t "cadastro.telefone"}} *</label>
+        <input id="edit-telefone" name="telefone" type="text" value="{{record.telefone}}" data-mask="telefone" inputmode="tel" required maxlength="16" data-validate="required|telefone">
+      </div>
+
+      <div class="form-field">
+        <label for="edit-nasc">{{t "cadastro.nasc"}} *</label>
+        <input id="edit-nasc" name="nasc" type="date" value="{{record.nasc}}" required data-validate="required|nasc">
+      </div>
+
+      <fieldset class="form-fieldset" data-admin-responsavel hidden>
+        <legend>{{t "cadastro.responsavel"}}</legend>
+        <p class="small">{{t "cadastro.responsavelNote"}}</p>
+
+        <div class="form-field">
+          <label for="edit-responsavelNome">{{t "cadastro.responsavelNome"}} *</label>
+          <input id="edit-responsavelNome" name="responsavelNome" type="text" value="{{record.responsavelNome}}" autocomplete="off" minlength="3">
+        </div>
+
+        <div class="form-field">
+          <label for="edit-responsavelTelefone">{{t "cadastro.responsavelTelefone"}} *</label>
+          <input id="edit-responsavelTelefone" name="responsavelTelefone" type="text" value="{{record.responsavelTelefone}}" data-mask="telefone" inputmode="tel" maxlength="16" data-validate="telefone">
+        </div>
+      </fieldset>
+
+      <div class="form-field">
+        <label for="edit-endereco">{{t "cadastro.endereco"}} *</label>
+        <input id="edit-endereco" name="endereco" type="text" value="{{record.endereco}}" required>
+      </div>
+
+      <div class="form-field">
+        <label for="edit-cep">{{t "cadastro.cep"}} *</label>
+        <input id="edit-cep" name="cep" type="text" value="{{record.cep}}" data-mask="cep" inputmode="numeric" required maxlength="9" data-validate="required|cep">
+      </div>
+
+      <div class="form-field">
+        <label for="edit-cidade">{{t "cadastro.cidade"}} *</label>
+        <input id="edit-cidade" name="cidade" type="text" value="{{record.cidade}}" required>
+      </div>
+
+      <div class="form-field">
+        <label for="edit-estado">{{t "cadastro.estado"}} *</label>
+        <select id="edit-estado" name="estado" required data-validate="required">
+          <option value="">{{t "cadastro.estadoPlaceholder"}}</option>
+          {{#each states}}
+            <option value="{{this}}">{{this}}</option>
+          {{/each}}
+        </select>
+      </div>
+
+      <div class="mt-2">
+        <button type="submit" class="btn btn-primary">{{t "admin.save"}}</button>
+        <button type="button" class="btn btn-secondary" data-admin-cancel>{{t "admin.cancel"}}</button>
+      </div>
+    </form>
+  `);
+
+  // Template para formulário montado a partir de uma lista de campos (componente form-field)
+  window.templateEngine.registerTemplate('form-fields', `
+    {{#each fields}}
+      {{> form-field this}}
+    {{/each}}
+  `);
 }
 
 // Registrar templates padrão quando o documento estiver pronto
 document.addEventListener('DOMContentLoaded', registerDefaultTemplates);
+
+// Ativar os componentes com estado do conteúdo de cada página
+if (window.pageModules) {
+  window.pageModules.register('*', {
+    mount({ container }) {
+      window.templateEngine.mountAll(container);
+    },
+
+    unmount({ container }) {
+      window.templateEngine.unmountAll(container);
+    }
+  });
+}
@@ -3,13 +3,54 @@
 /**
  * Sistema de Validação de Formulário
  * Oferece validação avançada com feedback visual ao usuário
+ *
+ * As regras de cada campo são declaradas no HTML ou em um schema JS:
+ *   <input name="cpf" data-validate="required|cpf" data-message-cpf="CPF incorreto">
+ *   new FormValidator('#form', { schema: { nome: ['required', 'minlength:3'] } })
+ * Os atributos required, minlength e type="email" também geram regras.
+ *
+ * Um <fieldset name="..."> agrupa as caixas de seleção de mesmo name em um único
+ * campo, cujo valor é a lista das opções marcadas:
+ *   <fieldset id="dias" name="dias" data-validate="required">
+ *     <input type="checkbox" name="dias" value="seg"> ...
+ *   </fieldset>
  */
 class FormValidator {
-  constructor(formSelector) {
-    this.form = document.querySelector(formSelector);
+  // Elementos tratados como campos (validados, com erro exibido)
+  static FIELDS = 'input, select, textarea, fieldset[name]';
+
+  /**
+   * @param {string|HTMLFormElement} formSelector - Seletor ou elemento do formulário
+   * @param {Object} [options]
+   * @param {Object} [options.schema] - Regras por name/id do campo: 'regra|regra:param'
+   *   ou array de strings e objetos { rule, params, message }
+   */
+  constructor(formSelector, options = {}) {
+    this.form = typeof formSelector === 'string' ? document.querySelector(formSelector) : formSelector;
+    this.schema = options.schema || {};
     this.fields = new Map();
     this.errors = new Map();
     this.validators = new Map();
+    this.listeners = new AbortController();
+    // Validações assíncronas em andamento: id do campo -> { controller, promise }
+    this.pending = new Map();
+    // Validações agendadas durante a digitação: id do campo -> timeout
+    this.timers = new Map();
+    // Regras que envolvem mais de um campo (ver addRule)
+    this.crossRules = [];
+    // Campos já validados ao menos uma vez (só esses são revalidados por dependência)
+    this.touched = new Set();
+    // Origem do erro exibido em cada campo: 'field' ou o nome da regra entre campos
+    this.errorSources = new Map();
+    // Assistente de etapas associado (ver js/form-wizard.js)
+    this.wizard = null;
+    // Tratamento próprio do envio válido, no lugar do envio e armazenamento padrão
+    // (função que recebe os valores do formulário; ver handleValidFormSubmit)
+    this.submitHandler = null;
+    // Envio em andamento (evita o envio duplo; ver attachEventListeners)
+    this.submitting = false;
+    // Envios salvos deste formulário (ver saveFormData)
+    this.history = this.form ? new SubmissionHistory({ key: this.getStorageKey('submissions') }) : null;
     
     if (this.form) {
       this.init();
@@ -32,7 +73,7 @@ class FormValidator {
     this.registerValidator('email', (value) => {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (value && !emailRegex.test(value)) {
-        return 'E-mail inválido. Verifique o formato.';
+        return window.i18n.t('validation.email');
       }
       return null;
     });
@@ -44,12 +85,12 @@ class FormValidator {
       const cpf = value.replace(/\D/g, '');
       
       if (cpf.length !== 11) {
-        return 'CPF deve conter 11 dígitos.';
+        return window.i18n.t('validation.cpf.length');
       }
 
       // Verificar se todos os dígitos são iguais
       if (/^(\d)\1{10}$/.test(cpf)) {
-        return 'CPF inválido.';
+        return window.i18n.t('validation.cpf.invalid');
       }
 
       // Validar primeiro dígito verificador
@@ -61,7 +102,7 @@ class FormValidator {
       remainder = (sum * 10) % 11;
       if (remainder === 10 || remainder === 11) remainder = 0;
       if (remainder !== parseInt(cpf.substring(9, 10))) {
-        return 'CPF inválido.';
+        return window.i18n.t('validation.cpf.invalid');
       }
 
       // Validar segundo dígito verificador
@@ -72,20 +113,24 @@ class FormValidator {
       remainder = (sum * 10) % 11;
       if (remainder === 10 || remainder === 11) remainder = 0;
       if (remainder !== parseInt(cpf.substring(10, 11))) {
-        return 'CPF inválido.';
+        return window.i18n.t('validation.cpf.invalid');
       }
 
       return null;
     });
 
-    // Validador de telefone
+    // Validador de telefone: nacional com DDD ou internacional começando com + e o código do país
     this.registerValidator('telefone', (value) => {
       if (!value) return null;
       
       const phone = value.replace(/\D/g, '');
+
+      if (value.trim().startsWith('+')) {
+        return phone.length < 8 || phone.length > 15 ? window.i18n.t('validation.telefone.international') : null;
+      }
       
       if (phone.length < 10 || phone.length > 11) {
-        return 'Telefone deve conter 10 ou 11 dígitos.';
+        return window.i18n.t('validation.telefone.length');
       }
 
       return null;
@@ -98,144 +143,460 @@ class FormValidator {
       const cep = value.replace(/\D/g, '');
       
       if (cep.length !== 8) {
-        return 'CEP deve conter 8 dígitos.';
+        return window.i18n.t('validation.cep.length');
       }
 
       return null;
     });
 
     // Validador de data de nascimento
+    // A exigência de responsável para menores fica a cargo de uma regra entre campos
     this.registerValidator('nasc', (value) => {
       if (!value) return null;
       
       const birthDate = new Date(value);
       const today = new Date();
-      const age = today.getFullYear() - birthDate.getFullYear();
-      
-      if (age < 18) {
-        return 'Você deve ter pelo menos 18 anos.';
+
+      if (Number.isNaN(birthDate.getTime())) {
+        return window.i18n.t('validation.nasc.invalid');
       }
 
       if (birthDate > today) {
-        return 'Data de nascimento não pode ser no futuro.';
+        return window.i18n.t('validation.nasc.future');
       }
 
       return null;
     });
 
+    // Validador de confirmação: o valor deve ser igual ao de outro campo (ex: 'match:email')
+    this.registerValidator('match', (value, [otherName], { form }) => {
+      const other = form.elements.namedItem(otherName);
+      if (other && value !== other.value) {
+        return window.i18n.t('validation.match');
+      }
+      return null;
+    }, { fieldParams: true });
+
     // Validador de comprimento mínimo
-    this.registerValidator('minlength', (value, minLength) => {
+    this.registerValidator('minlength', (value, [minLength]) => {
       if (value && value.length < minLength) {
-        return `Este campo deve conter no mínimo ${minLength} caracteres.`;
+        return window.i18n.t('validation.minlength', { min: minLength });
       }
       return null;
     });
 
-    // Validador de campo obrigatório
+    // Validador de campo obrigatório (em grupos, ao menos uma opção marcada)
     this.registerValidator('required', (value) => {
-      if (!value || value.trim() === '') {
-        return 'Este campo é obrigatório.';
+      if (Array.isArray(value) && !value.length) {
+        return window.i18n.t('validation.choose');
+      }
+      if (FormValidator.isEmpty(value)) {
+        return window.i18n.t('validation.required');
       }
       return null;
-    });
+    }, { runOnEmpty: true });
 
     // Validador de estado
     this.registerValidator('estado', (value) => {
       if (!value || value === '') {
-        return 'Por favor, selecione um estado.';
+        return window.i18n.t('validation.estado');
       }
       return null;
-    });
+    }, { runOnEmpty: true });
+
+    // Validador de duplicidade (assíncrono): 'unique' compara o texto, 'unique:digits' só os dígitos
+    this.registerValidator('unique', async (value, [mode], { field, signal }) => {
+      const exists = await this.checkDuplicate(field.name, value, { digitsOnly: mode === 'digits', signal });
+      return exists ? window.i18n.t('validation.unique') : null;
+    }, { debounce: 400 });
   }
 
   /**
    * Registra um validador customizado
+   * A função recebe (value, params, context) e retorna a mensagem de erro ou null,
+   * ou uma Promise com esse resultado. params são os parâmetros da regra
+   * ('minlength:3' -> ['3']) e context é { field, form, validator, signal };
+   * signal é abortado quando o valor muda antes de a verificação terminar.
    * @param {string} name - Nome do validador
    * @param {Function} fn - Função validadora
+   * @param {Object} [options]
+   * @param {boolean} [options.runOnEmpty=false] - Executar também com o campo vazio
+   *   (por padrão, campos vazios só passam pela regra required)
+   * @param {number} [options.debounce] - Se definido, o campo também é validado
+   *   durante a digitação, após esse intervalo (ms) sem novas teclas
+   * @param {boolean} [options.fieldParams=false] - Os parâmetros são nomes de outros
+   *   campos: o campo é revalidado quando eles mudam
+   * @param {string|Function} [options.pendingMessage] - Texto exibido enquanto a
+   *   verificação assíncrona está em andamento, ou função que o retorna (para
+   *   acompanhar a troca de idioma); padrão: 'Validando…' no idioma atual
+   */
+  registerValidator(name, fn, options = {}) {
+    this.validators.set(name, {
+      fn,
+      runOnEmpty: Boolean(options.runOnEmpty),
+      debounce: Number.isFinite(options.debounce) ? options.debounce : null,
+      fieldParams: Boolean(options.fieldParams),
+      pendingMessage: options.pendingMessage || null
+    });
+  }
+
+  /**
+   * Registra uma regra que envolve mais de um campo
+   * validate(values, context) recebe todos os valores do formulário e retorna
+   * null, uma mensagem (aplicada a todos os campos de `fields`) ou um objeto
+   * { nomeDoCampo: mensagem } para apontar o erro em campos específicos.
+   * Pode retornar uma Promise. A regra roda quando um dos campos de `fields`
+   * é validado e esses campos são revalidados quando algum de `dependsOn` muda.
+   * @param {Object} rule
+   * @param {string} rule.name - Nome da regra
+   * @param {string[]} rule.fields - Campos (name) onde o erro pode aparecer
+   * @param {string[]} [rule.dependsOn] - Campos que disparam a revalidação (padrão: fields)
+   * @param {Function} rule.validate - Função (values, context) => mensagem, mapa ou null
+   * @param {string} [rule.message] - Mensagem que substitui a retornada por validate
+   */
+  addRule({ name, fields, dependsOn = fields, validate, message = null }) {
+    this.crossRules.push({ name, fields, dependsOn, validate, message });
+  }
+
+  /**
+   * Obtém os valores atuais do formulário
+   * @returns {Object} Valores por name do campo (grupos de caixas de seleção como array)
+   */
+  getValues() {
+    const values = Object.fromEntries(new FormData(this.form));
+
+    this.form.querySelectorAll('[data-mask][name], fieldset[name]').forEach(field => {
+      values[field.name] = this.getFieldValue(field);
+    });
+
+    return values;
+  }
+
+  /**
+   * Obtém o valor de um campo sem a máscara de entrada (ex: CPF só com dígitos)
+   * @param {HTMLElement} field - Campo
+   * @returns {string|string[]} Valor; em um grupo, os valores das opções marcadas
+   */
+  getFieldValue(field) {
+    if (field.tagName === 'FIELDSET') {
+      return FormValidator.getGroupValue(field);
+    }
+
+    return window.inputMasks ? window.inputMasks.getRawValue(field) : field.value;
+  }
+
+  /**
+   * Obtém os valores das opções marcadas de um grupo de caixas de seleção
+   * @param {HTMLFieldSetElement} group - Grupo (fieldset[name])
+   * @returns {string[]}
+   */
+  static getGroupValue(group) {
+    return Array.from(group.querySelectorAll('input[type="checkbox"]'))
+      .filter(option => option.name === group.name && option.checked)
+      .map(option => option.value);
+  }
+
+  /**
+   * Marca as opções de um grupo de caixas de seleção
+   * @param {HTMLFieldSetElement} group - Grupo (fieldset[name])
+   * @param {string|string[]} values - Valores das opções a marcar (as demais são desmarcadas)
    */
-  registerValidator(name, fn) {
-    this.validators.set(name, fn);
+  static setGroupValue(group, values) {
+    const selected = [].concat(values || []);
+
+    group.querySelectorAll('input[type="checkbox"]').forEach(option => {
+      if (option.name === group.name) {
+        option.checked = selected.includes(option.value);
+      }
+    });
+  }
+
+  /**
+   * Verifica se um valor está vazio (texto em branco ou grupo sem opções marcadas)
+   * @param {string|string[]} value - Valor do campo
+   * @returns {boolean}
+   */
+  static isEmpty(value) {
+    return Array.isArray(value) ? value.length === 0 : !value || value.trim() === '';
+  }
+
+  /**
+   * Calcula a idade completa em anos a partir de uma data (AAAA-MM-DD)
+   * @param {string} value - Data de nascimento
+   * @returns {number|null} Idade ou null se a data for inválida
+   */
+  static calculateAge(value) {
+    const birthDate = new Date(value);
+    if (!value || Number.isNaN(birthDate.getTime())) return null;
+
+    const today = new Date();
+    let age = today.getFullYear() - birthDate.getUTCFullYear();
+    const monthDiff = today.getMonth() - birthDate.getUTCMonth();
+
+    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getUTCDate())) {
+      age--;
+    }
+
+    return age;
+  }
+
+  /**
+   * Lista os campos cujas regras dependem de outro campo
+   * @param {string} name - Nome do campo alterado
+   * @returns {HTMLElement[]} Campos que devem ser revalidados
+   */
+  getDependentFields(name) {
+    const dependents = new Set();
+
+    this.fields.forEach(field => {
+      if (field.name === name) return;
+
+      const dependsOnField = this.getFieldRules(field).some(rule => {
+        const validator = this.validators.get(rule.name);
+        return validator && validator.fieldParams && rule.params.includes(name);
+      });
+
+      if (dependsOnField) dependents.add(field);
+    });
+
+    this.crossRules
+      .filter(rule => rule.dependsOn.includes(name))
+      .forEach(rule => rule.fields.forEach(fieldName => {
+        const field = this.form.elements.namedItem(fieldName);
+        if (field && field.name !== name) dependents.add(field);
+      }));
+
+    return Array.from(dependents);
+  }
+
+  /**
+   * Verifica se um valor já foi enviado anteriormente
+   * Consulta o histórico local (ver SubmissionHistory.has); pode ser sobrescrito
+   * para consultar uma API.
+   * @param {string} fieldName - Nome do campo (chave no registro salvo)
+   * @param {string} value - Valor digitado
+   * @param {Object} [options]
+   * @param {boolean} [options.digitsOnly=false] - Comparar apenas os dígitos (CPF, telefone)
+   * @param {AbortSignal} [options.signal] - Sinal de cancelamento
+   * @returns {Promise<boolean>} Se já existe um envio com o mesmo valor
+   */
+  async checkDuplicate(fieldName, value, { digitsOnly = false, signal } = {}) {
+    const exists = await this.history.has(fieldName, value, { digitsOnly });
+
+    if (signal && signal.aborted) return false;
+
+    return exists;
+  }
+
+  /**
+   * Converte uma regra declarada em objeto normalizado
+   * @param {string|Object} spec - 'nome:param1,param2' ou { rule, params, message }
+   * @returns {{name: string, params: Array, message: string|null}} Regra
+   */
+  static parseRule(spec) {
+    if (typeof spec === 'object') {
+      return { name: spec.rule, params: spec.params || [], message: spec.message || null };
+    }
+
+    const [name, params] = spec.trim().split(/:(.*)/s);
+    return { name, params: params ? params.split(',') : [], message: null };
+  }
+
+  /**
+   * Obtém as regras de um campo, na ordem em que serão executadas
+   * Ordem: schema JS (ou data-validate); regras implícitas dos atributos
+   * required (primeiro), type="email" e minlength (ao final) são adicionadas se faltarem.
+   * @param {HTMLElement} field - Campo
+   * @returns {Array<Object>} Regras normalizadas
+   */
+  getFieldRules(field) {
+    const declared = this.schema[field.name] || this.schema[field.id] || field.getAttribute('data-validate') || [];
+    const specs = typeof declared === 'string' ? declared.split('|').filter(Boolean) : declared;
+    const rules = specs.map(spec => FormValidator.parseRule(spec));
+    const has = (name) => rules.some(rule => rule.name === name);
+
+    if (field.hasAttribute('required') && !has('required')) {
+      rules.unshift({ name: 'required', params: [], message: null });
+    }
+    if (field.type === 'email' && !has('email')) {
+      rules.push({ name: 'email', params: [], message: null });
+    }
+    if (field.hasAttribute('minlength') && !has('minlength')) {
+      rules.push({ name: 'minlength', params: [field.getAttribute('minlength')], message: null });
+    }
+
+    // Mensagens customizadas no HTML: data-message-<regra>="..."
+    rules.forEach(rule => {
+      rule.message = rule.message || field.getAttribute(`data-message-${rule.name}`);
+    });
+
+    return rules;
   }
 
   /**
    * Anexa listeners aos campos do formulário
    */
   attachEventListeners() {
-    const inputs = this.form.querySelectorAll('input, select, textarea');
+    const inputs = this.form.querySelectorAll(FormValidator.FIELDS);
+    const { signal } = this.listeners;
     
     inputs.forEach(input => {
       // Validar ao sair do campo (blur)
       input.addEventListener('blur', () => {
+        clearTimeout(this.timers.get(input.id));
         this.validateField(input);
-      });
+      }, { signal });
 
-      // Limpar erro ao começar a digitar
+      // Limpar erro ao começar a digitar e reagendar validações com debounce
       input.addEventListener('input', () => {
+        this.cancelPendingValidation(input.id);
+
         if (this.errors.has(input.id)) {
           this.clearFieldError(input.id);
         }
-      });
+
+        const delay = this.getDebounceDelay(input);
+        if (delay !== null) {
+          this.timers.set(input.id, setTimeout(() => this.validateField(input), delay));
+        }
+
+        // Revalidar campos que dependem deste (ex: confirmação de e-mail)
+        this.getDependentFields(input.name)
+          .filter(dependent => this.touched.has(dependent.id))
+          .forEach(dependent => this.validateField(dependent));
+      }, { signal });
+
+      // Grupos de caixas de seleção: validar a cada opção marcada ou desmarcada
+      if (input.tagName === 'FIELDSET') {
+        input.addEventListener('change', () => this.validateField(input), { signal });
+      }
 
       // Armazenar referência do campo
       this.fields.set(input.id, input);
     });
 
     // Validar ao submeter o formulário
-    this.form.addEventListener('submit', (e) => {
+    this.form.addEventListener('submit', async (e) => {
       e.preventDefault();
-      
-      if (this.validateForm()) {
-        this.handleValidFormSubmit();
+
+      // Evitar envio duplo enquanto validações assíncronas terminam
+      if (this.submitting) return;
+      this.submitting = true;
+
+      try {
+        // No modo em etapas, enviar (ou Enter) antes da revisão apenas avança
+        if (this.wizard && !this.wizard.isLastStep()) {
+          await this.wizard.next();
+          return;
+        }
+
+        if (await this.validateForm()) {
+          await this.handleValidFormSubmit();
+        } else if (this.wizard) {
+          this.wizard.showFirstInvalid();
+        }
+      } catch (error) {
+        console.error('Erro ao enviar o formulário:', error);
+        this.showMessage('error-message', window.i18n.t('form.failed'), { timeout: 0 });
+      } finally {
+        this.submitting = false;
       }
-    });
+    }, { signal });
+
+    // Trocar o idioma das mensagens de erro já exibidas
+    window.addEventListener('localeChange', () => {
+      Array.from(this.errors.keys()).forEach(fieldId => this.validateField(this.fields.get(fieldId)));
+    }, { signal });
+  }
+
+  /**
+   * Obtém o debounce (ms) das regras do campo que rodam durante a digitação
+   * @param {HTMLElement} field - Campo
+   * @returns {number|null} Maior debounce entre as regras ou null se nenhuma roda ao digitar
+   */
+  getDebounceDelay(field) {
+    const delays = this.getFieldRules(field)
+      .map(rule => this.validators.get(rule.name))
+      .filter(validator => validator && validator.debounce !== null)
+      .map(validator => validator.debounce);
+
+    return delays.length ? Math.max(...delays) : null;
+  }
+
+  /**
+   * Cancela a validação agendada e a verificação assíncrona em andamento de um campo
+   * @param {string} fieldId - ID do campo
+   */
+  cancelPendingValidation(fieldId) {
+    clearTimeout(this.timers.get(fieldId));
+    this.timers.delete(fieldId);
+
+    const pending = this.pending.get(fieldId);
+    if (pending) {
+      pending.controller.abort();
+      this.pending.delete(fieldId);
+      this.setFieldValidating(fieldId, false);
+    }
+  }
+
+  /**
+   * Remove os listeners do formulário (usado ao sair da página no SPA)
+   */
+  destroy() {
+    Array.from(this.fields.keys()).forEach(fieldId => this.cancelPendingValidation(fieldId));
+    this.listeners.abort();
+    this.fields.clear();
+    this.errors.clear();
+    this.errorSources.clear();
+    this.touched.clear();
   }
 
   /**
    * Valida um campo específico
+   * Se uma validação mais nova do mesmo campo começar antes desta terminar,
+   * esta é cancelada e o resultado retornado passa a ser o da mais nova.
    * @param {HTMLElement} field - Campo a validar
-   * @returns {boolean} Se o campo é válido
+   * @returns {Promise<boolean>} Se o campo é válido
    */
-  validateField(field) {
+  async validateField(field) {
     const fieldId = field.id;
-    const value = field.value;
-    let error = null;
+    const value = this.getFieldValue(field);
 
-    // Validar campo obrigatório
-    if (field.hasAttribute('required')) {
-      const requiredError = this.validators.get('required')(value);
-      if (requiredError) {
-        error = requiredError;
-      }
-    }
+    this.cancelPendingValidation(fieldId);
 
-    // Se não há erro de obrigatoriedade e o campo tem valor, validar tipo
-    if (!error && value) {
-      const fieldType = field.type || field.tagName.toLowerCase();
-      
-      if (fieldType === 'email') {
-        error = this.validators.get('email')(value);
-      } else if (fieldId === 'cpf') {
-        error = this.validators.get('cpf')(value);
-      } else if (fieldId === 'telefone') {
-        error = this.validators.get('telefone')(value);
-      } else if (fieldId === 'cep') {
-        error = this.validators.get('cep')(value);
-      } else if (fieldId === 'nasc') {
-        error = this.validators.get('nasc')(value);
-      } else if (fieldId === 'estado') {
-        error = this.validators.get('estado')(value);
-      }
+    this.touched.add(fieldId);
+
+    const controller = new AbortController();
+    const context = { field, form: this.form, validator: this, signal: controller.signal };
+    const promise = this.runFieldRules(field, value, context);
 
-      // Validar minlength
-      if (!error && field.hasAttribute('minlength')) {
-        const minLength = parseInt(field.getAttribute('minlength'));
-        error = this.validators.get('minlength')(value, minLength);
+    this.pending.set(fieldId, { controller, promise });
+
+    let error;
+    try {
+      ({ error } = await promise);
+    } catch (failure) {
+      // Validador com erro (ex: serviço indisponível): o campo não fica
+      // preso em "validando" e o envio é bloqueado até uma nova tentativa
+      console.error(`Erro ao validar o campo "${fieldId}":`, failure);
+      error = { message: window.i18n.t('validation.failed'), source: 'field' };
+    } finally {
+      if (this.pending.has(fieldId) && this.pending.get(fieldId).controller === controller) {
+        this.pending.delete(fieldId);
+        this.setFieldValidating(fieldId, false);
       }
     }
 
+    // Resultado obsoleto: o valor mudou durante a verificação
+    if (controller.signal.aborted) {
+      const newer = this.pending.get(fieldId);
+      return newer ? newer.promise.then(result => !result.error, () => false) : !this.errors.has(fieldId);
+    }
+
     // Exibir ou limpar erro
     if (error) {
-      this.showFieldError(fieldId, error);
+      this.showFieldError(fieldId, error.message);
+      this.errorSources.set(fieldId, error.source);
       return false;
     } else {
       this.clearFieldError(fieldId);
@@ -244,20 +605,152 @@ class FormValidator {
   }
 
   /**
-   * Valida todo o formulário
-   * @returns {boolean} Se o formulário é válido
+   * Executa as regras de um campo em ordem, parando no primeiro erro,
+   * e em seguida as regras entre campos que o envolvem
+   * Regras assíncronas colocam o campo no estado "validando" até terminarem.
+   * @param {HTMLElement} field - Campo
+   * @param {string} value - Valor a validar
+   * @param {Object} context - { field, form, validator, signal }
+   * @returns {Promise<{error: Object|null}>} Erro ({ message, source }) ou null
    */
-  validateForm() {
-    let isValid = true;
-    const inputs = this.form.querySelectorAll('input, select, textarea');
+  async runFieldRules(field, value, context) {
+    for (const rule of this.getFieldRules(field)) {
+      const validator = this.validators.get(rule.name);
 
-    inputs.forEach(input => {
-      if (!this.validateField(input)) {
-        isValid = false;
+      if (!validator) {
+        console.warn(`Validador "${rule.name}" não registrado (campo "${field.id}")`);
+        continue;
       }
-    });
 
-    return isValid;
+      if (FormValidator.isEmpty(value) && !validator.runOnEmpty) continue;
+
+      let message = validator.fn(value, rule.params, context);
+
+      if (message && typeof message.then === 'function') {
+        const pendingMessage = typeof validator.pendingMessage === 'function' ? validator.pendingMessage() : validator.pendingMessage;
+        this.setFieldValidating(field.id, true, pendingMessage || undefined);
+        message = await message;
+      }
+
+      if (context.signal.aborted) return { error: null };
+
+      if (message) {
+        // Com o valor inválido, as regras entre campos não se aplicam
+        this.applyCrossRuleErrors(field.name, {});
+        return { error: { message: rule.message || message, source: 'field' } };
+      }
+    }
+
+    return this.runCrossRules(field, context);
+  }
+
+  /**
+   * Executa as regras entre campos que envolvem um campo
+   * Erros apontados para outros campos são exibidos neles (se já foram validados).
+   * @param {HTMLElement} field - Campo sendo validado
+   * @param {Object} context - { field, form, validator, signal }
+   * @returns {Promise<{error: Object|null}>} Erro do próprio campo ou null
+   */
+  async runCrossRules(field, context) {
+    const values = this.getValues();
+    const results = {};
+    let error = null;
+
+    for (const rule of this.crossRules.filter(crossRule => crossRule.fields.includes(field.name))) {
+      let result = rule.validate(values, context);
+
+      if (result && typeof result.then === 'function') {
+        this.setFieldValidating(field.id, true);
+        result = await result;
+      }
+
+      if (context.signal.aborted) return { error: null };
+
+      const messages = typeof result === 'string'
+        ? Object.fromEntries(rule.fields.map(name => [name, result]))
+        : (result || {});
+
+      results[rule.name] = messages;
+
+      if (!error && messages[field.name]) {
+        error = { message: rule.message || messages[field.name], source: rule.name };
+      }
+    }
+
+    this.applyCrossRuleErrors(field.name, results);
+    return { error };
+  }
+
+  /**
+   * Exibe ou limpa, nos outros campos, os erros das regras entre campos
+   * @param {string} originName - Campo que originou a validação (tratado por validateField)
+   * @param {Object} results - Mensagens por regra: { nomeDaRegra: { nomeDoCampo: mensagem } }
+   */
+  applyCrossRuleErrors(originName, results) {
+    this.crossRules
+      .filter(rule => rule.fields.includes(originName))
+      .forEach(rule => {
+        const messages = results[rule.name] || {};
+
+        rule.fields.filter(name => name !== originName).forEach(name => {
+          const other = this.form.elements.namedItem(name);
+          if (!other || !this.touched.has(other.id)) return;
+
+          if (messages[name]) {
+            this.showFieldError(other.id, rule.message || messages[name]);
+            this.errorSources.set(other.id, rule.name);
+          } else if (this.errorSources.get(other.id) === rule.name) {
+            this.clearFieldError(other.id);
+          }
+        });
+      });
+  }
+
+  /**
+   * Valida todo o formulário, aguardando as validações assíncronas
+   * @returns {Promise<boolean>} Se o formulário é válido
+   */
+  async validateForm() {
+    return this.validateFields(this.form);
+  }
+
+  /**
+   * Valida os campos contidos em um elemento (ex: uma etapa do formulário)
+   * @param {HTMLElement} container - Elemento com os campos
+   * @returns {Promise<boolean>} Se todos os campos são válidos
+   */
+  async validateFields(container) {
+    const inputs = Array.from(container.querySelectorAll(FormValidator.FIELDS));
+    const results = await Promise.all(inputs.map(input => this.validateField(input)));
+
+    return results.every(Boolean);
+  }
+
+  /**
+   * Marca ou desmarca um campo como "validando" (verificação assíncrona em andamento)
+   * @param {string} fieldId - ID do campo
+   * @param {boolean} validating - Se a verificação está em andamento
+   * @param {string} [message] - Texto exibido durante a verificação (padrão: 'Validando…' no idioma atual)
+   */
+  setFieldValidating(fieldId, validating, message = window.i18n.t('validation.pending')) {
+    const field = this.fields.get(fieldId);
+    if (!field) return;
+
+    field.classList.toggle('is-validating', validating);
+    field.setAttribute('aria-busy', String(validating));
+
+    const existingStatus = field.parentElement.querySelector('.form-field__status');
+    if (existingStatus) {
+      existingStatus.remove();
+    }
+
+    if (validating) {
+      const status = document.createElement('span');
+      status.className = 'form-field__status';
+      status.setAttribute('aria-live', 'polite');
+      status.textContent = message;
+      field.parentElement.appendChild(status);
+    }
   }
 
   /**
@@ -301,6 +794,7 @@ class FormValidator {
     if (!field) return;
 
     this.errors.delete(fieldId);
+    this.errorSources.delete(fieldId);
 
     // Remover classe de erro
     field.classList.remove('is-invalid');
@@ -318,120 +812,446 @@ class FormValidator {
 
   /**
    * Handler para envio de formulário válido
+   * O endereço vem do atributo data-endpoint do formulário (relativo à raiz do
+   * site ou absoluto, ex: data-endpoint="api/cadastros"). Os dados são enviados
+   * ao servidor por window.submissionClient, ou ficam na fila se estiver sem
+   * conexão. Salvar no dispositivo é só a alternativa: vale para formulários
+   * sem data-endpoint e para servidores sem o endereço (404/405, como num site
+   * estático). Com um submitHandler definido, os valores são entregues a ele e
+   * nada é enviado nem salvo.
    */
-  handleValidFormSubmit() {
-    // Coletar dados do formulário
-    const formData = new FormData(this.form);
-    const data = Object.fromEntries(formData);
+  async handleValidFormSubmit() {
+    if (this.submitHandler) {
+      await this.submitHandler(this.getValues());
+      return;
+    }
+
+    // Coletar dados do formulário (campos com máscara são salvos sem ela)
+    const data = this.getValues();
+    const storable = this.applyStorageConsent(data);
+    const endpoint = this.form.dataset.endpoint;
+    let result = null;
+
+    if (endpoint && window.submissionClient) {
+      this.setFormPending(true);
+
+      try {
+        result = await window.submissionClient.submit(endpoint, data, { persist: storable });
+      } catch (error) {
+        if (error.status === 404 || error.status === 405) {
+          console.warn(`Endereço de envio "${endpoint}" indisponível; os dados serão apenas salvos localmente.`);
+        } else {
+          // Dados recusados: o formulário continua preenchido para correção
+          this.showMessage('error-message', window.i18n.t('form.rejected', { reason: error.message }), { timeout: 0 });
+          return;
+        }
+      } finally {
+        this.setFormPending(false);
+      }
+    }
+
+    // Sem envio ao servidor, salvar no armazenamento local (se o titular consentiu)
+    const saved = !result && storable && await this.saveFormData(data);
+
+    // Nem enviado nem salvo: o formulário continua preenchido
+    if (!result && !saved) {
+      this.showMessage('warning-message', window.i18n.t('form.notStored'), { timeout: 0 });
+      return;
+    }
 
-    // Salvar no localStorage
-    this.saveFormData(data);
+    // "Apagar meus dados" encontra os envios desta sessão pelo e-mail (ver js/cadastro.js)
+    this.rememberSubmission({ email: data.email });
 
-    // Exibir mensagem de sucesso
-    this.showSuccessMessage();
+    // Exibir mensagem de sucesso (ou de envio pendente)
+    if (!result) {
+      this.showSuccessMessage();
+    } else if (result.status === 'queued') {
+      // Sem gravação no dispositivo, o reenvio depende da página continuar aberta
+      this.showMessage('warning-message', window.i18n.t(result.stored ? 'form.queued' : 'form.queuedSession'));
+    } else {
+      this.showSuccessMessage(window.i18n.t('form.sent'));
+    }
+
+    // Avisar outros módulos (ex: rascunho) de que o formulário foi enviado
+    this.form.dispatchEvent(new CustomEvent('formSubmitted', { detail: { data, result } }));
 
-    // Limpar formulário
+    // Limpar formulário (o consentimento é pedido de novo a cada envio)
     this.form.reset();
 
     // Limpar erros
     this.errors.clear();
+    this.errorSources.clear();
+    this.touched.clear();
   }
 
   /**
-   * Salva dados do formulário no localStorage
-   * @param {Object} data - Dados do formulário
+   * Chave dos dados do formulário no armazenamento
+   * @param {string} suffix - 'submissions' (histórico), 'current' (últimos dados
+   *   enviados, guardados apenas em formulários com data-autofill) ou 'session'
+   *   (envios desta sessão, no sessionStorage)
+   * @returns {string}
    */
-  saveFormData(data) {
+  getStorageKey(suffix) {
     const formName = this.form.id || 'form-data';
-    const timestamp = new Date().toISOString();
-    
-    // Recuperar dados anteriores
-    const storageKey = `${formName}-submissions`;
-    let submissions = JSON.parse(localStorage.getItem(storageKey)) || [];
-    
-    // Adicionar novo envio
-    submissions.push({
+    return `${formName}-${suffix}`;
+  }
+
+  /**
+   * Importa para o armazenamento criptografado os dados gravados sem
+   * criptografia por versões anteriores do site
+   */
+  async adoptLegacyStorage() {
+    await this.history.adoptLegacy();
+
+    if (this.form.hasAttribute('data-autofill')) {
+      await window.secureStorage.adoptPlaintext(this.getStorageKey('current'), this.getStorageKey('current'));
+    } else {
+      localStorage.removeItem(this.getStorageKey('current'));
+    }
+  }
+
+  /**
+   * Salva dados do formulário no armazenamento criptografado
+   * Quem chama confere antes o consentimento do titular (ver applyStorageConsent).
+   * @param {Object} data - Dados do formulário
+   * @returns {Promise<boolean>} Se os dados foram gravados
+   */
+  async saveFormData(data) {
+    // O histórico é mantido inteiro, até o prazo de retenção, e pode ser
+    // gerenciado no painel de voluntários (js/volunteers.js)
+    const record = {
       ...data,
-      timestamp: timestamp
-    });
+      timestamp: new Date().toISOString()
+    };
+    const saved = await this.history.add(record);
+
+    if (saved) {
+      this.rememberSubmission({ timestamp: record.timestamp });
+    }
 
-    // Limitar a 10 últimos envios
-    if (submissions.length > 10) {
-      submissions = submissions.slice(-10);
+    // Também salvar os dados atuais para preenchimento automático, se o
+    // formulário pedir (data-autofill); formulários preenchidos por pessoas
+    // diferentes no mesmo aparelho, como o cadastro, não o usam
+    if (saved && this.form.hasAttribute('data-autofill')) {
+      await window.secureStorage.setItem(this.getStorageKey('current'), data);
     }
 
-    // Salvar no localStorage
-    localStorage.setItem(storageKey, JSON.stringify(submissions));
+    return saved;
+  }
+
+  /**
+   * Envios feitos nesta sessão do navegador (guardados no sessionStorage)
+   * Permitem apagar os dados de quem está usando o formulário sem tocar nos de
+   * outras pessoas no mesmo dispositivo.
+   * @returns {{timestamps: Array<string>, emails: Array<string>}} Datas dos envios
+   *   salvos no histórico e e-mails enviados (normalizados)
+   */
+  getSessionSubmissions() {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(this.getStorageKey('session')));
+      if (saved && Array.isArray(saved.timestamps) && Array.isArray(saved.emails)) return saved;
+    } catch (error) {
+      // Registro ilegível: tratado como sessão sem envios
+    }
+    return { timestamps: [], emails: [] };
+  }
+
+  /**
+   * Registra um envio desta sessão (ver getSessionSubmissions)
+   * @param {Object} submission
+   * @param {string} [submission.timestamp] - Data do envio salvo no histórico
+   * @param {string} [submission.email] - E-mail enviado
+   */
+  rememberSubmission({ timestamp, email }) {
+    const session = this.getSessionSubmissions();
+    const normalized = SubmissionHistory.normalize(email);
+
+    if (timestamp && !session.timestamps.includes(timestamp)) session.timestamps.push(timestamp);
+    if (normalized && !session.emails.includes(normalized)) session.emails.push(normalized);
+
+    sessionStorage.setItem(this.getStorageKey('session'), JSON.stringify(session));
+  }
+
+  /**
+   * Esquece os envios desta sessão
+   */
+  forgetSessionSubmissions() {
+    sessionStorage.removeItem(this.getStorageKey('session'));
+  }
+
+  /**
+   * Obtém histórico de envios, sem os que passaram do prazo de retenção
+   * @returns {Promise<Array>} Array com histórico de envios (ver SubmissionHistory)
+   */
+  getSubmissionHistory() {
+    return this.history.list();
+  }
+
+  /**
+   * Limpa histórico de envios
+   * @returns {Promise<boolean>} Se o histórico vazio foi gravado
+   */
+  clearSubmissionHistory() {
+    return this.history.save([]);
+  }
+
+  /**
+   * Aplica a escolha do titular no campo de consentimento do formulário
+   * O campo é indicado por data-storage-consent="nome" e vale apenas para este
+   * envio: marcado, o envio pode ser salvo; desmarcado, não é salvo, e os dados
+   * de outras pessoas guardados no dispositivo continuam como estão. Nada fica
+   * registrado para os próximos envios. O campo não é enviado nem salvo.
+   * @param {Object} data - Dados do formulário (o campo de consentimento é removido)
+   * @returns {boolean} Se o envio pode ser salvo (sempre, sem o campo)
+   */
+  applyStorageConsent(data) {
+    const consentName = this.form.dataset.storageConsent;
+    if (!consentName) return true;
 
-    // Também salvar os dados atuais para preenchimento automático
-    localStorage.setItem(`${formName}-current`, JSON.stringify(data));
+    const consented = Boolean(data[consentName]);
+    delete data[consentName];
+    return consented;
   }
 
   /**
    * Exibe mensagem de sucesso
+   * @param {string} [message] - Texto da mensagem (padrão: envio salvo localmente, no idioma atual)
+   */
+  showSuccessMessage(message = window.i18n.t('form.saved')) {
+    this.showMessage('success-message', message);
+  }
+
+  /**
+   * Exibe acima do formulário uma mensagem renderizada por um template
+   * (success-message, warning-message ou error-message), substituindo a anterior
+   * @param {string} templateName - Nome do template
+   * @param {string} message - Texto da mensagem
+   * @param {Object} [options]
+   * @param {number} [options.timeout=5000] - Remover após esse tempo em ms (0 mantém a mensagem)
    */
-  showSuccessMessage() {
-    const successDiv = document.createElement('div');
-    successDiv.className = 'alert alert-success';
-    successDiv.setAttribute('role', 'alert');
-    successDiv.innerHTML = `
-      <strong>Sucesso!</strong> Formulário enviado com sucesso. Os dados foram salvos localmente.
-    `;
+  showMessage(templateName, message, { timeout = 5000 } = {}) {
+    const existingMessage = this.form.parentElement.querySelector('.form-feedback');
+    if (existingMessage) {
+      existingMessage.remove();
+    }
+
+    const feedback = document.createElement('div');
+    feedback.className = 'form-feedback';
+    feedback.innerHTML = window.templateEngine.render(templateName, { message });
 
     // Inserir antes do formulário
-    this.form.parentElement.insertBefore(successDiv, this.form);
+    this.form.parentElement.insertBefore(feedback, this.form);
+
+    if (timeout) {
+      setTimeout(() => feedback.remove(), timeout);
+    }
+  }
+
+  /**
+   * Marca o formulário como "enviando": desabilita o botão e troca o texto dele
+   * @param {boolean} pending - Se o envio está em andamento
+   */
+  setFormPending(pending) {
+    const button = this.form.querySelector('[type="submit"]');
+    this.form.setAttribute('aria-busy', String(pending));
+
+    if (!button) return;
 
-    // Remover mensagem após 5 segundos
-    setTimeout(() => {
-      successDiv.remove();
-    }, 5000);
+    if (pending) {
+      button.dataset.label = button.textContent;
+      button.textContent = window.i18n.t('form.sending');
+    } else if (button.dataset.label) {
+      button.textContent = button.dataset.label;
+      delete button.dataset.label;
+    }
+    button.disabled = pending;
   }
 
   /**
    * Carrega dados salvos do formulário
+   * Só preenche formulários com data-autofill; nos demais, os últimos dados
+   * enviados guardados por versões anteriores são apagados. Campos que o
+   * usuário já começou a preencher não são alterados.
    */
-  loadFormData() {
-    const formName = this.form.id || 'form-data';
-    const storageKey = `${formName}-current`;
-    const savedData = JSON.parse(localStorage.getItem(storageKey));
+  async loadFormData() {
+    await this.adoptLegacyStorage();
+
+    if (!this.form.hasAttribute('data-autofill')) {
+      window.secureStorage.removeItem(this.getStorageKey('current'));
+      return;
+    }
+
+    const savedData = await window.secureStorage.getItem(this.getStorageKey('current'));
 
     if (savedData) {
       Object.keys(savedData).forEach(key => {
         const field = this.fields.get(key);
-        if (field) {
+        if (!field) return;
+
+        if (field.tagName === 'FIELDSET') {
+          if (!this.getFieldValue(field).length) {
+            FormValidator.setGroupValue(field, savedData[key]);
+          }
+          return;
+        }
+
+        if (field.value) return;
+
+        if (window.inputMasks) {
+          window.inputMasks.setValue(field, savedData[key]);
+        } else {
           field.value = savedData[key];
         }
       });
     }
   }
 
+}
+
+/**
+ * Histórico de envios de um formulário no armazenamento seguro
+ * Cada envio é identificado pela data de envio (timestamp). É o único acesso
+ * ao histórico, usado pelo FormValidator. O cadastro de voluntários usa a
+ * extensão VolunteerRegistry, que cifra os envios para a coordenação.
+ */
+class SubmissionHistory {
   /**
-   * Obtém histórico de envios
-   * @returns {Array} Array com histórico de envios
+   * Normaliza um valor para comparação (sem espaços nas pontas, em minúsculas)
+   * @param {string} text - Valor
+   * @param {Object} [options]
+   * @param {boolean} [options.digitsOnly=false] - Manter apenas os dígitos (CPF, telefone)
+   * @returns {string}
    */
-  getSubmissionHistory() {
-    const formName = this.form.id || 'form-data';
-    const storageKey = `${formName}-submissions`;
-    return JSON.parse(localStorage.getItem(storageKey)) || [];
+  static normalize(text, { digitsOnly = false } = {}) {
+    const clean = String(text || '').trim().toLowerCase();
+    return digitsOnly ? clean.replace(/\D/g, '') : clean;
   }
 
   /**
-   * Limpa histórico de envios
+   * @param {Object} options
+   * @param {string} options.key - Chave do histórico no armazenamento seguro
    */
-  clearSubmissionHistory() {
-    const formName = this.form.id || 'form-data';
-    const storageKey = `${formName}-submissions`;
-    localStorage.removeItem(storageKey);
+  constructor({ key }) {
+    this.key = key;
+  }
+
+  /**
+   * Importa o histórico gravado sem criptografia por versões anteriores do site
+   * @returns {Promise<void>}
+   */
+  adoptLegacy() {
+    return window.secureStorage.adoptPlaintext(this.key, this.key);
+  }
+
+  /**
+   * Lista os envios, sem os que passaram do prazo de retenção
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    await this.adoptLegacy();
+    const records = await window.secureStorage.getItem(this.key) || [];
+    return records.filter(record => !window.secureStorage.isExpired(record.timestamp));
+  }
+
+  /**
+   * Verifica se algum envio tem um valor em um campo (ver FormValidator.checkDuplicate)
+   * @param {string} fieldName - Nome do campo
+   * @param {string} value - Valor
+   * @param {Object} [options]
+   * @param {boolean} [options.digitsOnly=false] - Comparar apenas os dígitos
+   * @returns {Promise<boolean>}
+   */
+  async has(fieldName, value, { digitsOnly = false } = {}) {
+    const target = SubmissionHistory.normalize(value, { digitsOnly });
+    const records = await this.list();
+    return records.some(record => SubmissionHistory.normalize(record[fieldName], { digitsOnly }) === target);
+  }
+
+  /**
+   * Grava a lista de envios
+   * @param {Array<Object>} records - Envios
+   * @returns {Promise<boolean>} Se a lista foi gravada
+   */
+  save(records) {
+    return window.secureStorage.setItem(this.key, records);
+  }
+
+  /**
+   * Acrescenta um envio ao histórico
+   * @param {Object} record - Envio, com timestamp
+   * @returns {Promise<boolean>} Se o histórico foi gravado
+   */
+  async add(record) {
+    const records = await this.list();
+    records.push(record);
+    return this.save(records);
+  }
+
+  /**
+   * Altera um envio
+   * @param {string} timestamp - Data do envio
+   * @param {Object} changes - Campos alterados
+   * @returns {Promise<boolean>} Se o envio existe e foi gravado
+   */
+  async update(timestamp, changes) {
+    const records = await this.list();
+    const index = records.findIndex(record => record.timestamp === timestamp);
+    if (index === -1) return false;
+
+    records[index] = { ...records[index], ...changes, timestamp, updatedAt: new Date().toISOString() };
+    return this.save(records);
+  }
+
+  /**
+   * Exclui um envio
+   * @param {string} timestamp - Data do envio
+   * @returns {Promise<boolean>} Se a lista foi gravada
+   */
+  async remove(timestamp) {
+    const records = await this.list();
+    return this.save(records.filter(record => record.timestamp !== timestamp));
   }
 }
 
-// Inicializar validador quando o DOM estiver pronto
-document.addEventListener('DOMContentLoaded', () => {
-  const form = document.getElementById('cadastroForm');
-  if (form) {
-    window.formValidator = new FormValidator('#cadastroForm');
-    
-    // Tentar carregar dados salvos
-    window.formValidator.loadFormData();
+// Esquema 1 dos dados salvos: antes das máscaras com data-mask, CPF, telefones e
+// CEP eram guardados formatados; a partir do esquema 2, apenas os dígitos
+window.secureStorage.registerMigration(1, (value) => {
+  const stripMasks = (record) => {
+    const migrated = { ...record };
+    ['cpf', 'telefone', 'responsavelTelefone', 'cep'].forEach(name => {
+      if (typeof migrated[name] === 'string') {
+        migrated[name] = migrated[name].replace(/\D/g, '');
+      }
+    });
+    return migrated;
+  };
+
+  return Array.isArray(value) ? value.map(stripMasks) : stripMasks(value);
+});
+
+// Validadores ativos, por id do formulário
+window.formValidators = new Map();
+
+// Inicializar um validador para cada formulário com data-validator em qualquer página
+window.pageModules.register('*', {
+  mount({ container }) {
+    container.querySelectorAll('form[data-validator]').forEach(form => {
+      const validator = new FormValidator(form);
+      window.formValidators.set(form.id, validator);
+
+      // Tentar carregar dados salvos
+      validator.loadFormData().catch(error => {
+        console.warn(`Não foi possível carregar os dados salvos de "${form.id}":`, error);
+      });
+    });
+
+    // Atalho mantido para o formulário de cadastro
+    window.formValidator = window.formValidators.get('cadastroForm') || null;
+  },
+
+  unmount() {
+    window.formValidators.forEach(validator => validator.destroy());
+    window.formValidators.clear();
+    window.formValidator = null;
   }
 });
@@ -0,0 +1,1128 @@
+// js/volunteers.js - Painel dos voluntários cadastrados neste dispositivo
+
+/**
+ * Erro na importação de um backup
+ * code: 'invalid' (arquivo que não é um backup do painel) ou 'storage' (os
+ * dados não puderam ser gravados: sem Web Crypto ou IndexedDB)
+ */
+class VolunteerImportError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'VolunteerImportError';
+    this.code = code;
+  }
+}
+
+/**
+ * Monta o validador do formulário de edição de um cadastro (template volunteer-editor)
+ * São as regras do cadastro: as dos campos, as regras entre campos (CEP e
+ * estado, responsável de menores: ver registerCadastroRules em js/cadastro.js)
+ * e o e-mail único entre os demais cadastros.
+ * @param {HTMLFormElement} form - Formulário renderizado com o cadastro
+ * @param {Object} record - Cadastro
+ * @param {Array<Object>} others - Demais cadastros (o próprio não conta para o e-mail único)
+ * @returns {FormValidator}
+ */
+function createVolunteerValidator(form, record, others) {
+  form.elements.namedItem('estado').value = record.estado || '';
+  window.inputMasks.applyAll(form);
+
+  const validator = new FormValidator(form);
+  registerCadastroRules(validator);
+
+  const normalize = (text) => String(text || '').trim().toLowerCase();
+  validator.checkDuplicate = async (fieldName, value) => {
+    return others.some(item => normalize(item[fieldName]) === normalize(value));
+  };
+
+  return validator;
+}
+
+/**
+ * Cadastros de voluntários guardados no armazenamento seguro
+ * É o histórico de envios do formulário de cadastro (ver SubmissionHistory e
+ * FormValidator.saveFormData), com importação e exportação. Cada cadastro só
+ * chega aqui com o consentimento do próprio voluntário, dado no envio.
+ *
+ * Cada cadastro é guardado cifrado com a chave pública da coordenação (ver
+ * CoordinatorAccess): o formulário grava sem a frase de acesso, mas só o
+ * painel liberado lê. Fora dessa cifra, protegidos apenas pela chave do
+ * dispositivo, ficam a data de envio, os projetos escolhidos (para a contagem
+ * do catálogo) e as impressões digitais do e-mail e do CPF (para recusar
+ * cadastros repetidos):
+ *   { timestamp, projetos, keys: { email, cpf }, sealed }
+ * Antes de a coordenação definir a frase, o cadastro fica em record, sem a
+ * cifra da coordenação, e é cifrado assim que a chave existir.
+ */
+class VolunteerRegistry extends SubmissionHistory {
+  // Campos de texto e listas de um cadastro (conferidos na importação)
+  static TEXT_FIELDS = ['nome', 'email', 'cpf', 'telefone', 'nasc', 'responsavelNome', 'responsavelTelefone',
+    'endereco', 'cep', 'cidade', 'estado'];
+  static LIST_FIELDS = ['projetos', 'dias', 'turnos'];
+
+  // Campos que identificam o voluntário, com a normalização da comparação
+  static IDENTITY_FIELDS = { email: {}, cpf: { digitsOnly: true } };
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.key='cadastroForm-submissions'] - Chave do histórico no armazenamento seguro
+   * @param {CoordinatorAccess} [options.access=window.coordinatorAccess] - Chave da coordenação
+   */
+  constructor({ key = 'cadastroForm-submissions', access = window.coordinatorAccess } = {}) {
+    super({ key });
+    this.access = access;
+  }
+
+  /**
+   * Lista os cadastros, decifrados
+   * @returns {Promise<Array<Object>>}
+   * @throws {Error} Se houver cadastros cifrados e o painel não estiver liberado
+   */
+  async list() {
+    const records = [];
+
+    for (const entry of await this.entries()) {
+      records.push(entry.record || await this.access.open(entry.sealed));
+    }
+
+    return records;
+  }
+
+  /**
+   * Grava a lista de cadastros, cifrando cada um
+   * @param {Array<Object>} records - Cadastros
+   * @returns {Promise<boolean>} Se a lista foi gravada
+   */
+  async save(records) {
+    if (!SecureStorage.isSupported()) return false;
+
+    const entries = [];
+
+    for (const record of records) {
+      entries.push(await this.toEntry(record));
+    }
+
+    return this.saveEntries(entries);
+  }
+
+  /**
+   * Acrescenta um cadastro (não exige o painel liberado)
+   * @param {Object} record - Cadastro, com timestamp
+   * @returns {Promise<boolean>} Se o histórico foi gravado
+   */
+  async add(record) {
+    if (!SecureStorage.isSupported()) return false;
+
+    const entries = await this.entries();
+    entries.push(await this.toEntry(record));
+    return this.saveEntries(entries);
+  }
+
+  /**
+   * Exclui um cadastro (não exige o painel liberado)
+   * @param {string} timestamp - Data do envio
+   * @returns {Promise<boolean>} Se a lista foi gravada
+   */
+  async remove(timestamp) {
+    const entries = await this.entries();
+    return this.saveEntries(entries.filter(entry => entry.timestamp !== timestamp));
+  }
+
+  /**
+   * Verifica se algum cadastro tem um e-mail ou CPF, pela impressão digital
+   * (não exige o painel liberado; os demais campos, sim)
+   * @param {string} fieldName - Nome do campo
+   * @param {string} value - Valor
+   * @param {Object} [options] - Ver SubmissionHistory.has
+   * @returns {Promise<boolean>}
+   */
+  async has(fieldName, value, options) {
+    const identity = VolunteerRegistry.IDENTITY_FIELDS[fieldName];
+    if (!identity) return super.has(fieldName, value, options);
+
+    const entries = await this.entries();
+    if (!entries.length) return false;
+
+    const target = await window.secureStorage.fingerprint(SubmissionHistory.normalize(value, identity));
+    return entries.some(entry => entry.keys[fieldName] === target);
+  }
+
+  /**
+   * Resume os cadastros sem decifrá-los (não exige o painel liberado)
+   * @returns {Promise<Array<{timestamp: string, projetos: Array<string>, keys: Object}>>}
+   */
+  async summaries() {
+    return (await this.entries()).map(({ timestamp, projetos, keys }) => ({ timestamp, projetos, keys }));
+  }
+
+  /**
+   * Cifra com a chave da coordenação os cadastros gravados antes de ela existir
+   * @returns {Promise<boolean>} Se não há mais cadastros pendentes
+   */
+  async sealPending() {
+    const entries = await this.entries();
+    if (!entries.some(entry => entry.record)) return true;
+
+    return this.saveEntries(entries);
+  }
+
+  /**
+   * Lê as entradas guardadas, sem as vencidas
+   * Cadastros gravados por versões anteriores, sem entrada, são convertidos.
+   * @returns {Promise<Array<Object>>}
+   */
+  async entries() {
+    await this.adoptLegacy();
+    const stored = await window.secureStorage.getItem(this.key) || [];
+    const entries = [];
+
+    for (const item of stored) {
+      if (!item || window.secureStorage.isExpired(item.timestamp)) continue;
+      entries.push(item.keys ? item : await this.toEntry(item));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Grava as entradas, cifrando para a coordenação as que ainda não foram
+   * @param {Array<Object>} entries - Entradas
+   * @returns {Promise<boolean>} Se a lista foi gravada
+   */
+  async saveEntries(entries) {
+    const stored = [];
+
+    for (const entry of entries) {
+      if (entry.record && this.access.isConfigured()) {
+        const { record, ...summary } = entry;
+        stored.push({ ...summary, sealed: await this.access.seal(record) });
+      } else {
+        stored.push(entry);
+      }
+    }
+
+    return window.secureStorage.setItem(this.key, stored);
+  }
+
+  /**
+   * Monta a entrada de um cadastro, ainda sem a cifra da coordenação
+   * @param {Object} record - Cadastro
+   * @returns {Promise<Object>}
+   */
+  async toEntry(record) {
+    const keys = {};
+
+    for (const [name, identity] of Object.entries(VolunteerRegistry.IDENTITY_FIELDS)) {
+      const value = SubmissionHistory.normalize(record[name], identity);
+      if (value) {
+        keys[name] = await window.secureStorage.fingerprint(value);
+      }
+    }
+
+    return { timestamp: record.timestamp, projetos: [].concat(record.projetos || []), keys, record };
+  }
+
+  /**
+   * Monta o backup JSON de uma lista de cadastros
+   * A versão do esquema permite migrar backups antigos na importação.
+   * @param {Array<Object>} records - Cadastros
+   * @returns {string}
+   */
+  static toJson(records) {
+    return JSON.stringify({
+      version: SecureStorage.VERSION,
+      exportedAt: new Date().toISOString(),
+      volunteers: records
+    }, null, 2);
+  }
+
+  /**
+   * Importa cadastros de um backup JSON (ver toJson; uma lista simples também é aceita)
+   * Cada cadastro passa pelas regras do formulário de edição (ver validate).
+   * Os recusados são informados em skipped, com o motivo: 'duplicate' (mesma
+   * data de envio de um cadastro existente), 'expired' (fora do prazo de
+   * retenção) ou 'invalid' (com os erros por campo).
+   * @param {string} text - Conteúdo do arquivo
+   * @returns {Promise<{added: number, skipped: Array<{index: number, nome: string, reason: string, errors: Object}>}>}
+   * @throws {VolunteerImportError}
+   */
+  async import(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new VolunteerImportError('invalid', 'O arquivo não é um JSON válido.');
+    }
+
+    const version = Array.isArray(backup) ? SecureStorage.VERSION : backup && backup.version;
+    let incoming = Array.isArray(backup) ? backup : backup && backup.volunteers;
+
+    if (!Array.isArray(incoming) || !Number.isInteger(version) || version > SecureStorage.VERSION) {
+      throw new VolunteerImportError('invalid', 'Formato de backup não reconhecido.');
+    }
+
+    if (version < SecureStorage.VERSION) {
+      incoming = window.secureStorage.migrate(incoming, version, this.key);
+    }
+
+    const records = await this.list();
+    const known = new Set(records.map(record => record.timestamp));
+    const added = [];
+    const skipped = [];
+
+    for (const [index, record] of incoming.entries()) {
+      const skip = (reason, errors = {}) => {
+        skipped.push({ index, nome: record && typeof record.nome === 'string' ? record.nome : '', reason, errors });
+      };
+
+      if (!record || typeof record !== 'object' || typeof record.timestamp !== 'string') {
+        skip('invalid');
+      } else if (known.has(record.timestamp)) {
+        skip('duplicate');
+      } else if (window.secureStorage.isExpired(record.timestamp)) {
+        skip('expired');
+      } else {
+        const errors = await VolunteerRegistry.validate(record, records.concat(added));
+
+        if (Object.keys(errors).length) {
+          skip('invalid', errors);
+        } else {
+          known.add(record.timestamp);
+          added.push(record);
+        }
+      }
+    }
+
+    if (added.length) {
+      const merged = records.concat(added).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      if (!(await this.save(merged))) {
+        throw new VolunteerImportError('storage', 'Não foi possível gravar os cadastros importados.');
+      }
+    }
+
+    return { added: added.length, skipped };
+  }
+
+  /**
+   * Confere um cadastro com as regras do formulário de edição do painel (ver
+   * createVolunteerValidator), mais o que o formulário não mostra: o CPF e as
+   * listas de projetos e disponibilidade
+   * @param {Object} record - Cadastro
+   * @param {Array<Object>} others - Demais cadastros (para o e-mail único)
+   * @returns {Promise<Object>} Erros por campo ({ nomeDoCampo: mensagem }); vazio se válido
+   */
+  static async validate(record, others) {
+    const errors = {};
+    const invalid = window.i18n.t('admin.invalidValue');
+
+    VolunteerRegistry.TEXT_FIELDS.forEach(name => {
+      if (record[name] !== undefined && typeof record[name] !== 'string') {
+        errors[name] = invalid;
+      }
+    });
+
+    VolunteerRegistry.LIST_FIELDS.forEach(name => {
+      const value = record[name];
+      if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+        errors[name] = invalid;
+      }
+    });
+
+    if (Object.keys(errors).length) return errors;
+
+    const container = document.createElement('div');
+    container.innerHTML = window.templateEngine.render('volunteer-editor', { record, states: VolunteerDashboard.STATES });
+    const validator = createVolunteerValidator(container.querySelector('form'), record, others);
+
+    try {
+      const cpfError = validator.validators.get('cpf').fn(record.cpf || '');
+      if (cpfError) {
+        errors.cpf = cpfError;
+      }
+
+      await validator.validateForm();
+      validator.errors.forEach((message, fieldId) => {
+        errors[validator.fields.get(fieldId).name] = message;
+      });
+    } finally {
+      validator.destroy();
+    }
+
+    return errors;
+  }
+}
+
+/**
+ * Chave da coordenação para os cadastros de voluntários
+ * No primeiro uso do painel neste dispositivo (admin.html), a coordenação
+ * define a frase de acesso e é criado um par de chaves RSA-OAEP. A chave
+ * pública fica no localStorage e cifra cada cadastro ao ser gravado (ver
+ * VolunteerRegistry); a privada fica cifrada com a frase (SecureStorage com
+ * frase secreta, PBKDF2) e só é decifrada, na memória, ao liberar o painel,
+ * até a página ser recarregada ou até "Sair". Nada disso fica no
+ * armazenamento seguro, para que "Apagar meus dados" de um voluntário não o
+ * remova.
+ *
+ * Não é controle de acesso ao dispositivo: quem usa o navegador antes da
+ * coordenação pode definir a frase, e quem apaga a chave pública pode definir
+ * outra. Os cadastros já cifrados continuam legíveis apenas com a frase
+ * original, mas os seguintes passam a ser cifrados para a nova chave.
+ */
+class CoordinatorAccess {
+  static MIN_LENGTH = 8;
+
+  // Par de chaves da coordenação
+  static ALGORITHM = { name: 'RSA-OAEP', modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey='coordinator-credential'] - Chave da chave pública no localStorage
+   * @param {string} [options.namespace='coordinator'] - Prefixo da chave privada cifrada no localStorage
+   * @param {number} [options.iterations=210000] - Iterações do PBKDF2
+   */
+  constructor({ storageKey = 'coordinator-credential', namespace = 'coordinator', iterations = 210000 } = {}) {
+    this.storageKey = storageKey;
+    this.namespace = namespace;
+    this.iterations = iterations;
+    this.privateKey = null;
+  }
+
+  /**
+   * Verifica se a frase de acesso já foi definida neste dispositivo
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.getCredential());
+  }
+
+  /**
+   * Verifica se o painel está liberado nesta página
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return Boolean(this.privateKey);
+  }
+
+  /**
+   * Lê a chave pública guardada
+   * @returns {Object|null} { publicKey (JWK), createdAt } ou null se não houver
+   */
+  getCredential() {
+    try {
+      const credential = JSON.parse(localStorage.getItem(this.storageKey));
+      return credential && credential.publicKey ? credential : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Define a frase de acesso e cria o par de chaves (apenas no primeiro uso) e libera o painel
+   * @param {string} passphrase - Frase de acesso
+   * @returns {Promise<void>}
+   */
+  async setup(passphrase) {
+    if (this.isConfigured()) {
+      throw new Error('A frase de acesso da coordenação já foi definida neste dispositivo');
+    }
+
+    if (String(passphrase).length < CoordinatorAccess.MIN_LENGTH) {
+      throw new Error(`A frase de acesso precisa de ao menos ${CoordinatorAccess.MIN_LENGTH} caracteres`);
+    }
+
+    const { publicKey, privateKey } = await window.crypto.subtle.generateKey(
+      CoordinatorAccess.ALGORITHM, true, ['wrapKey', 'unwrapKey']
+    );
+    const privateJwk = await window.crypto.subtle.exportKey('jwk', privateKey);
+
+    if (!(await this.vault(passphrase).setItem('private-key', privateJwk))) {
+      throw new Error('Não foi possível guardar a chave da coordenação');
+    }
+
+    localStorage.setItem(this.storageKey, JSON.stringify({
+      publicKey: await window.crypto.subtle.exportKey('jwk', publicKey),
+      createdAt: new Date().toISOString()
+    }));
+    this.privateKey = await CoordinatorAccess.importPrivateKey(privateJwk);
+  }
+
+  /**
+   * Libera o painel se a frase decifrar a chave privada
+   * @param {string} passphrase - Frase de acesso
+   * @returns {Promise<boolean>} Se a frase confere
+   */
+  async unlock(passphrase) {
+    if (!this.isConfigured()) return false;
+
+    const privateJwk = await this.vault(passphrase).getItem('private-key');
+    if (!privateJwk) return false;
+
+    this.privateKey = await CoordinatorAccess.importPrivateKey(privateJwk);
+    return true;
+  }
+
+  /**
+   * Bloqueia o painel novamente
+   */
+  lock() {
+    this.privateKey = null;
+  }
+
+  /**
+   * Cifra um valor para a coordenação (não exige o painel liberado)
+   * @param {*} value - Valor serializável em JSON
+   * @returns {Promise<Object>} Valor cifrado (ver SecureStorage.seal)
+   */
+  async seal(value) {
+    const publicKey = await window.crypto.subtle.importKey(
+      'jwk', this.getCredential().publicKey, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['wrapKey']
+    );
+    return SecureStorage.seal(value, publicKey);
+  }
+
+  /**
+   * Decifra um valor cifrado para a coordenação
+   * @param {Object} sealed - Valor cifrado
+   * @returns {Promise<*>} Valor
+   * @throws {Error} Se o painel não estiver liberado
+   */
+  open(sealed) {
+    if (!this.privateKey) {
+      return Promise.reject(new Error('O painel da coordenação está bloqueado'));
+    }
+    return SecureStorage.open(sealed, this.privateKey);
+  }
+
+  /**
+   * Armazenamento da chave privada, cifrado com a frase de acesso
+   * @param {string} passphrase - Frase de acesso
+   * @returns {SecureStorage}
+   */
+  vault(passphrase) {
+    return new SecureStorage({ namespace: this.namespace, passphrase, retentionDays: Infinity, iterations: this.iterations });
+  }
+
+  /**
+   * Importa a chave privada, sem permitir que seja exportada de novo
+   * @param {Object} jwk - Chave privada (JWK)
+   * @returns {Promise<CryptoKey>}
+   */
+  static importPrivateKey(jwk) {
+    return window.crypto.subtle.importKey('jwk', jwk, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['unwrapKey']);
+  }
+}
+
+/**
+ * Painel de voluntários
+ * Lista os cadastros guardados no dispositivo com busca, filtros por estado e
+ * faixa etária e ordenação pelas colunas; permite editar e excluir cadastros,
+ * exportar a lista exibida em CSV ou JSON, importar um backup JSON e apagar
+ * todos os dados do dispositivo.
+ */
+class VolunteerDashboard {
+  // Colunas da tabela; as ordenáveis têm a ordem inicial ao serem escolhidas
+  static COLUMNS = [
+    { key: 'nome', label: 'cadastro.nome', direction: 'ascending' },
+    { key: 'contato', label: 'admin.contact' },
+    { key: 'idade', label: 'admin.age', direction: 'ascending' },
+    { key: 'cidade', label: 'admin.place', direction: 'ascending' },
+    { key: 'projetos', label: 'cadastro.projetos' },
+    { key: 'timestamp', label: 'admin.submittedAt', direction: 'descending' }
+  ];
+
+  // Faixas etárias do filtro, em anos completos
+  static AGE_GROUPS = {
+    menor: [0, 17],
+    '18-29': [18, 29],
+    '30-59': [30, 59],
+    '60+': [60, Infinity]
+  };
+
+  static STATES = ['AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+    'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'];
+
+  /**
+   * @param {HTMLElement} element - Elemento [data-volunteer-admin]
+   * @param {VolunteerRegistry} registry - Cadastros
+   * @param {Object} [options]
+   * @param {number} [options.debounce=300] - Pausa na digitação antes de buscar (ms)
+   */
+  constructor(element, registry, { debounce = 300 } = {}) {
+    this.element = element;
+    this.registry = registry;
+    this.debounce = debounce;
+    this.form = element.querySelector('[data-admin-filters]');
+    this.records = [];
+    this.projects = [];
+    this.filters = { busca: '', uf: '', idade: '' };
+    this.sort = { key: 'timestamp', direction: 'descending' };
+    this.editor = null;
+    this.listeners = new AbortController();
+  }
+
+  /**
+   * Começa a responder aos filtros e às ações e exibe os cadastros
+   * @returns {Promise<void>}
+   */
+  async init() {
+    const { signal } = this.listeners;
+
+    this.form.addEventListener('input', (e) => {
+      if (e.target.name !== 'busca') return;
+
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.setFilters({ busca: e.target.value.trim() }), this.debounce);
+    }, { signal });
+
+    this.form.addEventListener('change', (e) => {
+      if (e.target.name !== 'busca') this.setFilters({ [e.target.name]: e.target.value });
+    }, { signal });
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      clearTimeout(this.timer);
+      this.setFilters(Object.fromEntries(new FormData(this.form)));
+    }, { signal });
+
+    this.element.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-admin-sort], [data-admin-edit], [data-admin-delete], [data-admin-export], [data-admin-cancel], [data-admin-lock], [data-admin-erase]');
+      if (!target) return;
+
+      if (target.hasAttribute('data-admin-lock')) {
+        window.coordinatorAccess.lock();
+        window.spa.navigate('admin.html');
+      } else if (target.hasAttribute('data-admin-erase')) {
+        this.eraseAll();
+      } else if (target.dataset.adminSort) {
+        this.toggleSort(target.dataset.adminSort);
+      } else if (target.dataset.adminEdit) {
+        this.openEditor(target.dataset.adminEdit);
+      } else if (target.dataset.adminDelete) {
+        this.remove(target.dataset.adminDelete);
+      } else if (target.dataset.adminExport) {
+        this.export(target.dataset.adminExport);
+      } else {
+        this.closeEditor();
+      }
+    }, { signal });
+
+    this.element.querySelector('[data-admin-import]').addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (file) this.importFile(file);
+    }, { signal });
+
+    window.addEventListener('localeChange', () => this.render(), { signal });
+
+    try {
+      this.projects = await window.projectStore.load();
+    } catch (error) {
+      // Sem a lista de projetos, o painel mostra os identificadores
+      console.warn('Não foi possível carregar os projetos:', error);
+    }
+
+    if (!signal.aborted) await this.reload();
+  }
+
+  /**
+   * Relê os cadastros do armazenamento e exibe a lista
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    this.records = await this.registry.list();
+    if (!this.listeners.signal.aborted) this.render();
+  }
+
+  /**
+   * Altera os filtros e exibe o resultado
+   * @param {Object} changes - Filtros alterados (busca, uf, idade)
+   */
+  setFilters(changes) {
+    Object.keys(this.filters).forEach(name => {
+      if (name in changes) this.filters[name] = String(changes[name] || '');
+    });
+    this.render();
+  }
+
+  /**
+   * Ordena pela coluna escolhida; a mesma coluna de novo inverte a ordem
+   * @param {string} key - Coluna
+   */
+  toggleSort(key) {
+    const column = VolunteerDashboard.COLUMNS.find(item => item.key === key);
+    if (!column || !column.direction) return;
+
+    if (this.sort.key === key) {
+      this.sort.direction = this.sort.direction === 'ascending' ? 'descending' : 'ascending';
+    } else {
+      this.sort = { key, direction: column.direction };
+    }
+
+    this.render();
+    const button = this.element.querySelector(`[data-admin-sort="${key}"]`);
+    if (button) button.focus();
+  }
+
+  /**
+   * Filtra os cadastros pelo texto buscado, pelo estado e pela faixa etária
+   * Todas as palavras buscadas precisam aparecer no nome, e-mail, cidade ou
+   * nos projetos; buscas só com números procuram também no CPF e no telefone.
+   * @param {Array<Object>} records - Cadastros
+   * @param {Object} filters - { busca, uf, idade }
+   * @returns {Array<Object>}
+   */
+  filter(records, { busca, uf, idade }) {
+    const words = ProjectCatalog.normalize(busca).split(/\s+/).filter(Boolean);
+    const digits = /^[\d\s.()+-]+$/.test(busca) ? busca.replace(/\D/g, '') : '';
+    const ages = VolunteerDashboard.AGE_GROUPS[idade];
+
+    return records.filter(record => {
+      if (uf && record.estado !== uf) return false;
+
+      if (ages) {
+        const age = FormValidator.calculateAge(record.nasc);
+        if (age === null || age < ages[0] || age > ages[1]) return false;
+      }
+
+      if (digits && [record.cpf, record.telefone].some(value => String(value || '').includes(digits))) {
+        return true;
+      }
+
+      const text = ProjectCatalog.normalize([
+        record.nome, record.email, record.cidade, record.estado, this.getProjectTitles(record).join(' ')
+      ].join(' '));
+
+      return words.every(word => text.includes(word));
+    });
+  }
+
+  /**
+   * Ordena os cadastros (sem alterar a lista original)
+   * @param {Array<Object>} records - Cadastros
+   * @param {Object} sort - { key, direction }
+   * @returns {Array<Object>}
+   */
+  static sortRecords(records, { key, direction }) {
+    const collator = new Intl.Collator(window.i18n.locale, { sensitivity: 'base' });
+    const byName = (a, b) => collator.compare(a.nome || '', b.nome || '');
+    // Sem data de nascimento, o cadastro fica por último
+    const age = (record) => {
+      const years = FormValidator.calculateAge(record.nasc);
+      return years === null ? Infinity : years;
+    };
+    const comparators = {
+      nome: byName,
+      idade: (a, b) => (age(a) === age(b) ? byName(a, b) : age(a) - age(b)),
+      cidade: (a, b) => collator.compare(`${a.cidade || ''}/${a.estado || ''}`, `${b.cidade || ''}/${b.estado || ''}`) || byName(a, b),
+      timestamp: (a, b) => a.timestamp.localeCompare(b.timestamp)
+    };
+    const compare = comparators[key] || comparators.timestamp;
+
+    return [...records].sort((a, b) => (direction === 'descending' ? compare(b, a) : compare(a, b)));
+  }
+
+  /**
+   * Cadastros exibidos, com os filtros e a ordenação atuais
+   * @returns {Array<Object>}
+   */
+  getVisibleRecords() {
+    return VolunteerDashboard.sortRecords(this.filter(this.records, this.filters), this.sort);
+  }
+
+  /**
+   * Títulos dos projetos de interesse de um cadastro
+   * @param {Object} record - Cadastro
+   * @returns {string[]}
+   */
+  getProjectTitles(record) {
+    return [].concat(record.projetos || []).map(slug => {
+      const project = this.projects.find(item => item.slug === slug);
+      return project ? project.title : slug;
+    });
+  }
+
+  /**
+   * Exibe a tabela, o total encontrado e as opções do filtro de estado
+   */
+  render() {
+    const visible = this.getVisibleRecords();
+
+    this.fillStates();
+
+    const status = this.element.querySelector('[data-admin-status]');
+    if (status) {
+      status.textContent = this.records.length
+        ? window.i18n.plural('admin.count', visible.length, { total: this.records.length })
+        : window.i18n.t('admin.none');
+    }
+
+    window.templateEngine.renderTo('volunteer-table', this.element.querySelector('[data-admin-results]'), {
+      columns: VolunteerDashboard.COLUMNS.map(column => ({
+        key: column.key,
+        label: window.i18n.t(column.label),
+        sortable: Boolean(column.direction),
+        sort: this.sort.key === column.key ? this.sort.direction : 'none'
+      })),
+      rows: visible.map(record => {
+        const age = FormValidator.calculateAge(record.nasc);
+
+        return {
+          id: record.timestamp,
+          nome: record.nome,
+          email: record.email,
+          telefone: window.inputMasks.format('telefone', record.telefone),
+          age: age === null ? '—' : age,
+          minor: age !== null && age < 18,
+          place: [record.cidade, record.estado].filter(Boolean).join('/'),
+          projects: this.getProjectTitles(record).join(', '),
+          date: window.i18n.formatDate(record.timestamp)
+        };
+      })
+    });
+  }
+
+  /**
+   * Oferece no filtro de estado apenas os estados presentes nos cadastros
+   */
+  fillStates() {
+    const select = this.form.elements.namedItem('uf');
+    const states = Array.from(new Set(this.records.map(record => record.estado).filter(Boolean))).sort();
+    const options = [new Option(window.i18n.t('catalog.any'), '')].concat(states.map(state => new Option(state, state)));
+
+    select.replaceChildren(...options);
+    select.value = states.includes(this.filters.uf) ? this.filters.uf : '';
+  }
+
+  /**
+   * Abre o formulário de edição de um cadastro
+   * O formulário usa as regras do cadastro (ver createVolunteerValidator).
+   * @param {string} id - Data de envio do cadastro
+   */
+  openEditor(id) {
+    const record = this.records.find(item => item.timestamp === id);
+    const container = this.element.querySelector('[data-admin-editor]');
+    if (!record || !container) return;
+
+    this.closeEditor({ restoreFocus: false });
+
+    window.templateEngine.renderTo('volunteer-editor', container, {
+      record,
+      states: VolunteerDashboard.STATES
+    });
+    container.hidden = false;
+
+    const form = container.querySelector('form');
+    this.editor = createVolunteerValidator(form, record, this.records.filter(item => item.timestamp !== id));
+    this.editor.submitHandler = (values) => this.saveEdit(id, values);
+
+    // Dados do responsável apenas para menores, como no cadastro
+    const nasc = form.elements.namedItem('nasc');
+    const responsavel = form.querySelector('[data-admin-responsavel]');
+    const toggleResponsavel = () => {
+      responsavel.hidden = !isMinor(nasc.value);
+    };
+    nasc.addEventListener('input', toggleResponsavel);
+    toggleResponsavel();
+
+    this.editing = id;
+
+    form.elements.namedItem('nome').focus();
+  }
+
+  /**
+   * Fecha o formulário de edição
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus=true] - Devolver o foco ao botão "Editar" do cadastro
+   */
+  closeEditor({ restoreFocus = true } = {}) {
+    const container = this.element.querySelector('[data-admin-editor]');
+
+    if (this.editor) {
+      this.editor.destroy();
+      this.editor = null;
+    }
+
+    if (container) {
+      container.hidden = true;
+      container.replaceChildren();
+    }
+
+    if (restoreFocus && this.editing) {
+      const button = Array.from(this.element.querySelectorAll('[data-admin-edit]'))
+        .find(item => item.dataset.adminEdit === this.editing);
+      if (button) button.focus();
+    }
+
+    this.editing = null;
+  }
+
+  /**
+   * Grava as alterações do formulário de edição
+   * @param {string} id - Data de envio do cadastro
+   * @param {Object} values - Valores do formulário (sem máscara)
+   * @returns {Promise<void>}
+   */
+  async saveEdit(id, values) {
+    const record = this.records.find(item => item.timestamp === id);
+    const changes = { ...values };
+
+    // A confirmação de e-mail do cadastro acompanha o e-mail corrigido
+    if (record && 'emailConfirmacao' in record) {
+      changes.emailConfirmacao = changes.email;
+    }
+
+    if (!(await this.registry.update(id, changes))) {
+      this.showMessage('error-message', window.i18n.t('admin.saveError'));
+      return;
+    }
+
+    // A tabela é refeita antes de fechar, para o foco voltar ao botão "Editar" do cadastro
+    await this.reload();
+    this.closeEditor();
+    this.showMessage('success-message', window.i18n.t('admin.saved', { name: changes.nome }));
+  }
+
+  /**
+   * Exclui um cadastro, após confirmação
+   * @param {string} id - Data de envio do cadastro
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const record = this.records.find(item => item.timestamp === id);
+    if (!record || !confirm(window.i18n.t('admin.deleteConfirm', { name: record.nome }))) return;
+
+    if (this.editing === id) this.closeEditor({ restoreFocus: false });
+
+    if (!(await this.registry.remove(id))) {
+      this.showMessage('error-message', window.i18n.t('admin.saveError'));
+      return;
+    }
+
+    await this.reload();
+    this.showMessage('success-message', window.i18n.t('admin.deleted', { name: record.nome }));
+    this.focusStatus();
+  }
+
+  /**
+   * Apaga, após confirmação, tudo o que o site guardou neste dispositivo: os
+   * cadastros, os rascunhos, os envios pendentes e a chave do dispositivo
+   * A chave da coordenação é mantida (ver CoordinatorAccess).
+   * @returns {Promise<void>}
+   */
+  async eraseAll() {
+    if (!confirm(window.i18n.t('admin.eraseAllConfirm'))) return;
+
+    if (this.editing) this.closeEditor({ restoreFocus: false });
+
+    window.secureStorage.eraseAll(['cadastroForm-submissions', 'cadastroForm-current', 'submission-queue']);
+    if (window.submissionClient) {
+      window.submissionClient.clear();
+    }
+
+    await this.reload();
+    this.showMessage('success-message', window.i18n.t('admin.erasedAll'));
+    this.focusStatus();
+  }
+
+  /**
+   * Baixa os cadastros exibidos (com os filtros aplicados)
+   * @param {string} format - 'csv' ou 'json'
+   */
+  export(format) {
+    const records = this.getVisibleRecords();
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+      VolunteerDashboard.download(`voluntarios-${date}.json`, VolunteerRegistry.toJson(records), 'application/json');
+    } else {
+      // BOM para o Excel reconhecer o arquivo como UTF-8
+      VolunteerDashboard.download(`voluntarios-${date}.csv`, `\uFEFF${this.toCsv(records)}`, 'text/csv;charset=utf-8');
+    }
+  }
+
+  /**
+   * Monta o CSV dos cadastros, com cabeçalhos e valores no idioma atual
+   * @param {Array<Object>} records - Cadastros
+   * @returns {string}
+   */
+  toCsv(records) {
+    const t = (key) => window.i18n.t(key);
+    const format = window.inputMasks.format.bind(window.inputMasks);
+    const columns = [
+      [t('admin.submittedAt'), record => record.timestamp],
+      [t('cadastro.nome'), record => record.nome],
+      [t('cadastro.email'), record => record.email],
+      [t('cadastro.cpf'), record => format('cpf', record.cpf)],
+      [t('cadastro.telefone'), record => format('telefone', record.telefone)],
+      [t('cadastro.nasc'), record => record.nasc],
+      [t('admin.age'), record => FormValidator.calculateAge(record.nasc)],
+      [t('cadastro.responsavelNome'), record => record.responsavelNome],
+      [t('cadastro.responsavelTelefone'), record => format('telefone', record.responsavelTelefone)],
+      [t('cadastro.endereco'), record => record.endereco],
+      [t('cadastro.cep'), record => format('cep', record.cep)],
+      [t('cadastro.cidade'), record => record.cidade],
+      [t('cadastro.estado'), record => record.estado],
+      [t('cadastro.projetos'), record => this.getProjectTitles(record)],
+      [t('cadastro.dias'), record => [].concat(record.dias || []).map(day => t(`weekday.${day}`))],
+      [t('cadastro.turnos'), record => [].concat(record.turnos || []).map(shift => t(`shift.${shift}`))]
+    ];
+
+    const rows = [columns.map(([label]) => label)]
+      .concat(records.map(record => columns.map(([, value]) => value(record))));
+
+    return rows.map(row => row.map(VolunteerDashboard.toCsvCell).join(',')).join('\r\n');
+  }
+
+  /**
+   * Formata uma célula do CSV
+   * Textos que começam como fórmula (=, +, -, @) recebem um apóstrofo, para
+   * que planilhas não os executem.
+   * @param {*} value - Valor (listas são unidas com '; ')
+   * @returns {string}
+   */
+  static toCsvCell(value) {
+    let text = Array.isArray(value) ? value.join('; ') : String(value === null || value === undefined ? '' : value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Oferece um conteúdo gerado no navegador para download
+   * @param {string} filename - Nome do arquivo
+   * @param {string} content - Conteúdo
+   * @param {string} type - Tipo MIME
+   */
+  static download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  /**
+   * Importa um backup JSON escolhido pelo usuário
+   * @param {File} file - Arquivo
+   * @returns {Promise<void>}
+   */
+  async importFile(file) {
+    try {
+      const { added, skipped } = await this.registry.import(await file.text());
+      await this.reload();
+
+      const container = this.element.querySelector('[data-admin-message]');
+      if (container) {
+        window.templateEngine.renderTo('volunteer-import-result', container, {
+          message: window.i18n.t('admin.imported', { added, skipped: skipped.length }),
+          skipped: skipped.map(item => ({
+            label: item.nome ? `${item.index + 1}. ${item.nome}` : `${item.index + 1}.`,
+            reason: window.i18n.t(`admin.skip.${item.reason}`),
+            errors: Object.entries(item.errors).map(([name, message]) => `${window.i18n.t(`cadastro.${name}`)}: ${message}`)
+          }))
+        });
+      }
+    } catch (error) {
+      const key = error instanceof VolunteerImportError && error.code === 'storage' ? 'admin.saveError' : 'admin.importError';
+      this.showMessage('error-message', window.i18n.t(key));
+    }
+  }
+
+  /**
+   * Exibe uma mensagem acima da lista (success-message ou error-message)
+   * @param {string} templateName - Nome do template
+   * @param {string} message - Texto da mensagem
+   */
+  showMessage(templateName, message) {
+    const container = this.element.querySelector('[data-admin-message]');
+    if (container) {
+      window.templateEngine.renderTo(templateName, container, { message });
+    }
+  }
+
+  /**
+   * Move o foco para o total encontrado (após excluir, o botão some da tabela)
+   */
+  focusStatus() {
+    const status = this.element.querySelector('[data-admin-status]');
+    if (status) {
+      status.setAttribute('tabindex', '-1');
+      status.focus();
+    }
+  }
+
+  /**
+   * Remove os listeners (usado ao sair da página no SPA)
+   */
+  destroy() {
+    clearTimeout(this.timer);
+    this.closeEditor({ restoreFocus: false });
+    this.listeners.abort();
+  }
+}
+
+// Instância global: o guard da rota admin/voluntarios (ver js/routes.js) a consulta,
+// e VolunteerRegistry cifra os cadastros com ela
+window.coordinatorAccess = new CoordinatorAccess();
+
+// Entrada da coordenação: define a frase de acesso no primeiro uso e libera o painel
+window.pageModules.register('admin.html', {
+  mount({ container }) {
+    const element = container.querySelector('[data-coordinator-access]');
+    if (!element) return;
+
+    if (!SecureStorage.isSupported()) {
+      element.innerHTML = window.templateEngine.render('error-message', { message: window.i18n.t('admin.saveError') });
+      return;
+    }
+
+    const access = window.coordinatorAccess;
+    const setup = !access.isConfigured();
+
+    window.templateEngine.renderTo('coordinator-access', element, { setup, minLength: CoordinatorAccess.MIN_LENGTH });
+
+    this.validator = new FormValidator(element.querySelector('form'));
+    this.validator.submitHandler = async ({ frase }) => {
+      if (setup) {
+        await access.setup(frase);
+        await new VolunteerRegistry().sealPending();
+      } else if (!(await access.unlock(frase))) {
+        this.validator.showFieldError('coordinatorFrase', window.i18n.t('admin.wrongPassphrase'));
+        return;
+      }
+
+      window.spa.navigate('admin/voluntarios');
+    };
+  },
+
+  unmount() {
+    if (this.validator) {
+      this.validator.destroy();
+      this.validator = null;
+    }
+  }
+});
+
+// Painel de voluntários (rota admin/voluntarios, ver js/routes.js)
+window.pageModules.register('admin/voluntarios', {
+  mount({ container }) {
+    const element = container.querySelector('[data-volunteer-admin]');
+    if (!element) return;
+
+    this.dashboard = new VolunteerDashboard(element, new VolunteerRegistry());
+    this.dashboard.init().catch(error => console.warn('Não foi possível abrir o painel de voluntários:', error));
+  },
+
+  unmount() {
+    if (this.dashboard) {
+      this.dashboard.destroy();
+      this.dashboard = null;
+    }
+  }
+});
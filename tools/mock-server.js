@@ -0,0 +1,168 @@
+// tools/mock-server.js - Servidor local para testar o envio dos formulários
+//
+// Uso: node tools/mock-server.js
+// Serve os arquivos do site e responde a POST /api/cadastros guardando os
+// cadastros em memória. Variáveis de ambiente:
+//   PORT            porta (padrão 3000)
+//   MOCK_DELAY      atraso de cada resposta da API em ms (padrão 0)
+//   MOCK_FAIL_RATE  fração de envios respondidos com 503, de 0 a 1 (padrão 0)
+// GET /api/cadastros lista o que foi recebido.
+// O endereço de envio é o data-endpoint do <form> de cadastro.html; para usar
+// outro servidor, troque o atributo. Num servidor sem esse endereço (404/405,
+// como um site estático), os cadastros são apenas salvos no navegador.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 3000;
+const DELAY = Number(process.env.MOCK_DELAY) || 0;
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE) || 0;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon'
+};
+
+// Cadastros recebidos e respostas por Idempotency-Key (reenvios não duplicam)
+const records = [];
+const byIdempotencyKey = new Map();
+
+/**
+ * Envia uma resposta JSON
+ * @param {http.ServerResponse} res - Resposta
+ * @param {number} status - Código HTTP
+ * @param {*} body - Corpo
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Lê o corpo da requisição como JSON
+ * @param {http.IncomingMessage} req - Requisição
+ * @returns {Promise<*>} Corpo interpretado
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Trata as rotas da API
+ * @param {http.IncomingMessage} req - Requisição
+ * @param {http.ServerResponse} res - Resposta
+ */
+async function handleApi(req, res) {
+  if (req.method === 'GET') {
+    sendJson(res, 200, records);
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Método não permitido.' });
+    return;
+  }
+
+  const key = req.headers['idempotency-key'];
+  if (key && byIdempotencyKey.has(key)) {
+    sendJson(res, 200, byIdempotencyKey.get(key));
+    return;
+  }
+
+  if (Math.random() < FAIL_RATE) {
+    sendJson(res, 503, { error: 'Serviço indisponível (falha simulada).' });
+    return;
+  }
+
+  let data;
+  try {
+    data = await readJson(req);
+  } catch (error) {
+    sendJson(res, 400, { error: 'JSON inválido.' });
+    return;
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    sendJson(res, 422, { error: 'Os dados devem ser um objeto.' });
+    return;
+  }
+
+  const record = { id: records.length + 1, receivedAt: new Date().toISOString(), ...data };
+  records.push(record);
+
+  const response = { id: record.id };
+  if (key) byIdempotencyKey.set(key, response);
+
+  console.log(`Cadastro #${record.id} recebido${key ? ` (${key})` : ''}`);
+  sendJson(res, 201, response);
+}
+
+/**
+ * Serve um arquivo do site
+ * @param {http.IncomingMessage} req - Requisição
+ * @param {http.ServerResponse} res - Resposta
+ */
+function serveStatic(req, res) {
+  let pathname;
+
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    // Endereço com codificação inválida (ex: /%E0%A4%A)
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+
+  const filePath = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+      res.end('<h1>404</h1>');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(content);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  if (req.url.startsWith('/api/cadastros')) {
+    setTimeout(() => handleApi(req, res), DELAY);
+  } else {
+    serveStatic(req, res);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Servidor de teste em http://localhost:${PORT}`);
+});